@@ -9,6 +9,20 @@
  *
  * Options:
  *   --days <number>     Number of days to look back (default: 1)
+ *   --from <date>       Start of the date range (ISO 8601, e.g. 2024-03-01)
+ *   --to <date>         End of the date range, inclusive (default: now)
+ *   --date-field <name> Date the range applies to: created, settled,
+ *                       authorized (default: settled)
+ *   --status <list>     Comma-separated transaction statuses
+ *   --type <type>       sale or credit
+ *   --payment-instrument <list> Comma-separated payment instrument types
+ *   --merchant-account <list>   Comma-separated merchant account IDs
+ *   --customer <id>     Customer ID
+ *   --summary           Totals instead of one row per transaction
+ *   --group-by <field>  Totals per status, type, day, card-type,
+ *                       merchant-account or payment-instrument
+ *   --fields <list>     Comma-separated columns from the field catalog in
+ *                       lib/report-fields.js, or paths in the transaction view
  *   --format <type>     Output format: csv, json, table (default: csv)
  *   --output <file>     Output file path (optional, defaults to stdout for table, auto-generated for csv/json)
  *   --help             Show help message
@@ -17,12 +31,38 @@
  *   node generate-report.js --days 7 --format csv
  *   node generate-report.js --days 30 --format json --output monthly-report.json
  *   node generate-report.js --format table
+ *   node generate-report.js --from 2024-03-01 --to 2024-03-31 --date-field created --status processor_declined,failed
+ *   node generate-report.js --days 30 --group-by day --format table
+ *   node generate-report.js --days 7 --fields id,amount,card_type,last_4,customer_id
  */
 
 require('dotenv').config();
 const braintree = require('braintree');
 const fs = require('fs');
 const path = require('path');
+const { createGateway, isMockEnvironment } = require('./lib/gateway');
+const {
+  DEFAULT_FIELDS,
+  DEFAULT_TABLE_FIELDS,
+  FIELDS,
+  formatValue,
+  reportColumns,
+  reportRow,
+} = require('./lib/report-fields');
+const {
+  GROUP_BY_OPTIONS,
+  summarizeTransactions,
+} = require('./lib/report-summary');
+
+// Transaction timestamps a date range can apply to
+const DATE_FIELDS = {
+  created: 'createdAt',
+  settled: 'settledAt',
+  authorized: 'authorizedAt',
+};
+const STATUSES = braintree.Transaction.Status.All();
+const TYPES = braintree.Transaction.Type.All();
+const PAYMENT_INSTRUMENTS = Object.values(braintree.PaymentInstrumentTypes);
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -34,11 +74,12 @@ if (options.help) {
   process.exit(0);
 }
 
-// Validate environment variables
+// Validate environment variables (the mock gateway needs no credentials)
 if (
-  !process.env.BRAINTREE_MERCHANT_ID ||
-  !process.env.BRAINTREE_PUBLIC_KEY ||
-  !process.env.BRAINTREE_PRIVATE_KEY
+  !isMockEnvironment() &&
+  (!process.env.BRAINTREE_MERCHANT_ID ||
+    !process.env.BRAINTREE_PUBLIC_KEY ||
+    !process.env.BRAINTREE_PRIVATE_KEY)
 ) {
   console.error(
     ' Error: Missing Braintree credentials in environment variables'
@@ -52,114 +93,194 @@ if (
 }
 
 // Initialize Braintree Gateway
-const gateway = new braintree.BraintreeGateway({
-  environment:
-    process.env.BRAINTREE_ENVIRONMENT === 'production'
-      ? braintree.Environment.Production
-      : braintree.Environment.Sandbox,
-  merchantId: process.env.BRAINTREE_MERCHANT_ID,
-  publicKey: process.env.BRAINTREE_PUBLIC_KEY,
-  privateKey: process.env.BRAINTREE_PRIVATE_KEY,
-});
+const gateway = createGateway();
 
 // Main execution
 async function main() {
   try {
     console.log('Generating transaction report...');
-    console.log(`Date range: Last ${options.days} days`);
+    console.log(`Date range: ${describeDateRange(options)}`);
+    describeFilters(options).forEach(filter => console.log(filter));
     console.log(`Environment: ${process.env.BRAINTREE_ENVIRONMENT}`);
+    if (options.summary) {
+      console.log(
+        `Summary: ${options.groupBy ? `by ${options.groupBy}` : 'totals'}`
+      );
+    }
     console.log(`Format: ${options.format}`);
     console.log('');
 
-    const transactions = await fetchTransactions(options.days);
+    const transactions = await fetchTransactions(options);
 
     console.log(`Found ${transactions.length} transactions`);
 
     if (transactions.length === 0) {
-      console.log('No transactions found for the specified date range.');
+      console.log('No transactions found for the specified filters.');
       return;
     }
 
-    await generateOutput(transactions, options);
+    if (options.summary) {
+      await generateSummaryOutput(
+        {
+          groups: options.groupBy
+            ? summarizeTransactions(
+                transactions,
+                options.groupBy,
+                options.dateField
+              )
+            : [],
+          totals: summarizeTransactions(transactions, null, options.dateField),
+        },
+        options
+      );
+    } else {
+      await generateOutput(
+        transactions.map(transaction =>
+          reportRow(transaction, options.columns)
+        ),
+        options
+      );
+    }
   } catch (error) {
     console.error('Error generating report:', error.message);
     process.exit(1);
   }
 }
 
-// Fetch transactions from Braintree
-async function fetchTransactions(days) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-
-  console.log(
-    `🔎 Searching for transactions settled after: ${startDate.toISOString()}`
-  );
-
+// Fetch the transactions matching the report filters from Braintree
+async function fetchTransactions(filters) {
   return new Promise((resolve, reject) => {
-    gateway.transaction.search(
-      search => {
-        search.settledAt().min(startDate);
-      },
-      (err, response) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        const transactions = [];
-        response.each(transaction => {
-          transactions.push({
-            id: transaction.id,
-            type: transaction.type,
-            amount: transaction.amount,
-            status: transaction.status,
-            created_at: transaction.createdAt,
-            service_fee_amount: transaction.serviceFeeAmount || '',
-            merchant_account_id: transaction.merchantAccountId || '',
-          });
-        });
-
-        resolve(transactions);
-      }
+    const transactions = [];
+    const stream = gateway.transaction.search(search =>
+      applyFilters(search, filters)
     );
+
+    stream.on('data', transaction => transactions.push(transaction));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(transactions));
   });
 }
 
+// Map the report filters onto transaction.search criteria. Without --from
+// or --to, the range is the last --days days.
+function applyFilters(search, filters) {
+  const dateField = search[DATE_FIELDS[filters.dateField]]();
+  const { from, to } = dateRange(filters);
+
+  if (from) {
+    dateField.min(from);
+  }
+  if (to) {
+    dateField.max(to);
+  }
+  if (filters.statuses.length > 0) {
+    search.status().in(filters.statuses);
+  }
+  if (filters.type) {
+    search.type().is(filters.type);
+  }
+  if (filters.paymentInstruments.length > 0) {
+    search.paymentInstrumentType().in(filters.paymentInstruments);
+  }
+  if (filters.merchantAccounts.length > 0) {
+    search.merchantAccountId().in(filters.merchantAccounts);
+  }
+  if (filters.customerId) {
+    search.customerId().is(filters.customerId);
+  }
+}
+
+function dateRange(filters) {
+  if (filters.from || filters.to) {
+    return { from: filters.from, to: filters.to };
+  }
+
+  const from = new Date();
+  from.setDate(from.getDate() - filters.days);
+  return { from, to: null };
+}
+
+// "transactions settled from ... to ..."
+function describeDateRange(filters) {
+  const { from, to } = dateRange(filters);
+  const field = `transactions ${filters.dateField}`;
+
+  if (!filters.from && !filters.to) {
+    return `${field} in the last ${filters.days} days`;
+  }
+  if (!to) {
+    return `${field} since ${from.toISOString()}`;
+  }
+  if (!from) {
+    return `${field} until ${to.toISOString()}`;
+  }
+  return `${field} from ${from.toISOString()} to ${to.toISOString()}`;
+}
+
+function describeFilters(filters) {
+  return [
+    ['Status', filters.statuses.join(', ')],
+    ['Type', filters.type],
+    ['Payment instrument', filters.paymentInstruments.join(', ')],
+    ['Merchant account', filters.merchantAccounts.join(', ')],
+    ['Customer', filters.customerId],
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`);
+}
+
 // Generate output in specified format
 async function generateOutput(transactions, options) {
   switch (options.format) {
     case 'csv':
-      await generateCSV(transactions, options.output);
+      await generateCSV(transactions, options.output, options.columns);
       break;
     case 'json':
       await generateJSON(transactions, options.output);
       break;
     case 'table':
-      generateTable(transactions);
+      generateTable(transactions, options.columns);
       break;
     default:
       throw new Error(`Unknown format: ${options.format}`);
   }
 }
 
-// Generate CSV output
-async function generateCSV(transactions, outputFile) {
-  const headerRow = [
-    'id',
-    'type',
-    'amount',
-    'status',
-    'created_at',
-    'service_fee_amount',
-    'merchant_account_id',
-  ];
+// Generate CSV output. `columns` are the --fields the rows were built with.
+async function generateCSV(
+  transactions,
+  outputFile,
+  columns = reportColumns(DEFAULT_FIELDS)
+) {
+  const csvContent = toCSV(
+    columns.map(column => column.name),
+    transactions.map(transaction =>
+      columns.reduce((row, column) => {
+        row[column.name] = formatValue(transaction[column.name]);
+        return row;
+      }, {})
+    )
+  );
+
+  // Generate filename if not provided
+  if (!outputFile) {
+    const timestamp = new Date().toISOString().split('T')[0];
+    outputFile = `transaction_report_${timestamp}.csv`;
+  }
 
+  fs.writeFileSync(outputFile, csvContent);
+  console.log(`💾 CSV report saved to: ${path.resolve(outputFile)}`);
+}
+
+function toCSV(headerRow, rows) {
   let csvContent = headerRow.join(',') + '\n';
 
-  transactions.forEach(transaction => {
+  rows.forEach(record => {
     const row = headerRow.map(field => {
-      let value = transaction[field] || '';
+      let value = record[field];
+      if (value === undefined || value === null) {
+        value = '';
+      }
       // Escape quotes and wrap in quotes if contains comma or quote
       if (
         typeof value === 'string' &&
@@ -172,14 +293,7 @@ async function generateCSV(transactions, outputFile) {
     csvContent += row.join(',') + '\n';
   });
 
-  // Generate filename if not provided
-  if (!outputFile) {
-    const timestamp = new Date().toISOString().split('T')[0];
-    outputFile = `transaction_report_${timestamp}.csv`;
-  }
-
-  fs.writeFileSync(outputFile, csvContent);
-  console.log(`💾 CSV report saved to: ${path.resolve(outputFile)}`);
+  return csvContent;
 }
 
 // Generate JSON output
@@ -203,73 +317,167 @@ async function generateJSON(transactions, outputFile) {
   console.log(`💾 JSON report saved to: ${path.resolve(outputFile)}`);
 }
 
-// Generate table output to console
-function generateTable(transactions) {
+// Generate table output to console, one column per field
+function generateTable(
+  transactions,
+  columns = reportColumns(DEFAULT_TABLE_FIELDS)
+) {
+  const headings = columns.map(column => column.label);
+  const rows = transactions.map(transaction =>
+    columns.map(column => formatValue(transaction[column.name]))
+  );
+  const widths = columnWidths(
+    columns.map(column => column.width),
+    [headings].concat(rows)
+  );
+  const line = values =>
+    values.map((value, i) => value.padEnd(widths[i])).join(' │ ');
+  const width = widths.reduce(
+    (total, columnWidth) => total + columnWidth + 3,
+    0
+  );
+
   console.log('\n📋 Transaction Report:');
-  console.log('═'.repeat(120));
-
-  // Header
-  const headers = [
-    'ID',
-    'Type',
-    'Amount',
-    'Status',
-    'Created At',
-    'Service Fee',
-    'Merchant Account',
+  console.log('═'.repeat(width));
+  console.log(line(headings));
+  console.log('─'.repeat(width));
+
+  rows.forEach(row => {
+    console.log(line(row));
+  });
+
+  console.log('═'.repeat(width));
+  console.log(`📊 Total: ${transactions.length} transactions`);
+}
+
+// Each column's width: its default, widened to fit its longest value so
+// the columns after it stay lined up
+function columnWidths(defaults, rows) {
+  return defaults.map((defaultWidth, i) =>
+    rows.reduce(
+      (widest, row) => Math.max(widest, String(row[i]).length),
+      defaultWidth
+    )
+  );
+}
+
+// Generate --summary/--group-by output in the specified format. `summary`
+// has the per-group rows (empty without --group-by) and the overall totals.
+async function generateSummaryOutput(summary, options) {
+  const timestamp = new Date().toISOString().split('T')[0];
+  let outputFile = options.output;
+
+  switch (options.format) {
+    case 'csv': {
+      // Totals follow the groups, in group "all"
+      const csvContent = toCSV(
+        SUMMARY_FIELDS,
+        summary.groups.concat(summary.totals)
+      );
+      outputFile = outputFile || `transaction_summary_${timestamp}.csv`;
+      fs.writeFileSync(outputFile, csvContent);
+      console.log(`💾 CSV summary saved to: ${path.resolve(outputFile)}`);
+      break;
+    }
+    case 'json': {
+      const reportData = {
+        generated_at: new Date().toISOString(),
+        environment: process.env.BRAINTREE_ENVIRONMENT,
+        date_range: describeDateRange(options),
+        group_by: options.groupBy,
+        groups: summary.groups,
+        totals: summary.totals,
+      };
+      outputFile = outputFile || `transaction_summary_${timestamp}.json`;
+      fs.writeFileSync(outputFile, JSON.stringify(reportData, null, 2));
+      console.log(`💾 JSON summary saved to: ${path.resolve(outputFile)}`);
+      break;
+    }
+    case 'table':
+      generateSummaryTable(summary, options.groupBy);
+      break;
+    default:
+      throw new Error(`Unknown format: ${options.format}`);
+  }
+}
+
+// Columns of a summary row, as named by lib/report-summary.js
+const SUMMARY_FIELDS = [
+  'group',
+  'currency',
+  'count',
+  'sale_count',
+  'refund_count',
+  'gross',
+  'refunds',
+  'net',
+  'average_ticket',
+];
+
+// Summary table, one line per group and currency, then the totals
+function generateSummaryTable(summary, groupBy) {
+  const columns = [
+    ['Group', 'group', 24],
+    ['Currency', 'currency', 8],
+    ['Count', 'count', 7],
+    ['Sales', 'sale_count', 7],
+    ['Credits', 'refund_count', 7],
+    ['Gross', 'gross', 12],
+    ['Refunds', 'refunds', 12],
+    ['Net', 'net', 12],
+    ['Avg Ticket', 'average_ticket', 12],
   ];
-  console.log(
-    headers[0].padEnd(25) +
-      ' │ ' +
-      headers[1].padEnd(12) +
-      ' │ ' +
-      headers[2].padEnd(10) +
-      ' │ ' +
-      headers[3].padEnd(15) +
-      ' │ ' +
-      headers[4].padEnd(20) +
-      ' │ ' +
-      headers[5].padEnd(12) +
-      ' │ ' +
-      headers[6].padEnd(15)
+  const headings = columns.map(column => column[0]);
+  const groupRows = summary.groups.map(row =>
+    columns.map(column => row[column[1]])
   );
-  console.log('─'.repeat(120));
-
-  // Rows
-  transactions.forEach(transaction => {
-    const createdAt = transaction.created_at
-      ? new Date(transaction.created_at).toLocaleString()
-      : 'N/A';
-    const amount = '$' + parseFloat(transaction.amount || 0).toFixed(2);
-    const serviceFee = transaction.service_fee_amount
-      ? '$' + parseFloat(transaction.service_fee_amount).toFixed(2)
-      : 'N/A';
-
-    console.log(
-      (transaction.id || '').padEnd(25) +
-        ' │ ' +
-        (transaction.type || '').padEnd(12) +
-        ' │ ' +
-        amount.padEnd(10) +
-        ' │ ' +
-        (transaction.status || '').padEnd(15) +
-        ' │ ' +
-        createdAt.padEnd(20) +
-        ' │ ' +
-        serviceFee.padEnd(12) +
-        ' │ ' +
-        (transaction.merchant_account_id || '').padEnd(15)
-    );
+  const totalRows = summary.totals.map(row =>
+    columns.map(column => (column[1] === 'group' ? 'Total' : row[column[1]]))
+  );
+  const widths = columnWidths(
+    columns.map(column => column[2]),
+    [headings].concat(groupRows, totalRows)
+  );
+  const line = values =>
+    values.map((value, i) => String(value).padEnd(widths[i])).join(' │ ');
+  const width = widths.reduce(
+    (total, columnWidth) => total + columnWidth + 3,
+    0
+  );
+
+  console.log(`\n📋 Transaction Summary${groupBy ? ` by ${groupBy}` : ''}:`);
+  console.log('═'.repeat(width));
+  console.log(line(headings));
+  console.log('─'.repeat(width));
+
+  groupRows.forEach(row => {
+    console.log(line(row));
+  });
+  if (groupRows.length > 0) {
+    console.log('─'.repeat(width));
+  }
+  totalRows.forEach(row => {
+    console.log(line(row));
   });
 
-  console.log('═'.repeat(120));
-  console.log(`📊 Total: ${transactions.length} transactions`);
+  console.log('═'.repeat(width));
 }
 
 // Parse command line arguments
 function parseArgs(args) {
   const options = {
-    days: 1,
+    days: null,
+    from: null,
+    to: null,
+    dateField: 'settled',
+    statuses: [],
+    type: null,
+    paymentInstruments: [],
+    merchantAccounts: [],
+    customerId: null,
+    summary: false,
+    groupBy: null,
+    fields: null,
     format: 'csv',
     output: null,
     help: false,
@@ -280,6 +488,40 @@ function parseArgs(args) {
       case '--days':
         options.days = parseInt(args[++i]) || 1;
         break;
+      case '--from':
+        options.from = parseDate('--from', args[++i], false);
+        break;
+      case '--to':
+        options.to = parseDate('--to', args[++i], true);
+        break;
+      case '--date-field':
+        options.dateField = args[++i];
+        break;
+      case '--status':
+        options.statuses = parseList(args[++i]);
+        break;
+      case '--type':
+        options.type = args[++i];
+        break;
+      case '--payment-instrument':
+        options.paymentInstruments = parseList(args[++i]);
+        break;
+      case '--merchant-account':
+        options.merchantAccounts = parseList(args[++i]);
+        break;
+      case '--customer':
+        options.customerId = args[++i] || null;
+        break;
+      case '--summary':
+        options.summary = true;
+        break;
+      case '--group-by':
+        options.groupBy = args[++i];
+        options.summary = true;
+        break;
+      case '--fields':
+        options.fields = parseList(args[++i]);
+        break;
       case '--format':
         options.format = args[++i] || 'csv';
         break;
@@ -305,9 +547,92 @@ function parseArgs(args) {
     process.exit(1);
   }
 
+  // Validate filters
+  if (options.days !== null && (options.from || options.to)) {
+    console.error('Use either --days or --from/--to, not both');
+    process.exit(1);
+  }
+  options.days = options.days || 1;
+
+  if (options.from && options.to && options.from > options.to) {
+    console.error('--from must be before --to');
+    process.exit(1);
+  }
+
+  checkChoices('--date-field', [options.dateField], Object.keys(DATE_FIELDS));
+  checkChoices('--status', options.statuses, STATUSES);
+  checkChoices('--type', options.type ? [options.type] : [], TYPES);
+  checkChoices(
+    '--payment-instrument',
+    options.paymentInstruments,
+    PAYMENT_INSTRUMENTS
+  );
+  checkChoices(
+    '--group-by',
+    options.groupBy !== null ? [options.groupBy] : [],
+    GROUP_BY_OPTIONS
+  );
+
+  // Validate fields; summaries have their own columns
+  if (options.fields && options.summary) {
+    console.error('--fields only applies to transaction rows, not --summary');
+    process.exit(1);
+  }
+  try {
+    options.columns = reportColumns(
+      options.fields && options.fields.length > 0
+        ? options.fields
+        : options.format === 'table'
+        ? DEFAULT_TABLE_FIELDS
+        : DEFAULT_FIELDS
+    );
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
   return options;
 }
 
+// "a,b" -> ['a', 'b']
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// ISO 8601 date or date-time. A plain --to date includes that whole day
+// (UTC), so --from 2024-03-01 --to 2024-03-31 covers all of March.
+function parseDate(option, value, endOfDay) {
+  const date = new Date(value);
+
+  if (!value || isNaN(date.getTime())) {
+    console.error(
+      `Invalid ${option} date: ${value}. Use ISO 8601, e.g. 2024-03-01`
+    );
+    process.exit(1);
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+function checkChoices(option, values, choices) {
+  const invalid = values.filter(value => !choices.includes(value));
+
+  if (invalid.length > 0) {
+    console.error(
+      `Invalid ${option}: ${invalid.join(', ')}. Must be one of: ${choices.join(
+        ', '
+      )}`
+    );
+    process.exit(1);
+  }
+}
+
 // Show help message
 function showHelp() {
   console.log(`
@@ -318,10 +643,42 @@ USAGE:
 
 OPTIONS:
   --days <number>     Number of days to look back (default: 1)
+  --from <date>       Start of the date range (ISO 8601, e.g. 2024-03-01)
+  --to <date>         End of the date range; a plain date includes the whole
+                      day (default: now)
+  --date-field <name> Date the range applies to (default: settled):
+                        created     when the transaction was created
+                        settled     when it settled
+                        authorized  when it was authorized
+  --status <list>     Comma-separated statuses, e.g. settled,processor_declined
+  --type <type>       sale or credit (refunds)
+  --payment-instrument <list>
+                      Comma-separated types, e.g. credit_card,paypal_account
+  --merchant-account <list>
+                      Comma-separated merchant account IDs
+  --customer <id>     Only transactions for this customer ID
+  --summary           Print totals instead of one row per transaction: counts,
+                      gross sales, refunds, net and average ticket, per currency
+  --group-by <field>  Totals per group (implies --summary): status, type, day,
+                      card-type, merchant-account, payment-instrument
+  --fields <list>     Comma-separated columns for transaction rows, from the
+                      field catalog below or any path in the transaction view
+                      (e.g. billing.postalCode)
   --format <type>     Output format: csv, json, table (default: csv)
   --output <file>     Output file path (optional, auto-generated for csv/json)
   --help             Show this help message
 
+  Declined, failed and voided transactions never settle, so report on them
+  with --date-field created.
+
+FIELDS:
+${describeFields()}
+
+  Default: ${DEFAULT_FIELDS.join(',')}
+  Table default: ${DEFAULT_TABLE_FIELDS.join(',')}
+  Lists (refund_ids, risk_rules) are joined with "; " in CSV and tables and
+  stay arrays in JSON. Fields that aren't set are empty (null in JSON).
+
 OUTPUT FORMATS:
   csv       Comma-separated values file (suitable for Excel, Google Sheets)
   json      JSON format with metadata (suitable for APIs, further processing)
@@ -333,6 +690,13 @@ EXAMPLES:
   node generate-report.js --days 30 --format csv --output monthly-report.csv
   node generate-report.js --days 90 --format json
   node generate-report.js --format table
+  node generate-report.js --from 2024-03-01 --to 2024-03-31 --date-field created
+  node generate-report.js --days 7 --date-field created --status processor_declined,gateway_rejected,failed
+  node generate-report.js --days 30 --type credit --merchant-account my_eur_account
+  node generate-report.js --days 7 --summary --format table
+  node generate-report.js --from 2024-03-01 --to 2024-03-31 --group-by day --format csv
+  node generate-report.js --days 7 --fields id,amount,currency_iso_code,card_type,last_4,customer_id
+  node generate-report.js --days 7 --date-field created --status processor_declined --fields id,processor_response_code,processor_response_text --format table
 
 ENVIRONMENT:
   Requires .env file with Braintree credentials:
@@ -340,9 +704,25 @@ ENVIRONMENT:
     BRAINTREE_MERCHANT_ID=your_merchant_id
     BRAINTREE_PUBLIC_KEY=your_public_key
     BRAINTREE_PRIVATE_KEY=your_private_key
+
+  Or set BRAINTREE_ENVIRONMENT=mock to report on the offline mock gateway's
+  transactions (no credentials or network needed).
 `);
 }
 
+// One help line per catalog field: name, path in the transaction view and
+// what it holds
+function describeFields() {
+  const width = Math.max(...Object.keys(FIELDS).map(name => name.length));
+
+  return Object.keys(FIELDS)
+    .map(name => {
+      const [fieldPath, , , description] = FIELDS[name];
+      return `  ${name.padEnd(width)}  ${description} (${fieldPath})`;
+    })
+    .join('\n');
+}
+
 // Run the script
 if (require.main === module) {
   main();
@@ -350,8 +730,10 @@ if (require.main === module) {
 
 module.exports = {
   main,
+  applyFilters,
   fetchTransactions,
   generateCSV,
+  generateSummaryOutput,
   generateJSON,
   generateTable,
 };
@@ -0,0 +1,57 @@
+/**
+ * Admin Authentication
+ * Protects back-office endpoints (captures, refunds, voids, lookups) with a
+ * shared key from ADMIN_API_KEY, sent as "Authorization: Bearer <key>" or
+ * "X-Admin-Key".
+ * Without a key configured the endpoints are closed to everyone.
+ */
+
+const crypto = require('crypto');
+
+function readKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  return req.headers['x-admin-key'] || '';
+}
+
+function keysMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Whether the request may use admin features: it carries the configured
+// admin key
+function isAdminRequest(req) {
+  const expected = process.env.ADMIN_API_KEY;
+
+  if (!expected) {
+    return false;
+  }
+
+  return keysMatch(readKey(req), expected);
+}
+
+// Express middleware for admin-only routes
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res
+      .status(403)
+      .json({ error: 'ADMIN_API_KEY must be set to use admin endpoints' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Admin API key required' });
+  }
+
+  next();
+}
+
+module.exports = {
+  isAdminRequest,
+  requireAdmin,
+};
@@ -0,0 +1,128 @@
+/**
+ * Blocklist
+ * IP addresses and customer IDs that may not use the checkout endpoints
+ * (default: data/blocklist.json), for shutting out a card tester the rate
+ * limits haven't stopped. Entries can expire, for temporary blocks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { clientIp } = require('./rate-limit');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'blocklist.json');
+
+const ENTRY_TYPES = ['ip', 'customer'];
+
+class Blocklist {
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || DEFAULT_DATA_FILE;
+    this.entries = fs.existsSync(this.dataFile)
+      ? JSON.parse(fs.readFileSync(this.dataFile, 'utf8'))
+      : [];
+  }
+
+  // Block an IP or customer, replacing any existing entry for it.
+  // `expiresAt` is an ISO 8601 date, or null to block until removed.
+  add({ type, value, reason, expiresAt }) {
+    this.remove(type, value);
+
+    const entry = {
+      type,
+      value: normalizeValue(type, value),
+      reason: reason || null,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt || null,
+    };
+
+    this.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  // Returns whether there was an entry to remove
+  remove(type, value) {
+    const normalized = normalizeValue(type, value);
+    const count = this.entries.length;
+
+    this.entries = this.entries.filter(
+      entry => !(entry.type === type && entry.value === normalized)
+    );
+    if (this.entries.length === count) {
+      return false;
+    }
+
+    this.save();
+    return true;
+  }
+
+  // Active entries, newest first
+  list() {
+    return this.active().slice().reverse();
+  }
+
+  // The entry blocking this IP or customer, or null
+  match({ ip, customerId }) {
+    return (
+      this.active().find(
+        entry =>
+          (entry.type === 'ip' && entry.value === normalizeValue('ip', ip)) ||
+          (entry.type === 'customer' &&
+            customerId &&
+            entry.value === customerId)
+      ) || null
+    );
+  }
+
+  active() {
+    const now = Date.now();
+    return this.entries.filter(
+      entry => !entry.expiresAt || Date.parse(entry.expiresAt) > now
+    );
+  }
+
+  save() {
+    // Expired entries are dropped whenever the list changes
+    this.entries = this.active();
+
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+    fs.writeFileSync(this.dataFile, JSON.stringify(this.entries, null, 2));
+  }
+}
+
+function normalizeValue(type, value) {
+  const trimmed = String(value || '').trim();
+  return type === 'ip' ? trimmed.replace(/^::ffff:/, '') : trimmed;
+}
+
+// Express middleware: answers 403 for blocked IPs and customers
+function rejectBlocked(blocklist, getCustomerId = () => null) {
+  return (req, res, next) => {
+    const entry = blocklist.match({
+      ip: clientIp(req),
+      customerId: getCustomerId(req),
+    });
+
+    if (entry) {
+      logger.warn('Blocked request', {
+        type: entry.type,
+        value: entry.value,
+        path: req.path,
+      });
+      return res.status(403).json({
+        success: false,
+        code: 'blocked',
+        error:
+          "Payments can't be accepted from this connection or account. Contact us if you think this is a mistake.",
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  Blocklist,
+  ENTRY_TYPES,
+  rejectBlocked,
+};
@@ -0,0 +1,154 @@
+/**
+ * Product Catalog
+ * What the store sells, in every checkout currency, plus the promo codes,
+ * shipping options and tax rates used to price orders. Prices are set per
+ * currency rather than converted, like a real price list.
+ */
+
+const { CURRENCIES } = require('./currencies');
+
+// Prices by currency code; every checkout currency needs one
+const PRODUCTS = [
+  priced('tshirt', 'Braintree T-Shirt', 'Soft cotton tee with the logo', {
+    USD: '24.00',
+    EUR: '22.00',
+    GBP: '19.00',
+    CAD: '32.00',
+    AUD: '36.00',
+    JPY: '3600',
+  }),
+  priced('hoodie', 'Hoodie', 'Heavyweight zip hoodie', {
+    USD: '55.00',
+    EUR: '50.00',
+    GBP: '44.00',
+    CAD: '74.00',
+    AUD: '82.00',
+    JPY: '8200',
+  }),
+  priced('mug', 'Coffee Mug', '12 oz ceramic mug', {
+    USD: '12.50',
+    EUR: '11.50',
+    GBP: '10.00',
+    CAD: '17.00',
+    AUD: '19.00',
+    JPY: '1900',
+  }),
+  priced('stickers', 'Sticker Pack', 'Five vinyl stickers', {
+    USD: '4.99',
+    EUR: '4.50',
+    GBP: '3.99',
+    CAD: '6.50',
+    AUD: '7.50',
+    JPY: '750',
+  }),
+];
+
+// Delivered options need a destination to ship to (and tax for); pickup
+// doesn't
+const SHIPPING_OPTIONS = [
+  delivered(
+    priced('standard', 'Standard (5-7 business days)', null, {
+      USD: '5.00',
+      EUR: '5.00',
+      GBP: '4.00',
+      CAD: '7.00',
+      AUD: '8.00',
+      JPY: '800',
+    })
+  ),
+  delivered(
+    priced('express', 'Express (2-3 business days)', null, {
+      USD: '15.00',
+      EUR: '14.00',
+      GBP: '12.00',
+      CAD: '20.00',
+      AUD: '22.00',
+      JPY: '2200',
+    })
+  ),
+  priced('pickup', 'Store pickup', null, {
+    USD: '0.00',
+    EUR: '0.00',
+    GBP: '0.00',
+    CAD: '0.00',
+    AUD: '0.00',
+    JPY: '0',
+  }),
+];
+
+// Codes are matched case-insensitively
+const PROMO_CODES = {
+  SAVE10: { description: '10% off your order', percentOff: 10 },
+  FREESHIP: { description: 'Free shipping', freeShipping: true },
+};
+
+// Sales tax / VAT in basis points (725 = 7.25%), by country, or by state
+// or province where it varies. Unlisted destinations are not taxed.
+const TAX_RATES = {
+  US: { CA: 725, IL: 625, NY: 400, TX: 625, WA: 650 },
+  CA: 500,
+  GB: 2000,
+  DE: 1900,
+  FR: 2000,
+  AU: 1000,
+  JP: 1000,
+};
+
+function findProduct(productId) {
+  return PRODUCTS.find(item => item.id === productId) || null;
+}
+
+function findShippingOption(shippingOptionId) {
+  return (
+    SHIPPING_OPTIONS.find(option => option.id === shippingOptionId) || null
+  );
+}
+
+function findPromoCode(code) {
+  const normalized = String(code).trim().toUpperCase();
+  return PROMO_CODES[normalized]
+    ? Object.assign({ code: normalized }, PROMO_CODES[normalized])
+    : null;
+}
+
+// Whether a country's tax rate depends on the state or province
+function taxedByRegion(countryCodeAlpha2) {
+  return typeof TAX_RATES[countryCodeAlpha2] === 'object';
+}
+
+// Tax rate in basis points for a { countryCodeAlpha2, region } destination
+function taxRate(destination = {}) {
+  const rate = TAX_RATES[destination.countryCodeAlpha2];
+
+  if (rate && typeof rate === 'object') {
+    return rate[String(destination.region || '').toUpperCase()] || 0;
+  }
+  return rate || 0;
+}
+
+// A catalog entry; fails at startup if a currency has no price, rather than
+// pricing orders in it wrongly
+function priced(id, name, description, prices) {
+  const missing = Object.keys(CURRENCIES).filter(
+    code => prices[code] === undefined
+  );
+  if (missing.length > 0) {
+    throw new Error(`${id} has no price in ${missing.join(', ')}`);
+  }
+
+  return { id, name, description, prices };
+}
+
+function delivered(shippingOption) {
+  return Object.assign(shippingOption, { requiresDestination: true });
+}
+
+module.exports = {
+  PRODUCTS,
+  SHIPPING_OPTIONS,
+  findProduct,
+  findPromoCode,
+  findShippingOption,
+  taxRate,
+  taxedByRegion,
+};
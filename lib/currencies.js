@@ -0,0 +1,102 @@
+/**
+ * Currencies
+ * The currencies the checkout can charge in, with their ISO 4217 minor units
+ * (JPY has no decimal places) and a per-sale limit. Each configured currency
+ * is routed to its own Braintree merchant account, since a merchant account
+ * settles in a single currency.
+ */
+
+const CURRENCIES = {
+  USD: { minorUnits: 2, maxAmount: '10000.00' },
+  EUR: { minorUnits: 2, maxAmount: '10000.00' },
+  GBP: { minorUnits: 2, maxAmount: '10000.00' },
+  CAD: { minorUnits: 2, maxAmount: '10000.00' },
+  AUD: { minorUnits: 2, maxAmount: '10000.00' },
+  JPY: { minorUnits: 0, maxAmount: '1000000' },
+};
+
+// One mock merchant account per currency: mock_merchant_usd, mock_merchant_eur, ...
+const MOCK_MERCHANT_ACCOUNTS = Object.keys(CURRENCIES).reduce(
+  (accounts, currencyIsoCode) => {
+    accounts[
+      currencyIsoCode
+    ] = `mock_merchant_${currencyIsoCode.toLowerCase()}`;
+    return accounts;
+  },
+  {}
+);
+
+// "10" -> "10.00" for USD, "1000" for JPY
+function formatAmount(amount, currencyIsoCode) {
+  return parseFloat(amount).toFixed(minorUnits(currencyIsoCode));
+}
+
+// Integer amounts in the currency's smallest unit, so totals can be added
+// without floating point rounding: "12.50" USD -> 1250, "1500" JPY -> 1500
+function toMinorUnits(amount, currencyIsoCode) {
+  return Math.round(
+    parseFloat(amount) * Math.pow(10, minorUnits(currencyIsoCode))
+  );
+}
+
+function fromMinorUnits(units, currencyIsoCode) {
+  return formatAmount(
+    units / Math.pow(10, minorUnits(currencyIsoCode)),
+    currencyIsoCode
+  );
+}
+
+// False when the amount has more decimal places than the currency allows
+function hasValidPrecision(amount, currencyIsoCode) {
+  const [, decimals = ''] = String(amount).split('.');
+  return decimals.length <= minorUnits(currencyIsoCode);
+}
+
+// Error message for amounts with too many decimal places
+function describePrecision(currencyIsoCode) {
+  const units = minorUnits(currencyIsoCode);
+  return units === 0
+    ? `${currencyIsoCode} amounts can't have decimal places`
+    : `${currencyIsoCode} amounts can have at most ${units} decimal places`;
+}
+
+function minorUnits(currencyIsoCode) {
+  const currency = CURRENCIES[currencyIsoCode];
+  return currency ? currency.minorUnits : 2;
+}
+
+// Parses "USD:acme_usd,EUR:acme_eur" into { USD: 'acme_usd', EUR: 'acme_eur' }
+function parseMerchantAccounts(value) {
+  return value
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .reduce((accounts, pair) => {
+      const [currencyIsoCode, merchantAccountId] = pair
+        .split(':')
+        .map(part => part.trim());
+
+      if (!CURRENCIES[currencyIsoCode] || !merchantAccountId) {
+        throw new Error(
+          `Invalid merchant account mapping "${pair}": expected CURRENCY:merchant_account_id with one of ${Object.keys(
+            CURRENCIES
+          ).join(', ')}`
+        );
+      }
+
+      accounts[currencyIsoCode] = merchantAccountId;
+      return accounts;
+    }, {});
+}
+
+module.exports = {
+  CURRENCIES,
+  MOCK_MERCHANT_ACCOUNTS,
+  describePrecision,
+  formatAmount,
+  fromMinorUnits,
+  hasValidPrecision,
+  minorUnits,
+  parseMerchantAccounts,
+  toMinorUnits,
+};
@@ -0,0 +1,157 @@
+/**
+ * Customer Session
+ * Remembers which Braintree customer the browser is signed in as, using an
+ * HMAC-signed cookie so the customer ID can't be tampered with client-side.
+ * Whatever authenticates your users should call signIn() with their
+ * Braintree customer ID, or hand the browser a short-lived login token from
+ * createLoginToken() to exchange at POST /api/session. Guests get an
+ * anonymous checkout session cookie instead, used for rate limiting.
+ */
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'bt_customer';
+const CHECKOUT_COOKIE_NAME = 'bt_checkout';
+const CHECKOUT_SESSION_PATTERN = /^[0-9a-f]{32}$/;
+const CUSTOMER_ID_PATTERN = /^[A-Za-z0-9_-]{1,36}$/;
+const LOGIN_TOKEN_PATTERN = /^([A-Za-z0-9_-]{1,36})\.(\d+)\.([A-Za-z0-9_-]+)$/;
+// Signed with a prefix so a login token can't pass as a session cookie
+const LOGIN_TOKEN_PREFIX = 'login:';
+
+// Without a configured secret, sessions only last until the server restarts
+const secret =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+function sign(value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function signaturesMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Malformed cookies (e.g. a stray "%") are skipped rather than failing the
+// request
+function parseCookies(header) {
+  return (header || '').split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(
+          pair.slice(index + 1).trim()
+        );
+      } catch (error) {
+        // Not valid percent-encoding
+      }
+    }
+    return cookies;
+  }, {});
+}
+
+// Return the signed-in customer ID, or null if there is no valid session
+function getCustomerId(req) {
+  const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  if (!cookie) {
+    return null;
+  }
+
+  const index = cookie.lastIndexOf('.');
+  const customerId = cookie.slice(0, index);
+
+  if (
+    index < 0 ||
+    !signaturesMatch(cookie.slice(index + 1), sign(customerId))
+  ) {
+    return null;
+  }
+
+  return customerId;
+}
+
+// A login token for a customer, valid for `ttlSeconds`. Issue it once the
+// user has authenticated; the browser exchanges it for a session cookie.
+function createLoginToken(customerId, ttlSeconds) {
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const payload = `${customerId}.${expiresAt}`;
+
+  return {
+    loginToken: `${payload}.${sign(LOGIN_TOKEN_PREFIX + payload)}`,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+// The customer ID of a valid, unexpired login token, or null
+function verifyLoginToken(token) {
+  const match = LOGIN_TOKEN_PATTERN.exec(
+    typeof token === 'string' ? token : ''
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, customerId, expiresAt, signature] = match;
+  const expected = sign(`${LOGIN_TOKEN_PREFIX}${customerId}.${expiresAt}`);
+
+  if (!signaturesMatch(signature, expected) || Number(expiresAt) < Date.now()) {
+    return null;
+  }
+
+  return customerId;
+}
+
+function signIn(res, customerId) {
+  const value = `${customerId}.${sign(customerId)}`;
+  res.setHeader(
+    'Set-Cookie',
+    `${COOKIE_NAME}=${encodeURIComponent(
+      value
+    )}; Path=/; HttpOnly; SameSite=Lax`
+  );
+}
+
+function signOut(res) {
+  res.setHeader(
+    'Set-Cookie',
+    `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`
+  );
+}
+
+// ID of the browser's checkout session, set as a cookie on first use. It
+// isn't signed: it only groups a browser's requests, and anyone can drop
+// their cookies to get a new one.
+function checkoutSessionId(req, res) {
+  const cookie = parseCookies(req.headers.cookie)[CHECKOUT_COOKIE_NAME];
+  if (cookie && CHECKOUT_SESSION_PATTERN.test(cookie)) {
+    return cookie;
+  }
+
+  // Several middlewares may ask during the first request; they share one ID
+  if (res.locals.checkoutSessionId) {
+    return res.locals.checkoutSessionId;
+  }
+
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  res.locals.checkoutSessionId = sessionId;
+  res.append(
+    'Set-Cookie',
+    `${CHECKOUT_COOKIE_NAME}=${sessionId}; Path=/; HttpOnly; SameSite=Lax`
+  );
+  return sessionId;
+}
+
+function isValidCustomerId(customerId) {
+  return typeof customerId === 'string' && CUSTOMER_ID_PATTERN.test(customerId);
+}
+
+module.exports = {
+  createLoginToken,
+  getCustomerId,
+  signIn,
+  signOut,
+  checkoutSessionId,
+  isValidCustomerId,
+  verifyLoginToken,
+};
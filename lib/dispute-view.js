@@ -0,0 +1,83 @@
+/**
+ * Dispute View
+ * Turns a Braintree dispute into the JSON shape returned by /api/disputes,
+ * with the evidence submitted so far and how long is left to reply.
+ */
+
+// Only open disputes can take evidence, be accepted or be finalized
+const RESPONDABLE_STATUS = 'open';
+
+function normalizeDispute(dispute, now = new Date()) {
+  const transaction = dispute.transaction || {};
+
+  return {
+    id: dispute.id,
+    kind: dispute.kind,
+    status: dispute.status,
+    reason: dispute.reason,
+    reasonCode: dispute.reasonCode || null,
+    reasonDescription: dispute.reasonDescription || null,
+    amountDisputed: dispute.amountDisputed,
+    amountWon: dispute.amountWon || null,
+    currencyIsoCode: dispute.currencyIsoCode,
+    merchantAccountId: dispute.merchantAccountId || null,
+    caseNumber: dispute.caseNumber || null,
+    referenceNumber: dispute.referenceNumber || null,
+    receivedDate: dispute.receivedDate || null,
+    replyByDate: dispute.replyByDate || null,
+    daysToReply: daysUntil(dispute.replyByDate, now),
+    respondable: dispute.status === RESPONDABLE_STATUS,
+    processorComments: dispute.processorComments || null,
+    createdAt: dispute.createdAt || null,
+    updatedAt: dispute.updatedAt || null,
+    statusHistory: (dispute.statusHistory || []).map(event => ({
+      status: event.status,
+      timestamp: event.timestamp,
+      effectiveDate: event.effectiveDate || null,
+    })),
+    evidence: (dispute.evidence || []).map(normalizeEvidence),
+    transaction: {
+      id: transaction.id || null,
+      amount: transaction.amount || null,
+      createdAt: transaction.createdAt || null,
+      orderId: transaction.orderId || null,
+      purchaseOrderNumber: transaction.purchaseOrderNumber || null,
+      paymentInstrumentSubtype: transaction.paymentInstrumentSubtype || null,
+    },
+  };
+}
+
+// Text evidence carries a comment, file evidence a URL to the document
+function normalizeEvidence(evidence) {
+  return {
+    id: evidence.id,
+    type: evidence.url ? 'file' : 'text',
+    comment: evidence.comment || null,
+    url: evidence.url || null,
+    category: evidence.category || null,
+    sequenceNumber:
+      evidence.sequenceNumber !== undefined ? evidence.sequenceNumber : null,
+    createdAt: evidence.createdAt || null,
+    sentToProcessorAt: evidence.sentToProcessorAt || null,
+  };
+}
+
+// Whole days from today until a YYYY-MM-DD date (negative once it's past),
+// or null without a date
+function daysUntil(date, now) {
+  if (!date) {
+    return null;
+  }
+
+  const today = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate()
+  );
+  return Math.round((Date.parse(date) - today) / (24 * 60 * 60 * 1000));
+}
+
+module.exports = {
+  normalizeDispute,
+  normalizeEvidence,
+};
@@ -0,0 +1,73 @@
+/**
+ * Braintree Gateway Factory
+ * Builds the gateway shared by server.js and generate-report.js from the
+ * BRAINTREE_* environment variables. BRAINTREE_ENVIRONMENT=mock returns the
+ * offline MockGateway instead of talking to Braintree.
+ */
+
+const braintree = require('braintree');
+const {
+  MOCK_MERCHANT_ACCOUNTS,
+  parseMerchantAccounts,
+} = require('./currencies');
+
+function isMockEnvironment() {
+  return process.env.BRAINTREE_ENVIRONMENT === 'mock';
+}
+
+function isProductionEnvironment() {
+  return process.env.BRAINTREE_ENVIRONMENT === 'production';
+}
+
+function createGateway() {
+  if (isMockEnvironment()) {
+    // Loaded only in mock mode: it builds on SDK internals that a braintree
+    // upgrade may move, which mustn't break the real gateway
+    const { MockGateway } = require('./mock-gateway');
+
+    return new MockGateway({
+      dataFile: process.env.BRAINTREE_MOCK_DATA_FILE,
+      merchantAccounts: process.env.BRAINTREE_MERCHANT_ACCOUNTS
+        ? parseMerchantAccounts(process.env.BRAINTREE_MERCHANT_ACCOUNTS)
+        : undefined,
+      merchantId: process.env.BRAINTREE_MERCHANT_ID,
+      publicKey: process.env.BRAINTREE_PUBLIC_KEY,
+      privateKey: process.env.BRAINTREE_PRIVATE_KEY,
+      settlementDelaySeconds: process.env.BRAINTREE_MOCK_SETTLEMENT_DELAY
+        ? parseInt(process.env.BRAINTREE_MOCK_SETTLEMENT_DELAY, 10)
+        : undefined,
+    });
+  }
+
+  return new braintree.BraintreeGateway({
+    environment: isProductionEnvironment()
+      ? braintree.Environment.Production
+      : braintree.Environment.Sandbox,
+    merchantId: process.env.BRAINTREE_MERCHANT_ID,
+    publicKey: process.env.BRAINTREE_PUBLIC_KEY,
+    privateKey: process.env.BRAINTREE_PRIVATE_KEY,
+  });
+}
+
+// Merchant account to charge for each checkout currency, from
+// BRAINTREE_MERCHANT_ACCOUNTS ("USD:acme_usd,EUR:acme_eur"). Without it, the
+// mock offers every currency, and Braintree charges DEFAULT_CURRENCY to the
+// default merchant account (null).
+function configureMerchantAccounts() {
+  if (process.env.BRAINTREE_MERCHANT_ACCOUNTS) {
+    return parseMerchantAccounts(process.env.BRAINTREE_MERCHANT_ACCOUNTS);
+  }
+
+  if (isMockEnvironment()) {
+    return MOCK_MERCHANT_ACCOUNTS;
+  }
+
+  return { [process.env.DEFAULT_CURRENCY || 'USD']: null };
+}
+
+module.exports = {
+  configureMerchantAccounts,
+  createGateway,
+  isMockEnvironment,
+  isProductionEnvironment,
+};
@@ -0,0 +1,213 @@
+/**
+ * Idempotency Store
+ * Remembers the outcome of each /api/sale request sent with an
+ * Idempotency-Key header (default: data/idempotency-keys.json), so a
+ * double-click or network retry replays the first response instead of
+ * charging again. Keys expire after 24 hours. A request cut short by a
+ * restart may have charged, so its key answers with a 504 from then on.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(
+  __dirname,
+  '..',
+  'data',
+  'idempotency-keys.json'
+);
+
+const DEFAULT_TTL_HOURS = 24;
+
+// Fields that legitimately change when a checkout attempt is retried: the
+// page tokenizes again (new single-use nonce) and collects fresh device data
+const VOLATILE_FIELDS = ['paymentMethodNonce', 'deviceData'];
+
+class IdempotencyStore {
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || DEFAULT_DATA_FILE;
+    this.ttlMs = (options.ttlHours || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+    this.records = fs.existsSync(this.dataFile)
+      ? JSON.parse(fs.readFileSync(this.dataFile, 'utf8'))
+      : {};
+
+    // Requests that were in flight when the server stopped have an unknown
+    // outcome, so retrying them could charge twice
+    Object.values(this.records).forEach(record => {
+      if (record.state === 'in_progress') {
+        record.state = 'interrupted';
+      }
+    });
+  }
+
+  find(key) {
+    const record = this.records[key];
+
+    if (record && Date.parse(record.createdAt) + this.ttlMs < Date.now()) {
+      delete this.records[key];
+      return null;
+    }
+
+    return record || null;
+  }
+
+  // Claim a key for a request that is about to run
+  begin(key, fingerprint) {
+    this.records[key] = {
+      key,
+      fingerprint,
+      state: 'in_progress',
+      createdAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  // Store the response to replay for later requests with the same key
+  complete(key, statusCode, body) {
+    Object.assign(this.records[key], {
+      state: 'completed',
+      statusCode,
+      body,
+      completedAt: new Date().toISOString(),
+    });
+    this.save();
+  }
+
+  // Forget a key whose request failed before reaching a definite outcome,
+  // so it can be retried
+  release(key) {
+    delete this.records[key];
+    this.save();
+  }
+
+  save() {
+    const cutoff = Date.now() - this.ttlMs;
+    Object.keys(this.records).forEach(key => {
+      if (Date.parse(this.records[key].createdAt) < cutoff) {
+        delete this.records[key];
+      }
+    });
+
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+    fs.writeFileSync(this.dataFile, JSON.stringify(this.records, null, 2));
+  }
+}
+
+// Hash of what the request asks for, so a key can't be reused for a
+// different payment. Object keys are sorted so property order doesn't matter.
+function requestFingerprint(req, scope) {
+  const body = Object.assign({}, req.body);
+  VOLATILE_FIELDS.forEach(field => delete body[field]);
+
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([req.method, req.path, scope || null, sortKeys(body)])
+    )
+    .digest('hex');
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((sorted, key) => {
+        sorted[key] = sortKeys(value[key]);
+        return sorted;
+      }, {});
+  }
+  return value;
+}
+
+// Express middleware: replays stored responses for repeated Idempotency-Key
+// requests. Requests without the header are handled as usual.
+// `getScope(req, res)` ties keys to the caller (e.g. the signed-in customer),
+// so two callers can use the same key without seeing each other's responses.
+// `options.release(body)` picks the error responses known to have failed
+// before anything was charged; only those free the key for a retry.
+function idempotent(store, getScope = () => null, options = {}) {
+  const release = options.release || (() => false);
+
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Idempotency-Key must be 1-255 printable characters',
+      });
+    }
+
+    const scope = getScope(req, res);
+    // Printable keys have no spaces, so the scope can't run into the key
+    const storeKey = scope ? `${scope} ${key}` : key;
+    const fingerprint = requestFingerprint(req, scope);
+    const existing = store.find(storeKey);
+
+    if (existing && existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        error:
+          'This Idempotency-Key was already used for a different request. Use a new key for a new payment.',
+      });
+    }
+
+    if (existing && existing.state === 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        error:
+          'A request with this Idempotency-Key is still being processed. Try again shortly.',
+      });
+    }
+
+    if (existing && existing.state === 'interrupted') {
+      return res.status(504).json({
+        success: false,
+        error:
+          'The first request with this Idempotency-Key was interrupted, and the payment may still have gone through. Check it before paying again with a new key.',
+      });
+    }
+
+    if (existing) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    store.begin(storeKey, fingerprint);
+
+    // Routes that end without a JSON response leave no outcome to replay
+    res.on('close', () => {
+      const record = store.find(storeKey);
+      if (record && record.state === 'in_progress') {
+        store.release(storeKey);
+      }
+    });
+
+    // Capture the response the route sends. Other server errors (e.g. a
+    // gateway timeout) may have charged, so they're stored and replayed too.
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 500 && release(body)) {
+        store.release(storeKey);
+      } else {
+        store.complete(storeKey, res.statusCode, body);
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  IdempotencyStore,
+  idempotent,
+};
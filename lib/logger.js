@@ -0,0 +1,270 @@
+/**
+ * Logger
+ * Structured JSON logs, one entry per line, that are safe to ship to a log
+ * service: PII (names, emails, addresses) and secrets (nonces, tokens,
+ * device data) are redacted before anything is written. Entries written
+ * while a request is being handled carry its request ID. LOG_LEVEL sets the
+ * lowest level written: debug, info (default), warn or error.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Fields whose values are never logged, matched against the field name
+const SECRET_FIELDS =
+  /nonce|token|devicedata|authorization|cookie|secret|password|privatekey|cvv|^number$/i;
+const PII_FIELDS =
+  /.name$|email|phone|address|street|locality|region|postalcode|company|fax|website/i;
+
+// PII that can turn up inside otherwise harmless strings
+const EMAIL_PATTERN = /[^\s@"']+@[^\s@"']+\.[a-z]{2,}/gi;
+const CARD_NUMBER_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Request context ({ requestId }) for whatever runs while a request is handled
+const requestContext = new AsyncLocalStorage();
+
+class Logger {
+  constructor(options = {}) {
+    const level = options.level || 'info';
+    if (!LEVELS.includes(level)) {
+      throw new Error(`LOG_LEVEL must be one of: ${LEVELS.join(', ')}`);
+    }
+
+    this.minLevel = LEVELS.indexOf(level);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  log(level, message, fields = {}) {
+    if (LEVELS.indexOf(level) < this.minLevel) {
+      return;
+    }
+
+    const entry = Object.assign(
+      { time: new Date().toISOString(), level, message: scrub(message) },
+      requestContext.getStore(),
+      redact(fields)
+    );
+    const line = JSON.stringify(entry) + '\n';
+
+    if (level === 'warn' || level === 'error') {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+}
+
+// Copy of `value` that is safe to log: secret and PII fields are replaced
+// with '[REDACTED]', emails and card numbers are masked in strings, and
+// errors become plain objects
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        type: value.type,
+        message: value.message,
+        stack: value.stack,
+      },
+      depth
+    );
+  }
+  if (typeof value === 'string') {
+    return scrub(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  // Deeply nested gateway objects aren't worth the space
+  if (depth >= 6) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  return Object.keys(value).reduce((copy, field) => {
+    if (value[field] === undefined) {
+      return copy;
+    }
+    copy[field] =
+      (SECRET_FIELDS.test(field) || PII_FIELDS.test(field)) &&
+      value[field] !== null
+        ? '[REDACTED]'
+        : redact(value[field], depth + 1);
+    return copy;
+  }, {});
+}
+
+function scrub(text) {
+  return String(text)
+    .replace(EMAIL_PATTERN, '[REDACTED_EMAIL]')
+    .replace(CARD_NUMBER_PATTERN, '[REDACTED_NUMBER]');
+}
+
+const logger = new Logger({ level: process.env.LOG_LEVEL || 'info' });
+
+// Express middleware: gives each request an ID (the caller's X-Request-Id,
+// if it looks like one), returns it in the X-Request-Id header, adds it to
+// every entry logged while handling the request, and logs the response.
+function requestLogging(log = logger) {
+  return (req, res, next) => {
+    const header = req.get('X-Request-Id');
+    const requestId =
+      header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      const fields = {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: elapsedMs(startedAt),
+        ip: String(req.ip || '').replace(/^::ffff:/, ''),
+      };
+      if (res.statusCode >= 500) {
+        log.error('Request failed', fields);
+      } else {
+        log.info('Request completed', fields);
+      }
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+// Wraps a Braintree (or mock) gateway so every call that returns a promise,
+// like gateway.transaction.sale(), is logged with how long it took and how it
+// ended: success, a declined or rejected transaction's status, or
+// validation_error. Errors thrown by the gateway are logged and rethrown.
+function logGatewayCalls(gateway, log = logger) {
+  const services = {};
+
+  return new Proxy(gateway, {
+    get(target, property) {
+      const value = target[property];
+      if (!value || typeof value !== 'object' || typeof property !== 'string') {
+        return value;
+      }
+
+      if (!services[property]) {
+        services[property] = timedService(value, property, log);
+      }
+      return services[property];
+    },
+  });
+}
+
+function timedService(service, serviceName, log) {
+  return new Proxy(service, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function') {
+        return value;
+      }
+
+      return (...args) => {
+        const startedAt = process.hrtime.bigint();
+        const pending = value.apply(target, args);
+
+        // Streams (transaction.search) and synchronous calls pass through
+        if (!pending || typeof pending.then !== 'function') {
+          return pending;
+        }
+
+        const operation = `${serviceName}.${String(property)}`;
+        return pending.then(
+          response => {
+            const outcome = gatewayOutcome(response);
+            log[outcome.outcome === 'success' ? 'info' : 'warn'](
+              'Gateway call',
+              Object.assign(
+                { operation, durationMs: elapsedMs(startedAt) },
+                outcome
+              )
+            );
+            return response;
+          },
+          error => {
+            log.warn('Gateway call failed', {
+              operation,
+              durationMs: elapsedMs(startedAt),
+              outcome: 'error',
+              error: {
+                name: error.name,
+                type: error.type,
+                message: error.message,
+              },
+            });
+            throw error;
+          }
+        );
+      };
+    },
+  });
+}
+
+// What a gateway response says about how the call ended. Lookups (find,
+// all) resolve with the object itself, which counts as a success.
+function gatewayOutcome(response) {
+  if (!response || typeof response.success !== 'boolean') {
+    return { outcome: 'success' };
+  }
+
+  const transaction = response.transaction;
+  const details = transaction
+    ? {
+        transactionId: transaction.id,
+        transactionStatus: transaction.status,
+        processorResponseCode: transaction.processorResponseCode,
+        gatewayRejectionReason: transaction.gatewayRejectionReason || undefined,
+      }
+    : {};
+
+  if (response.success) {
+    return Object.assign({ outcome: 'success' }, details);
+  }
+
+  return Object.assign(
+    {
+      outcome: transaction ? transaction.status : 'validation_error',
+      gatewayMessage: response.message,
+    },
+    details
+  );
+}
+
+function elapsedMs(startedAt) {
+  return Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000;
+}
+
+module.exports = {
+  Logger,
+  logGatewayCalls,
+  logger,
+  redact,
+  requestLogging,
+};
@@ -0,0 +1,2307 @@
+/**
+ * Mock Braintree Gateway
+ * In-memory, file-backed stand-in for braintree.BraintreeGateway used when
+ * BRAINTREE_ENVIRONMENT=mock. It understands Braintree's fake-* test nonces,
+ * the sandbox decline amounts, vaulting, customers, transaction.search and
+ * disputes so the server and report CLI can run without credentials or
+ * network access.
+ *
+ * State is persisted to a JSON file (default: data/mock-gateway.json) so the
+ * server and the report CLI see the same transactions. Webhook notifications
+ * are signed with fixed mock keys (or BRAINTREE_PUBLIC_KEY/PRIVATE_KEY).
+ */
+
+const braintree = require('braintree');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { DisputeSearch } = require('braintree/lib/braintree/dispute_search');
+const {
+  TransactionSearch,
+} = require('braintree/lib/braintree/transaction_search');
+const {
+  ValidationErrorsCollection,
+} = require('braintree/lib/braintree/validation_errors_collection');
+const {
+  WebhookNotificationGateway,
+} = require('braintree/lib/braintree/webhook_notification_gateway');
+const {
+  WebhookTestingGateway,
+} = require('braintree/lib/braintree/webhook_testing_gateway');
+const {
+  CURRENCIES,
+  MOCK_MERCHANT_ACCOUNTS,
+  formatAmount,
+} = require('./currencies');
+
+const DEFAULT_DATA_FILE = path.join(
+  __dirname,
+  '..',
+  'data',
+  'mock-gateway.json'
+);
+
+// Braintree's static test nonces and the payment methods they represent
+// https://developer.paypal.com/braintree/docs/reference/general/testing/node
+const TEST_NONCES = {
+  'fake-valid-nonce': card('Visa', '411111', '1111'),
+  'fake-valid-visa-nonce': card('Visa', '401288', '1881'),
+  'fake-valid-amex-nonce': card('American Express', '378282', '0005'),
+  'fake-valid-mastercard-nonce': card('MasterCard', '555555', '4444'),
+  'fake-valid-discover-nonce': card('Discover', '601111', '1117'),
+  'fake-valid-jcb-nonce': card('JCB', '353011', '0000'),
+  'fake-valid-debit-nonce': card('Visa', '400555', '0009', { debit: 'Yes' }),
+  'fake-valid-prepaid-nonce': card('Visa', '450072', '0001', {
+    prepaid: 'Yes',
+  }),
+  'fake-valid-commercial-nonce': card('Visa', '455673', '0002', {
+    commercial: 'Yes',
+  }),
+  'fake-processor-declined-visa-nonce': card('Visa', '400011', '0001', {
+    declineCode: '2000',
+  }),
+  'fake-processor-declined-mastercard-nonce': card(
+    'MasterCard',
+    '510510',
+    '5100',
+    { declineCode: '2000' }
+  ),
+  'fake-processor-declined-amex-nonce': card(
+    'American Express',
+    '378734',
+    '1000',
+    { declineCode: '2000' }
+  ),
+  'fake-processor-declined-discover-nonce': card('Discover', '601100', '0004', {
+    declineCode: '2000',
+  }),
+  'fake-processor-failure-visa-nonce': card('Visa', '400011', '0002', {
+    failureCode: '3000',
+  }),
+  'fake-gateway-rejected-fraud-valid-nonce': card('Visa', '400011', '1511', {
+    gatewayRejectionReason: 'fraud',
+  }),
+  'fake-three-d-secure-visa-full-authentication-nonce': threeDSecureCard(
+    '1000',
+    threeDSecure('authenticate_successful', 'Y', true)
+  ),
+  'fake-three-d-secure-visa-failed-authentication-nonce': threeDSecureCard(
+    '1018',
+    threeDSecure('authenticate_failed', 'Y', false)
+  ),
+  'fake-three-d-secure-visa-attempts-non-participating-nonce': threeDSecureCard(
+    '1034',
+    threeDSecure('authenticate_attempt_successful', 'Y', true)
+  ),
+  'fake-three-d-secure-visa-not-enrolled-nonce': threeDSecureCard(
+    '1059',
+    threeDSecure('lookup_not_enrolled', 'N', false)
+  ),
+  'fake-three-d-secure-visa-lookup-timeout-nonce': threeDSecureCard(
+    '1042',
+    threeDSecure('lookup_error', 'U', false)
+  ),
+  'fake-three-d-secure-two-visa-successful-frictionless-authentication-nonce':
+    threeDSecureCard(
+      '1091',
+      threeDSecure('authenticate_successful', 'Y', true, '2.2.0')
+    ),
+  'fake-three-d-secure-two-visa-successful-step-up-authentication-nonce':
+    threeDSecureCard(
+      '1109',
+      threeDSecure('authenticate_successful', 'Y', true, '2.2.0')
+    ),
+  'fake-three-d-secure-two-visa-error-on-lookup-nonce': threeDSecureCard(
+    '1117',
+    threeDSecure('lookup_error', 'U', false, '2.2.0')
+  ),
+  'fake-luhn-invalid-nonce': {
+    invalid: {
+      attribute: 'number',
+      code: '81715',
+      message: 'Credit card number is invalid.',
+    },
+  },
+  'fake-consumed-nonce': {
+    invalid: {
+      attribute: 'payment_method_nonce',
+      code: '93107',
+      message: 'Cannot use a payment_method_nonce more than once.',
+    },
+  },
+  'fake-paypal-one-time-nonce': {
+    instrumentType: 'paypal_account',
+    details: {
+      payerEmail: 'payer@example.com',
+      payerId: 'MOCKPAYERID',
+      payerFirstName: 'Mock',
+      payerLastName: 'Payer',
+    },
+  },
+  'fake-paypal-billing-agreement-nonce': {
+    instrumentType: 'paypal_account',
+    details: {
+      payerEmail: 'payer@example.com',
+      payerId: 'MOCKPAYERID',
+      payerFirstName: 'Mock',
+      payerLastName: 'Payer',
+      billingAgreementId: 'B-MOCK12345',
+    },
+  },
+  'fake-venmo-account-nonce': {
+    instrumentType: 'venmo_account',
+    details: { username: 'venmojoe', venmoUserId: 'Venmo-Joe-1' },
+  },
+  'fake-android-pay-nonce': wallet('android_pay_card', 'Visa', '1111'),
+  'fake-android-pay-visa-nonce': wallet('android_pay_card', 'Visa', '1111'),
+  'fake-android-pay-mastercard-nonce': wallet(
+    'android_pay_card',
+    'MasterCard',
+    '4444'
+  ),
+  'fake-apple-pay-visa-nonce': wallet('apple_pay_card', 'Visa', '1881'),
+  'fake-apple-pay-mastercard-nonce': wallet(
+    'apple_pay_card',
+    'MasterCard',
+    '4444'
+  ),
+  'fake-apple-pay-amex-nonce': wallet(
+    'apple_pay_card',
+    'American Express',
+    '0005'
+  ),
+};
+
+// Processor response texts for the codes the sandbox commonly returns
+const PROCESSOR_RESPONSES = {
+  1000: 'Approved',
+  1002: 'Processed',
+  2000: 'Do Not Honor',
+  2001: 'Insufficient Funds',
+  2002: 'Limit Exceeded',
+  2003: "Cardholder's Activity Limit Exceeded",
+  2004: 'Expired Card',
+  2005: 'Invalid Credit Card Number',
+  2006: 'Invalid Expiration Date',
+  2007: 'No Account',
+  2010: 'Card Issuer Declined CVV',
+  2014: 'Processor Declined - Fraud Suspected',
+  2015: 'Transaction Not Allowed',
+  2038: 'Processor Declined',
+  2044: 'Declined - Call Issuer',
+  2046: 'Declined',
+  2057: 'Issuer or Cardholder has put a restriction on the card',
+  2099: 'Cardholder Authentication Required',
+  3000: 'Processor Network Unavailable - Try Again',
+};
+
+// Declines the issuer will never approve on retry
+const HARD_DECLINE_CODES = [
+  '2004',
+  '2005',
+  '2007',
+  '2008',
+  '2009',
+  '2012',
+  '2013',
+  '2014',
+  '2017',
+  '2018',
+  '2047',
+  '2053',
+];
+
+// Plans the mock offers until the data file defines its own
+const MOCK_PLANS = [
+  plan('basic_monthly', 'Basic', '9.99', 1, 'Basic features, billed monthly'),
+  plan('pro_monthly', 'Pro', '29.99', 1, 'All features, billed monthly', {
+    trialPeriod: true,
+    trialDuration: 14,
+    trialDurationUnit: 'day',
+  }),
+  plan(
+    'pro_yearly',
+    'Pro (Annual)',
+    '299.00',
+    12,
+    'All features, billed yearly'
+  ),
+];
+
+// Stored-credential flags accepted by transaction.sale
+const TRANSACTION_SOURCES = [
+  'recurring',
+  'recurring_first',
+  'unscheduled',
+  'moto',
+];
+
+// Map TransactionSearch criteria to the stored transaction values they match
+const SEARCH_FIELDS = {
+  id: txn => txn.id,
+  ids: txn => txn.id,
+  orderId: txn => txn.orderId,
+  status: txn => txn.status,
+  type: txn => txn.type,
+  merchantAccountId: txn => txn.merchantAccountId,
+  paymentInstrumentType: txn => txn.paymentInstrumentType,
+  creditCardCardType: txn => txn.creditCard.cardType,
+  creditCardCardholderName: txn => txn.creditCard.cardholderName,
+  paymentMethodToken: txn => paymentDetails(txn).token,
+  currency: txn => txn.currencyIsoCode,
+  source: txn => txn.statusHistory[0] && txn.statusHistory[0].transactionSource,
+  customerId: txn => txn.customer.id,
+  customerEmail: txn => txn.customer.email,
+  customerFirstName: txn => txn.customer.firstName,
+  customerLastName: txn => txn.customer.lastName,
+  billingFirstName: txn => txn.billing.firstName,
+  billingLastName: txn => txn.billing.lastName,
+  billingPostalCode: txn => txn.billing.postalCode,
+  paypalPayerEmail: txn => txn.paypal && txn.paypal.payerEmail,
+  refund: txn => txn.refundIds.length > 0,
+  amount: txn => parseFloat(txn.amount),
+  createdAt: txn => txn.createdAt,
+  authorizedAt: txn => statusTimestamp(txn, 'authorized'),
+  submittedForSettlementAt: txn =>
+    statusTimestamp(txn, 'submitted_for_settlement'),
+  settledAt: txn => statusTimestamp(txn, 'settled'),
+  voidedAt: txn => statusTimestamp(txn, 'voided'),
+  processorDeclinedAt: txn => statusTimestamp(txn, 'processor_declined'),
+  failedAt: txn => statusTimestamp(txn, 'failed'),
+  gatewayRejectedAt: txn => statusTimestamp(txn, 'gateway_rejected'),
+};
+
+// The same for DisputeSearch criteria and stored disputes
+const DISPUTE_SEARCH_FIELDS = {
+  id: dispute => dispute.id,
+  caseNumber: dispute => dispute.caseNumber,
+  referenceNumber: dispute => dispute.referenceNumber,
+  transactionId: dispute => dispute.transaction.id,
+  kind: dispute => dispute.kind,
+  merchantAccountId: dispute => dispute.merchantAccountId,
+  reason: dispute => dispute.reason,
+  reasonCode: dispute => dispute.reasonCode,
+  status: dispute => dispute.status,
+  amountDisputed: dispute => parseFloat(dispute.amountDisputed),
+  amountWon: dispute => parseFloat(dispute.amountWon),
+  receivedDate: dispute => dispute.receivedDate,
+  replyByDate: dispute => dispute.replyByDate,
+  effectiveDate: dispute =>
+    dispute.statusHistory[dispute.statusHistory.length - 1].effectiveDate,
+};
+
+const DISPUTE_RANGE_FIELDS = [
+  'amountDisputed',
+  'amountWon',
+  'receivedDate',
+  'replyByDate',
+  'effectiveDate',
+];
+
+// Card network reason codes for the reasons openDispute() accepts
+const DISPUTE_REASONS = {
+  fraud: { code: '10.4', description: 'Card Absent Environment' },
+  product_not_received: {
+    code: '13.1',
+    description: 'Merchandise/Services Not Received',
+  },
+  product_unsatisfactory: {
+    code: '13.3',
+    description: 'Not as Described or Defective Merchandise/Services',
+  },
+  duplicate: { code: '12.6.1', description: 'Duplicate Processing' },
+  credit_not_processed: {
+    code: '13.6',
+    description: 'Credit Not Processed',
+  },
+  cancelled_recurring_transaction: {
+    code: '13.2',
+    description: 'Cancelled Recurring Transaction',
+  },
+  general: { code: '13.7', description: 'Cancelled Merchandise/Services' },
+};
+
+// Evidence files Braintree accepts, up to 4 MB
+const EVIDENCE_CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+};
+const MAX_EVIDENCE_FILE_BYTES = 4 * 1024 * 1024;
+
+const RANGE_FIELDS = [
+  'amount',
+  'createdAt',
+  'authorizedAt',
+  'submittedForSettlementAt',
+  'settledAt',
+  'voidedAt',
+  'processorDeclinedAt',
+  'failedAt',
+  'gatewayRejectedAt',
+];
+
+class MockGateway {
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || DEFAULT_DATA_FILE;
+    this.merchantId = options.merchantId || 'mock_merchant';
+    this.merchantAccountId = options.merchantAccountId || 'mock_merchant_usd';
+    this.merchantAccounts = options.merchantAccounts || MOCK_MERCHANT_ACCOUNTS;
+    this.settlementDelaySeconds =
+      options.settlementDelaySeconds !== undefined
+        ? options.settlementDelaySeconds
+        : 60;
+    this.data = null;
+    this.dataMtime = null;
+
+    // Webhook signing keys, read by the SDK's webhook gateways below
+    this.config = {
+      merchantId: this.merchantId,
+      publicKey: options.publicKey || 'mock_public_key',
+      privateKey: options.privateKey || 'mock_private_key',
+    };
+
+    // Reload state written by other processes before every gateway call
+    const op =
+      method =>
+      (...args) => {
+        this.refresh();
+        return method.apply(this, args);
+      };
+
+    this.clientToken = {
+      generate: op(this.generateClientToken),
+    };
+
+    this.transaction = {
+      sale: op(this.sale),
+      find: op(this.findTransaction),
+      submitForSettlement: op(this.submitForSettlement),
+      submitForPartialSettlement: op(this.submitForPartialSettlement),
+      refund: op(this.refundTransaction),
+      void: op(this.voidTransaction),
+      search: op(this.searchTransactions),
+    };
+
+    this.transactionLineItem = {
+      findAll: op(this.findTransactionLineItems),
+    };
+
+    this.customer = {
+      create: op(this.createCustomer),
+      find: op(this.findCustomer),
+      delete: op(this.deleteCustomer),
+    };
+
+    this.paymentMethod = {
+      create: op(this.createPaymentMethod),
+      find: op(this.findPaymentMethod),
+      delete: op(this.deletePaymentMethod),
+    };
+
+    this.plan = {
+      all: op(this.allPlans),
+    };
+
+    this.dispute = {
+      find: op(this.findDispute),
+      search: op(this.searchDisputes),
+      accept: op(this.acceptDispute),
+      addTextEvidence: op(this.addTextEvidence),
+      addFileEvidence: op(this.addFileEvidence),
+      removeEvidence: op(this.removeEvidence),
+      finalize: op(this.finalizeDispute),
+    };
+
+    this.documentUpload = {
+      create: op(this.createDocumentUpload),
+    };
+
+    this.subscription = {
+      create: op(this.createSubscription),
+      find: op(this.findSubscription),
+      update: op(this.updateSubscription),
+      cancel: op(this.cancelSubscription),
+      retryCharge: op(this.retrySubscriptionCharge),
+    };
+
+    // Webhooks are signed and parsed locally, so the SDK's own gateways work
+    // unchanged against the mock's keys
+    this.webhookNotification = new WebhookNotificationGateway(this);
+    this.webhookTesting = new WebhookTestingGateway(this);
+
+    this.testing = {
+      settle: op(id => this.forceStatus(id, 'settled')),
+      // Mock-only: put a subscription into Past Due, as a failed renewal would
+      makePastDue: op(this.makeSubscriptionPastDue),
+      // Mock-only: open a dispute against a transaction, as the sandbox does
+      // for its dispute test cards
+      openDispute: op(this.openDispute),
+    };
+  }
+
+  // Load persisted state, starting empty if the file doesn't exist yet
+  refresh() {
+    const mtime = fs.existsSync(this.dataFile)
+      ? fs.statSync(this.dataFile).mtimeMs
+      : null;
+
+    if (this.data && mtime === this.dataMtime) {
+      return;
+    }
+
+    this.data = {
+      transactions: {},
+      // Line items by transaction ID; like Braintree, they aren't part of
+      // the transaction object
+      lineItems: {},
+      customers: {},
+      paymentMethods: {},
+      subscriptions: {},
+      disputes: {},
+      documentUploads: {},
+      plans: MOCK_PLANS,
+    };
+    if (mtime !== null) {
+      Object.assign(
+        this.data,
+        JSON.parse(fs.readFileSync(this.dataFile, 'utf8'))
+      );
+    }
+    this.dataMtime = mtime;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+    fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+    this.dataMtime = fs.statSync(this.dataFile).mtimeMs;
+  }
+
+  async generateClientToken(params = {}) {
+    const vaultOptions = Object.keys(params.options || {});
+    if (!params.customerId && vaultOptions.length > 0) {
+      const error = new Error(
+        `Following arguments are invalid without customerId: ${vaultOptions.join(
+          ', '
+        )}`
+      );
+      error.type = error.name = braintree.errorTypes.unexpectedError;
+      throw error;
+    }
+
+    if (
+      params.merchantAccountId &&
+      !this.merchantAccountCurrency(params.merchantAccountId)
+    ) {
+      return errorResult('Merchant account does not exist', {
+        clientToken: [
+          {
+            attribute: 'merchant_account_id',
+            code: '92807',
+            message: 'Merchant account does not exist',
+          },
+        ],
+      });
+    }
+
+    if (params.customerId && !this.data.customers[params.customerId]) {
+      return errorResult('Customer specified by customer_id does not exist', {
+        clientToken: [
+          {
+            attribute: 'customer_id',
+            code: '92804',
+            message: 'Customer specified by customer_id does not exist',
+          },
+        ],
+      });
+    }
+
+    const payload = {
+      version: 2,
+      environment: 'mock',
+      merchantId: this.merchantId,
+      merchantAccountId: params.merchantAccountId || this.merchantAccountId,
+      customerId: params.customerId || null,
+      authorizationFingerprint: randomId(32),
+      configUrl: `mock://${this.merchantId}/client_api/v1/configuration`,
+    };
+
+    return {
+      success: true,
+      clientToken: Buffer.from(JSON.stringify(payload)).toString('base64'),
+    };
+  }
+
+  // Currency the merchant account settles in (null for unknown accounts)
+  merchantAccountCurrency(merchantAccountId) {
+    if (merchantAccountId === this.merchantAccountId) {
+      return 'USD';
+    }
+
+    return (
+      Object.keys(this.merchantAccounts).find(
+        currencyIsoCode =>
+          this.merchantAccounts[currencyIsoCode] === merchantAccountId
+      ) || null
+    );
+  }
+
+  async sale(params = {}) {
+    const options = params.options || {};
+    const errors = [];
+    const merchantAccountId =
+      params.merchantAccountId || this.merchantAccountId;
+    const currencyIsoCode = this.merchantAccountCurrency(merchantAccountId);
+
+    if (!currencyIsoCode) {
+      errors.push(
+        validationError(
+          'merchant_account_id',
+          '91577',
+          'Merchant account ID is invalid.'
+        )
+      );
+    }
+
+    // Amounts can't have more decimals than the currency's minor units
+    const amountPattern =
+      currencyIsoCode && CURRENCIES[currencyIsoCode].minorUnits === 0
+        ? /^\d+$/
+        : /^\d+(\.\d{1,2})?$/;
+
+    if (params.amount === undefined || params.amount === null) {
+      errors.push(validationError('amount', '81502', 'Amount is required.'));
+    } else if (!amountPattern.test(`${params.amount}`)) {
+      errors.push(
+        validationError('amount', '81503', 'Amount is an invalid format.')
+      );
+    } else if (parseFloat(params.amount) <= 0) {
+      errors.push(
+        validationError('amount', '81531', 'Amount must be greater than zero.')
+      );
+    }
+
+    let method = null;
+
+    if (params.paymentMethodToken) {
+      method = this.data.paymentMethods[params.paymentMethodToken];
+      if (!method) {
+        errors.push(
+          validationError(
+            'payment_method_token',
+            '91518',
+            'Payment method token is invalid.'
+          )
+        );
+      }
+    } else if (params.paymentMethodNonce) {
+      const nonce = TEST_NONCES[params.paymentMethodNonce];
+      if (!nonce) {
+        errors.push(
+          validationError(
+            'payment_method_nonce',
+            '91565',
+            'Unknown or expired payment_method_nonce.'
+          )
+        );
+      } else if (nonce.invalid) {
+        errors.push(nonce.invalid);
+      } else {
+        method = nonce;
+      }
+    } else {
+      errors.push(
+        validationError('base', '91508', 'Cannot determine payment method.')
+      );
+    }
+
+    if (params.customerId && !this.data.customers[params.customerId]) {
+      errors.push(
+        validationError('customer_id', '91510', 'Customer ID is invalid.')
+      );
+    }
+
+    if (
+      params.transactionSource &&
+      !TRANSACTION_SOURCES.includes(params.transactionSource)
+    ) {
+      errors.push(
+        validationError(
+          'transaction_source',
+          '915133',
+          'Transaction source is invalid.'
+        )
+      );
+    }
+
+    if (errors.length > 0) {
+      return errorResult(errors[0].message, { transaction: errors }, params);
+    }
+
+    const amount = formatAmount(params.amount, currencyIsoCode);
+    const now = new Date().toISOString();
+    const txn = {
+      id: randomId(8),
+      type: 'sale',
+      status: 'authorizing',
+      amount,
+      currencyIsoCode,
+      merchantAccountId,
+      orderId: params.orderId || null,
+      createdAt: now,
+      updatedAt: now,
+      paymentInstrumentType: method.instrumentType,
+      creditCard: emptyCard(),
+      customer: emptyCustomer(),
+      billing: Object.assign(emptyAddress(), params.billing),
+      shipping: Object.assign(emptyAddress(), params.shipping),
+      processorResponseCode: null,
+      processorResponseText: null,
+      processorResponseType: null,
+      processorAuthorizationCode: null,
+      additionalProcessorResponse: null,
+      gatewayRejectionReason: null,
+      avsErrorResponseCode: null,
+      avsPostalCodeResponseCode: 'M',
+      avsStreetAddressResponseCode: 'M',
+      cvvResponseCode: 'M',
+      riskData: null,
+      threeDSecureInfo: method.threeDSecureInfo || null,
+      recurring: ['recurring', 'recurring_first'].includes(
+        params.transactionSource
+      ),
+      refundIds: [],
+      refundedTransactionId: null,
+      partialSettlementTransactionIds: [],
+      authorizedTransactionId: null,
+      subscriptionId: null,
+      planId: null,
+      serviceFeeAmount: null,
+      taxAmount: params.taxAmount || null,
+      shippingAmount: params.shippingAmount || null,
+      discountAmount: params.discountAmount || null,
+      purchaseOrderNumber: params.purchaseOrderNumber || null,
+      customFields: params.customFields || {},
+      statusHistory: [],
+    };
+
+    if (method.customerId) {
+      txn.customer = this.customerSummary(method.customerId);
+    } else if (params.customerId) {
+      txn.customer = this.customerSummary(params.customerId);
+    }
+
+    if (params.lineItems) {
+      this.data.lineItems[txn.id] = params.lineItems.map(lineItem);
+    }
+
+    attachPaymentDetails(txn, method);
+    txn.riskData = assessRisk(method, params.deviceData);
+
+    const outcome = decideOutcome(method, amount, options.threeDSecure);
+
+    if (outcome.status === 'gateway_rejected') {
+      txn.gatewayRejectionReason = outcome.gatewayRejectionReason;
+      this.recordTransaction(txn, 'gateway_rejected');
+      return errorResult(
+        `Gateway Rejected: ${outcome.gatewayRejectionReason}`,
+        {},
+        params,
+        txn
+      );
+    }
+
+    txn.processorResponseCode = outcome.code;
+    txn.processorResponseText = PROCESSOR_RESPONSES[outcome.code] || 'Declined';
+    txn.processorResponseType = responseType(outcome.code);
+
+    if (outcome.status !== 'authorized') {
+      this.recordTransaction(txn, outcome.status);
+      return errorResult(txn.processorResponseText, {}, params, txn);
+    }
+
+    txn.processorAuthorizationCode = randomDigits(6);
+
+    // Vault the payment method now that the authorization succeeded
+    const storeInVault = options.storeInVault || options.storeInVaultOnSuccess;
+    if (storeInVault && !method.token) {
+      const customerId =
+        params.customerId || this.createCustomerRecord(params.customer).id;
+      const stored = this.storePaymentMethod(method, customerId);
+      paymentDetails(txn).token = stored.token;
+      txn.customer = this.customerSummary(customerId);
+    }
+
+    this.recordTransaction(txn, 'authorized');
+
+    if (options.submitForSettlement) {
+      this.appendStatus(txn, 'submitted_for_settlement', amount);
+    }
+
+    this.save();
+
+    return { success: true, transaction: clone(txn) };
+  }
+
+  async findTransaction(id) {
+    this.advanceSettlement();
+    const txn = this.data.transactions[id];
+
+    if (!txn) {
+      throw notFoundError(`transaction with id '${id}' not found`);
+    }
+
+    return clone(txn);
+  }
+
+  async findTransactionLineItems(id) {
+    if (!this.data.transactions[id]) {
+      throw notFoundError(`transaction with id '${id}' not found`);
+    }
+
+    return clone(this.data.lineItems[id] || []);
+  }
+
+  // Capture an authorization once, optionally for less than authorized
+  async submitForSettlement(id, amount) {
+    const txn = this.data.transactions[id];
+
+    if (!txn) {
+      throw notFoundError(`transaction with id '${id}' not found`);
+    }
+    if (txn.status !== 'authorized') {
+      return transactionError(
+        '91507',
+        'Cannot submit for settlement unless status is authorized.'
+      );
+    }
+    if (txn.partialSettlementTransactionIds.length > 0) {
+      return transactionError(
+        '915103',
+        'Cannot submit for settlement a transaction that has partial settlements.'
+      );
+    }
+
+    const settlementCents =
+      amount === undefined || amount === null
+        ? toCents(txn.amount)
+        : toCents(amount);
+
+    if (settlementCents <= 0 || settlementCents > toCents(txn.amount)) {
+      return transactionError('91522', 'Settlement amount is too large.');
+    }
+
+    txn.amount = formatAmount(settlementCents / 100, txn.currencyIsoCode);
+    this.appendStatus(txn, 'submitted_for_settlement', txn.amount);
+    this.save();
+
+    return { success: true, transaction: clone(txn) };
+  }
+
+  // Capture part of an authorization as a new child transaction; the
+  // authorization stays open for further captures up to its amount
+  async submitForPartialSettlement(id, amount) {
+    const parent = this.data.transactions[id];
+
+    if (!parent) {
+      throw notFoundError(`transaction with id '${id}' not found`);
+    }
+    if (parent.status !== 'authorized' || parent.authorizedTransactionId) {
+      return transactionError(
+        '91507',
+        'Cannot submit for settlement unless status is authorized.'
+      );
+    }
+
+    const capturedCents = parent.partialSettlementTransactionIds
+      .map(captureId => this.data.transactions[captureId])
+      .filter(capture => capture.status !== 'voided')
+      .reduce((sum, capture) => sum + toCents(capture.amount), 0);
+    const captureCents = toCents(amount);
+
+    if (
+      isNaN(captureCents) ||
+      captureCents <= 0 ||
+      captureCents > toCents(parent.amount) - capturedCents
+    ) {
+      return transactionError('91522', 'Settlement amount is too large.');
+    }
+
+    const now = new Date().toISOString();
+    const capture = Object.assign(clone(parent), {
+      id: randomId(8),
+      amount: formatAmount(captureCents / 100, parent.currencyIsoCode),
+      createdAt: now,
+      updatedAt: now,
+      partialSettlementTransactionIds: [],
+      authorizedTransactionId: parent.id,
+      statusHistory: [],
+    });
+
+    this.recordTransaction(capture, 'submitted_for_settlement');
+    parent.partialSettlementTransactionIds.push(capture.id);
+    parent.updatedAt = now;
+    this.save();
+
+    return { success: true, transaction: clone(capture) };
+  }
+
+  async refundTransaction(id, amount) {
+    this.advanceSettlement();
+    const original = this.data.transactions[id];
+
+    if (!original) {
+      throw notFoundError(`transaction with id '${id}' not found`);
+    }
+    if (original.type !== 'sale') {
+      return transactionError('91505', 'Cannot refund credit');
+    }
+    if (!['settled', 'settling'].includes(original.status)) {
+      return transactionError(
+        '91506',
+        'Cannot refund transaction unless it is settled.'
+      );
+    }
+
+    // Voided refunds don't count against the refundable balance
+    const refundedCents = original.refundIds
+      .map(refundId => this.data.transactions[refundId])
+      .filter(refund => refund.status !== 'voided')
+      .reduce((sum, refund) => sum + toCents(refund.amount), 0);
+    const remainingCents = toCents(original.amount) - refundedCents;
+    const refundCents =
+      amount === undefined || amount === null
+        ? remainingCents
+        : toCents(amount);
+
+    if (refundCents <= 0 || refundCents > remainingCents) {
+      return transactionError('91521', 'Refund amount is too large.');
+    }
+
+    const now = new Date().toISOString();
+    const refund = Object.assign(clone(original), {
+      id: randomId(8),
+      type: 'credit',
+      amount: formatAmount(refundCents / 100, original.currencyIsoCode),
+      createdAt: now,
+      updatedAt: now,
+      refundIds: [],
+      refundedTransactionId: original.id,
+      partialSettlementTransactionIds: [],
+      authorizedTransactionId: null,
+      processorResponseCode: '1002',
+      processorResponseText: PROCESSOR_RESPONSES[1002],
+      processorResponseType: 'approved',
+      processorAuthorizationCode: null,
+      statusHistory: [],
+    });
+
+    this.recordTransaction(refund, 'submitted_for_settlement');
+    original.refundIds.push(refund.id);
+    original.updatedAt = now;
+    this.save();
+
+    return { success: true, transaction: clone(refund) };
+  }
+
+  async voidTransaction(id) {
+    const txn = this.data.transactions[id];
+
+    if (!txn) {
+      throw notFoundError(`transaction with id '${id}' not found`);
+    }
+    if (
+      ![
+        'authorized',
+        'submitted_for_settlement',
+        'settlement_pending',
+      ].includes(txn.status)
+    ) {
+      return transactionError(
+        '91504',
+        'Transaction can only be voided if status is authorized, submitted_for_settlement, or - for PayPal - settlement_pending.'
+      );
+    }
+
+    this.appendStatus(txn, 'voided', txn.amount);
+    this.save();
+
+    return { success: true, transaction: clone(txn) };
+  }
+
+  // Evaluate criteria built with the SDK's own TransactionSearch so callers
+  // can use exactly the same search API as against the real gateway
+  searchTransactions(fn, callback) {
+    this.advanceSettlement();
+
+    const search = new TransactionSearch();
+    fn(search);
+
+    let matches;
+    try {
+      matches = Object.values(this.data.transactions)
+        .filter(txn => matchesCriteria(txn, search.toHash()))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(clone);
+    } catch (error) {
+      if (callback) {
+        callback(error, null);
+        return undefined;
+      }
+      const failed = new Readable({ objectMode: true, read() {} });
+      process.nextTick(() => failed.destroy(error));
+      return failed;
+    }
+
+    if (callback) {
+      callback(null, searchResponse(matches));
+      return undefined;
+    }
+
+    return Readable.from(matches);
+  }
+
+  async findDispute(id) {
+    const dispute = this.data.disputes[id];
+
+    if (!dispute) {
+      throw notFoundError(`dispute with id '${id}' not found`);
+    }
+
+    return { success: true, dispute: clone(dispute) };
+  }
+
+  // Like searchTransactions, but the SDK's dispute search calls back with
+  // an array of all matches rather than a SearchResponse
+  searchDisputes(fn, callback) {
+    const search = new DisputeSearch();
+    fn(search);
+
+    let matches;
+    try {
+      matches = Object.values(this.data.disputes)
+        .filter(dispute =>
+          matchesCriteria(
+            dispute,
+            search.toHash(),
+            DISPUTE_SEARCH_FIELDS,
+            DISPUTE_RANGE_FIELDS
+          )
+        )
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(clone);
+    } catch (error) {
+      if (callback) {
+        callback(error, null);
+        return undefined;
+      }
+      const failed = new Readable({ objectMode: true, read() {} });
+      process.nextTick(() => failed.destroy(error));
+      return failed;
+    }
+
+    if (callback) {
+      callback(null, matches);
+      return undefined;
+    }
+
+    return Readable.from(matches);
+  }
+
+  async acceptDispute(id) {
+    const dispute = this.disputeRecord(id);
+
+    if (dispute.status !== 'open') {
+      return disputeError(
+        'status',
+        '95704',
+        'Disputes can only be accepted when they are in an Open state'
+      );
+    }
+
+    this.setDisputeStatus(dispute, 'accepted');
+    this.save();
+
+    return { success: true };
+  }
+
+  async addTextEvidence(id, contentOrRequest) {
+    const request =
+      contentOrRequest !== null && typeof contentOrRequest === 'object'
+        ? contentOrRequest
+        : { content: contentOrRequest };
+
+    if (request.content == null || `${request.content}`.trim() === '') {
+      throw invalidKeysError('content cannot be null or empty');
+    }
+
+    return this.addEvidence(id, {
+      comment: request.content,
+      url: null,
+      category: request.category || null,
+      sequenceNumber:
+        request.sequenceNumber != null
+          ? parseInt(request.sequenceNumber, 10)
+          : null,
+    });
+  }
+
+  async addFileEvidence(id, documentIdOrRequest) {
+    const request =
+      documentIdOrRequest !== null && typeof documentIdOrRequest === 'object'
+        ? documentIdOrRequest
+        : { documentId: documentIdOrRequest };
+    const document = this.data.documentUploads[request.documentId];
+
+    if (!document) {
+      throw notFoundError(`document with id '${request.documentId}' not found`);
+    }
+
+    return this.addEvidence(id, {
+      comment: null,
+      url: `https://mock.braintreegateway.com/evidence/${document.id}/${document.name}`,
+      category: request.category || null,
+      sequenceNumber: null,
+    });
+  }
+
+  addEvidence(id, fields) {
+    const dispute = this.disputeRecord(id);
+
+    if (dispute.status !== 'open') {
+      return disputeError(
+        'status',
+        '95701',
+        'Evidence can only be attached to disputes that are in an Open state'
+      );
+    }
+
+    const evidence = Object.assign(
+      {
+        id: randomId(14),
+        createdAt: new Date().toISOString(),
+        sentToProcessorAt: null,
+      },
+      fields
+    );
+
+    dispute.evidence.push(evidence);
+    dispute.updatedAt = evidence.createdAt;
+    this.save();
+
+    return { success: true, evidence: clone(evidence) };
+  }
+
+  async removeEvidence(disputeId, evidenceId) {
+    const dispute = this.data.disputes[disputeId];
+    const evidence =
+      dispute && dispute.evidence.find(item => item.id === evidenceId);
+
+    if (!evidence) {
+      throw notFoundError(
+        `evidence with id '${evidenceId}' for dispute with id '${disputeId}' not found`
+      );
+    }
+
+    if (dispute.status !== 'open') {
+      return disputeError(
+        'status',
+        '95702',
+        'Evidence can only be removed from disputes that are in an Open state'
+      );
+    }
+
+    dispute.evidence = dispute.evidence.filter(item => item !== evidence);
+    dispute.updatedAt = new Date().toISOString();
+    this.save();
+
+    return { success: true };
+  }
+
+  // Submit the evidence to the processor; the dispute is then Disputed
+  // until the bank decides it
+  async finalizeDispute(id) {
+    const dispute = this.disputeRecord(id);
+
+    if (dispute.status !== 'open') {
+      return disputeError(
+        'status',
+        '95705',
+        'Disputes can only be finalized when they are in an Open state'
+      );
+    }
+
+    const sentAt = new Date().toISOString();
+    dispute.evidence.forEach(evidence => {
+      evidence.sentToProcessorAt = sentAt;
+    });
+    this.setDisputeStatus(dispute, 'disputed');
+    this.save();
+
+    return { success: true };
+  }
+
+  // Store an evidence document. Like the SDK, `file` must be a file stream
+  // (fs.createReadStream), which is read from its path.
+  async createDocumentUpload(options = {}) {
+    if (!options.file || !(options.file instanceof Readable)) {
+      throw invalidKeysError('file must be a Readable stream');
+    }
+
+    const name = path.basename(options.file.path);
+    const contentType =
+      EVIDENCE_CONTENT_TYPES[path.extname(name).toLowerCase()];
+    const size = fs.statSync(options.file.path).size;
+    options.file.destroy();
+
+    const failure = documentUploadFailure(options.kind, contentType, size);
+    if (failure) {
+      return errorResult(failure.message, { documentUpload: [failure] });
+    }
+
+    const document = {
+      id: randomId(16),
+      kind: options.kind,
+      name,
+      contentType,
+      size,
+    };
+
+    this.data.documentUploads[document.id] = document;
+    this.save();
+
+    return { success: true, documentUpload: clone(document) };
+  }
+
+  // Mock-only: a chargeback (or `kind`) against a sale for `amount` (default:
+  // the full amount) with `reason` (default: fraud), to be answered within
+  // `replyByDays` days
+  async openDispute(transactionId, options = {}) {
+    const txn = this.data.transactions[transactionId];
+    if (!txn) {
+      throw notFoundError(`transaction with id '${transactionId}' not found`);
+    }
+
+    const reason = options.reason || 'fraud';
+    if (!DISPUTE_REASONS[reason]) {
+      throw new Error(
+        `Mock disputes can have a reason of: ${Object.keys(
+          DISPUTE_REASONS
+        ).join(', ')}`
+      );
+    }
+
+    const now = new Date();
+    const timestamp = now.toISOString();
+    const dispute = {
+      id: randomId(16),
+      kind: options.kind || 'chargeback',
+      status: 'open',
+      reason,
+      reasonCode: DISPUTE_REASONS[reason].code,
+      reasonDescription: DISPUTE_REASONS[reason].description,
+      amount: txn.amount,
+      amountDisputed: options.amount
+        ? formatAmount(options.amount, txn.currencyIsoCode)
+        : txn.amount,
+      amountWon: formatAmount(0, txn.currencyIsoCode),
+      currencyIsoCode: txn.currencyIsoCode,
+      merchantAccountId: txn.merchantAccountId,
+      caseNumber: `CB${randomDigits(10)}`,
+      referenceNumber: randomDigits(12),
+      receivedDate: toDateString(now),
+      replyByDate: toDateString(addDays(now, options.replyByDays || 7)),
+      processorComments: null,
+      evidence: [],
+      statusHistory: [],
+      transaction: {
+        id: txn.id,
+        amount: txn.amount,
+        createdAt: txn.createdAt,
+        orderId: txn.orderId || null,
+        purchaseOrderNumber: txn.purchaseOrderNumber || null,
+        paymentInstrumentSubtype: paymentDetails(txn).cardType || null,
+      },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+
+    this.setDisputeStatus(dispute, 'open');
+    this.data.disputes[dispute.id] = dispute;
+    this.save();
+
+    return { success: true, dispute: clone(dispute) };
+  }
+
+  disputeRecord(id) {
+    const dispute = this.data.disputes[id];
+    if (!dispute) {
+      throw notFoundError(`dispute with id '${id}' not found`);
+    }
+
+    return dispute;
+  }
+
+  setDisputeStatus(dispute, status) {
+    const now = new Date();
+    dispute.status = status;
+    dispute.updatedAt = now.toISOString();
+    dispute.statusHistory.push({
+      status,
+      timestamp: dispute.updatedAt,
+      effectiveDate: toDateString(now),
+      disbursementDate: null,
+    });
+  }
+
+  async createCustomer(params = {}) {
+    if (params.id && this.data.customers[params.id]) {
+      return errorResult('Customer ID has already been taken.', {
+        customer: [
+          validationError('id', '91609', 'Customer ID has already been taken.'),
+        ],
+      });
+    }
+
+    let method = null;
+    if (params.paymentMethodNonce) {
+      method = TEST_NONCES[params.paymentMethodNonce];
+      if (!method || method.invalid) {
+        return errorResult('Unknown or expired payment_method_nonce.', {
+          customer: [
+            validationError(
+              'payment_method_nonce',
+              '91565',
+              'Unknown or expired payment_method_nonce.'
+            ),
+          ],
+        });
+      }
+    }
+
+    const customer = this.createCustomerRecord(params);
+    if (method) {
+      this.storePaymentMethod(method, customer.id);
+    }
+    this.save();
+
+    return { success: true, customer: this.customerView(customer.id) };
+  }
+
+  async findCustomer(id) {
+    if (!this.data.customers[id]) {
+      throw notFoundError(`customer with id '${id}' not found`);
+    }
+
+    return this.customerView(id);
+  }
+
+  async deleteCustomer(id) {
+    if (!this.data.customers[id]) {
+      throw notFoundError(`customer with id '${id}' not found`);
+    }
+
+    Object.values(this.data.paymentMethods)
+      .filter(method => method.customerId === id)
+      .forEach(method => delete this.data.paymentMethods[method.token]);
+    delete this.data.customers[id];
+    this.save();
+
+    return { success: true };
+  }
+
+  async createPaymentMethod(params = {}) {
+    if (!this.data.customers[params.customerId]) {
+      return errorResult('Customer ID is invalid.', {
+        paymentMethod: [
+          validationError('customer_id', '93105', 'Customer ID is invalid.'),
+        ],
+      });
+    }
+
+    const method = TEST_NONCES[params.paymentMethodNonce];
+    if (!method || method.invalid) {
+      return errorResult('Unknown or expired payment_method_nonce.', {
+        paymentMethod: [
+          validationError(
+            'payment_method_nonce',
+            '91565',
+            'Unknown or expired payment_method_nonce.'
+          ),
+        ],
+      });
+    }
+
+    const options = params.options || {};
+    if (options.failOnDuplicatePaymentMethod) {
+      const duplicate = Object.values(this.data.paymentMethods).find(
+        stored => fingerprint(stored) === fingerprint(method)
+      );
+      if (duplicate) {
+        return errorResult('Duplicate card exists in the vault.', {
+          creditCard: [
+            validationError(
+              'number',
+              '81724',
+              'Duplicate card exists in the vault.'
+            ),
+          ],
+        });
+      }
+    }
+
+    if (method.declineCode && options.verifyCard) {
+      return {
+        success: false,
+        message: 'Do Not Honor',
+        errors: new ValidationErrorsCollection({ errors: [] }),
+        verification: {
+          status: 'processor_declined',
+          processorResponseCode: method.declineCode,
+          processorResponseText: PROCESSOR_RESPONSES[method.declineCode],
+        },
+      };
+    }
+
+    const stored = this.storePaymentMethod(method, params.customerId, {
+      makeDefault: options.makeDefault,
+    });
+    this.save();
+
+    return { success: true, paymentMethod: paymentMethodView(stored) };
+  }
+
+  async findPaymentMethod(token) {
+    const method = this.data.paymentMethods[token];
+    if (!method) {
+      throw notFoundError(`payment method with token '${token}' not found`);
+    }
+
+    return paymentMethodView(method);
+  }
+
+  async deletePaymentMethod(token) {
+    if (!this.data.paymentMethods[token]) {
+      throw notFoundError(`payment method with token '${token}' not found`);
+    }
+
+    delete this.data.paymentMethods[token];
+    this.save();
+
+    return { success: true };
+  }
+
+  async allPlans() {
+    return { success: true, plans: clone(this.data.plans) };
+  }
+
+  async createSubscription(params = {}) {
+    const plan = this.data.plans.find(p => p.id === params.planId);
+    const method = this.data.paymentMethods[params.paymentMethodToken];
+
+    if (!plan) {
+      return subscriptionError('plan_id', '91904', 'Plan ID is invalid.');
+    }
+    if (!method) {
+      return subscriptionError(
+        'payment_method_token',
+        '91903',
+        'Payment method token is invalid.'
+      );
+    }
+
+    const price = params.price || plan.price;
+    if (!/^\d+(\.\d{1,2})?$/.test(`${price}`)) {
+      return subscriptionError('price', '81904', 'Price is an invalid format.');
+    }
+
+    const now = new Date();
+    const trialDays = plan.trialPeriod
+      ? plan.trialDuration * (plan.trialDurationUnit === 'month' ? 30 : 1)
+      : 0;
+    const firstBillingDate = addDays(now, trialDays);
+    const subscription = {
+      id: params.id || randomId(6),
+      planId: plan.id,
+      price: parseFloat(price).toFixed(2),
+      status: 'Pending',
+      balance: '0.00',
+      currencyIsoCode: plan.currencyIsoCode,
+      merchantAccountId: this.merchantAccountId,
+      paymentMethodToken: method.token,
+      billingDayOfMonth: firstBillingDate.getUTCDate(),
+      billingFrequency: plan.billingFrequency,
+      firstBillingDate: toDateString(firstBillingDate),
+      billingPeriodStartDate: null,
+      billingPeriodEndDate: null,
+      nextBillingDate: toDateString(firstBillingDate),
+      paidThroughDate: null,
+      currentBillingCycle: 0,
+      numberOfBillingCycles: plan.numberOfBillingCycles,
+      neverExpires: !plan.numberOfBillingCycles,
+      failureCount: 0,
+      daysPastDue: null,
+      trialPeriod: plan.trialPeriod,
+      trialDuration: plan.trialDuration,
+      trialDurationUnit: plan.trialDurationUnit,
+      transactions: [],
+      statusHistory: [],
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+
+    // Without a trial the first billing cycle is charged right away, and a
+    // declined first charge means no subscription is created
+    if (trialDays === 0) {
+      const result = await this.chargeSubscription(
+        subscription,
+        subscription.price
+      );
+      if (!result.success) {
+        return result;
+      }
+      this.startBillingCycle(subscription);
+    }
+
+    this.setSubscriptionStatus(subscription, 'Active');
+    this.data.subscriptions[subscription.id] = subscription;
+    this.save();
+
+    return { success: true, subscription: this.subscriptionView(subscription) };
+  }
+
+  async findSubscription(id) {
+    const subscription = this.data.subscriptions[id];
+    if (!subscription) {
+      throw notFoundError(`subscription with id '${id}' not found`);
+    }
+
+    return this.subscriptionView(subscription);
+  }
+
+  async updateSubscription(id, params = {}) {
+    const subscription = this.data.subscriptions[id];
+    if (!subscription) {
+      throw notFoundError(`subscription with id '${id}' not found`);
+    }
+    if (['Canceled', 'Expired'].includes(subscription.status)) {
+      return subscriptionError(
+        'status',
+        '81901',
+        'Cannot edit a canceled subscription.'
+      );
+    }
+
+    if (params.planId) {
+      const plan = this.data.plans.find(p => p.id === params.planId);
+      if (!plan) {
+        return subscriptionError('plan_id', '91904', 'Plan ID is invalid.');
+      }
+      subscription.planId = plan.id;
+      subscription.billingFrequency = plan.billingFrequency;
+    }
+    if (params.price !== undefined) {
+      if (!/^\d+(\.\d{1,2})?$/.test(`${params.price}`)) {
+        return subscriptionError(
+          'price',
+          '81904',
+          'Price is an invalid format.'
+        );
+      }
+      subscription.price = parseFloat(params.price).toFixed(2);
+    }
+    if (params.paymentMethodToken) {
+      if (!this.data.paymentMethods[params.paymentMethodToken]) {
+        return subscriptionError(
+          'payment_method_token',
+          '91903',
+          'Payment method token is invalid.'
+        );
+      }
+      subscription.paymentMethodToken = params.paymentMethodToken;
+    }
+
+    subscription.updatedAt = new Date().toISOString();
+    subscription.statusHistory.push(historyEntry(subscription));
+    this.save();
+
+    return { success: true, subscription: this.subscriptionView(subscription) };
+  }
+
+  async cancelSubscription(id) {
+    const subscription = this.data.subscriptions[id];
+    if (!subscription) {
+      throw notFoundError(`subscription with id '${id}' not found`);
+    }
+    if (subscription.status === 'Canceled') {
+      return subscriptionError(
+        'status',
+        '81905',
+        'Subscription has already been canceled.'
+      );
+    }
+
+    subscription.nextBillingDate = null;
+    this.setSubscriptionStatus(subscription, 'Canceled');
+    this.save();
+
+    return { success: true, subscription: this.subscriptionView(subscription) };
+  }
+
+  // Like the SDK, this is a sale against the subscription for its balance
+  // (or the given amount); a successful charge brings it back to Active
+  async retrySubscriptionCharge(id, amount, submitForSettlement) {
+    const subscription = this.data.subscriptions[id];
+    if (!subscription) {
+      throw notFoundError(`subscription with id '${id}' not found`);
+    }
+    if (subscription.status !== 'Past Due') {
+      return transactionError(
+        '91531',
+        'Subscription status must be Past Due in order to retry.'
+      );
+    }
+
+    const result = await this.chargeSubscription(
+      subscription,
+      amount || subscription.balance,
+      submitForSettlement
+    );
+
+    if (result.success) {
+      const balanceCents = Math.max(
+        toCents(subscription.balance) - toCents(result.transaction.amount),
+        0
+      );
+      subscription.balance = (balanceCents / 100).toFixed(2);
+      if (balanceCents === 0) {
+        subscription.failureCount = 0;
+        subscription.daysPastDue = null;
+        this.setSubscriptionStatus(subscription, 'Active');
+      }
+    } else {
+      subscription.failureCount += 1;
+    }
+
+    subscription.updatedAt = new Date().toISOString();
+    this.save();
+
+    return result;
+  }
+
+  async makeSubscriptionPastDue(id, daysPastDue = 1) {
+    const subscription = this.data.subscriptions[id];
+    if (!subscription) {
+      throw notFoundError(`subscription with id '${id}' not found`);
+    }
+
+    subscription.balance = subscription.price;
+    subscription.failureCount += 1;
+    subscription.daysPastDue = daysPastDue;
+    this.setSubscriptionStatus(subscription, 'Past Due');
+    this.save();
+
+    return { success: true, subscription: this.subscriptionView(subscription) };
+  }
+
+  // Equivalent of gateway.testing.settle() in the sandbox
+  async forceStatus(id, status) {
+    const txn = this.data.transactions[id];
+    if (!txn) {
+      throw notFoundError(`transaction with id '${id}' not found`);
+    }
+
+    if (status === 'settled' && txn.status === 'submitted_for_settlement') {
+      this.appendStatus(txn, 'settling', txn.amount);
+    }
+    this.appendStatus(txn, status, txn.amount);
+    this.save();
+
+    return { success: true, transaction: clone(txn) };
+  }
+
+  // Settle transactions that have been submitted for longer than the
+  // configured delay, mimicking the sandbox's settlement batches
+  advanceSettlement() {
+    const cutoff = Date.now() - this.settlementDelaySeconds * 1000;
+    let changed = false;
+
+    Object.values(this.data.transactions).forEach(txn => {
+      if (txn.status !== 'submitted_for_settlement') {
+        return;
+      }
+      const submittedAt = statusTimestamp(txn, 'submitted_for_settlement');
+      if (new Date(submittedAt).getTime() <= cutoff) {
+        this.appendStatus(txn, 'settling', txn.amount);
+        this.appendStatus(txn, 'settled', txn.amount);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  recordTransaction(txn, status) {
+    this.appendStatus(txn, status, txn.amount);
+    this.data.transactions[txn.id] = txn;
+    this.save();
+  }
+
+  appendStatus(txn, status, amount) {
+    const timestamp = new Date().toISOString();
+    txn.status = status;
+    txn.updatedAt = timestamp;
+    txn.statusHistory.push({
+      status,
+      timestamp,
+      amount,
+      user: 'mock',
+      transactionSource: txn.recurring ? 'recurring' : 'api',
+    });
+  }
+
+  createCustomerRecord(params = {}) {
+    const now = new Date().toISOString();
+    const customer = {
+      id: params.id || randomDigits(9),
+      firstName: params.firstName || null,
+      lastName: params.lastName || null,
+      email: params.email || null,
+      company: params.company || null,
+      phone: params.phone || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.data.customers[customer.id] = customer;
+
+    return customer;
+  }
+
+  storePaymentMethod(method, customerId, options = {}) {
+    const existing = Object.values(this.data.paymentMethods).filter(
+      stored => stored.customerId === customerId
+    );
+    const stored = Object.assign(clone(method), {
+      token: randomId(7),
+      customerId,
+      default: existing.length === 0 || Boolean(options.makeDefault),
+      createdAt: new Date().toISOString(),
+    });
+
+    // 3DS results belong to the nonce, not to the vaulted card
+    delete stored.threeDSecureInfo;
+
+    if (stored.default) {
+      existing.forEach(other => (other.default = false));
+    }
+
+    this.data.paymentMethods[stored.token] = stored;
+
+    return stored;
+  }
+
+  customerSummary(id) {
+    const customer = this.data.customers[id];
+
+    return {
+      id: customer.id,
+      firstName: customer.firstName,
+      lastName: customer.lastName,
+      email: customer.email,
+      company: customer.company,
+      phone: customer.phone,
+    };
+  }
+
+  // Shape a customer like the SDK does, grouping vaulted methods by type
+  async chargeSubscription(subscription, amount, submitForSettlement = true) {
+    const result = await this.sale({
+      paymentMethodToken: subscription.paymentMethodToken,
+      amount,
+      transactionSource:
+        subscription.currentBillingCycle === 0
+          ? 'recurring_first'
+          : 'recurring',
+      options: { submitForSettlement },
+    });
+
+    if (result.transaction) {
+      const txn = this.data.transactions[result.transaction.id];
+      txn.subscriptionId = subscription.id;
+      txn.planId = subscription.planId;
+      subscription.transactions.unshift(txn.id);
+      this.save();
+      result.transaction = clone(txn);
+    }
+
+    return result;
+  }
+
+  startBillingCycle(subscription) {
+    const start = new Date();
+    const end = addMonths(start, subscription.billingFrequency);
+
+    subscription.currentBillingCycle += 1;
+    subscription.billingPeriodStartDate = toDateString(start);
+    subscription.billingPeriodEndDate = toDateString(addDays(end, -1));
+    subscription.paidThroughDate = subscription.billingPeriodEndDate;
+    subscription.nextBillingDate = toDateString(end);
+  }
+
+  setSubscriptionStatus(subscription, status) {
+    subscription.status = status;
+    subscription.updatedAt = new Date().toISOString();
+    subscription.statusHistory.push(historyEntry(subscription));
+  }
+
+  // Shape a stored subscription like the SDK's Subscription
+  subscriptionView(subscription) {
+    return Object.assign(clone(subscription), {
+      nextBillAmount: subscription.price,
+      nextBillingPeriodAmount: subscription.price,
+      transactions: subscription.transactions
+        .map(id => this.data.transactions[id])
+        .filter(Boolean)
+        .map(clone),
+    });
+  }
+
+  customerView(id) {
+    const methods = Object.values(this.data.paymentMethods)
+      .filter(method => method.customerId === id)
+      .map(stored =>
+        Object.assign(paymentMethodView(stored), {
+          subscriptions: Object.values(this.data.subscriptions)
+            .filter(sub => sub.paymentMethodToken === stored.token)
+            .map(sub => this.subscriptionView(sub)),
+        })
+      );
+    const ofType = type =>
+      methods.filter(method => method.instrumentType === type);
+
+    return Object.assign(clone(this.data.customers[id]), {
+      paymentMethods: methods,
+      creditCards: ofType('credit_card'),
+      paypalAccounts: ofType('paypal_account'),
+      venmoAccounts: ofType('venmo_account'),
+      androidPayCards: ofType('android_pay_card'),
+      applePayCards: ofType('apple_pay_card'),
+    });
+  }
+}
+
+function card(cardType, bin, last4, extra = {}) {
+  return Object.assign(
+    {
+      instrumentType: 'credit_card',
+      details: {
+        cardType,
+        bin,
+        last4,
+        maskedNumber: `${bin}******${last4}`,
+        expirationMonth: '12',
+        expirationYear: `${new Date().getFullYear() + 3}`,
+        customerLocation: 'US',
+        debit: extra.debit || 'No',
+        prepaid: extra.prepaid || 'No',
+        commercial: extra.commercial || 'Unknown',
+      },
+    },
+    pick(extra, [
+      'declineCode',
+      'failureCode',
+      'gatewayRejectionReason',
+      'threeDSecureInfo',
+    ])
+  );
+}
+
+// Visa test card whose nonce went through threeDSecure.verifyCard
+function threeDSecureCard(last4, threeDSecureInfo) {
+  return card('Visa', '400000', last4, { threeDSecureInfo });
+}
+
+// 3D Secure result carried by a verified card nonce. Liability can only
+// shift for enrolled cards ('Y'), which are also the only ones that can fail.
+function threeDSecure(status, enrolled, liabilityShifted, version = '1.0.2') {
+  return {
+    status,
+    enrolled,
+    liabilityShifted,
+    liabilityShiftPossible: enrolled === 'Y',
+    threeDSecureVersion: version,
+    threeDSecureAuthenticationId: liabilityShifted ? randomId(10) : null,
+    cavv: liabilityShifted ? 'cavv_value' : null,
+    eciFlag: liabilityShifted ? '05' : enrolled === 'N' ? '07' : null,
+  };
+}
+
+function wallet(instrumentType, cardType, last4) {
+  return {
+    instrumentType,
+    details: {
+      cardType,
+      last4,
+      sourceCardLast4: last4,
+      expirationMonth: '12',
+      expirationYear: `${new Date().getFullYear() + 3}`,
+    },
+  };
+}
+
+function plan(id, name, price, billingFrequency, description, trial = {}) {
+  return {
+    id,
+    name,
+    description,
+    price,
+    currencyIsoCode: 'USD',
+    billingFrequency,
+    billingDayOfMonth: null,
+    numberOfBillingCycles: null,
+    trialPeriod: Boolean(trial.trialPeriod),
+    trialDuration: trial.trialDuration || null,
+    trialDurationUnit: trial.trialDurationUnit || null,
+    addOns: [],
+    discounts: [],
+  };
+}
+
+function historyEntry(subscription) {
+  return {
+    status: subscription.status,
+    timestamp: subscription.updatedAt,
+    price: subscription.price,
+    balance: subscription.balance,
+    planId: subscription.planId,
+    subscriptionSource: 'api',
+  };
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Decide the outcome the sandbox would produce for a method and amount
+function decideOutcome(method, amount, threeDSecureOptions = {}) {
+  const value = parseFloat(amount);
+
+  if (method.gatewayRejectionReason) {
+    return {
+      status: 'gateway_rejected',
+      gatewayRejectionReason: method.gatewayRejectionReason,
+    };
+  }
+  // Required 3DS only applies to cards, and only passes when liability shifted
+  if (
+    threeDSecureOptions.required &&
+    method.instrumentType === 'credit_card' &&
+    !(method.threeDSecureInfo && method.threeDSecureInfo.liabilityShifted)
+  ) {
+    return {
+      status: 'gateway_rejected',
+      gatewayRejectionReason: 'three_d_secure',
+    };
+  }
+  if (method.declineCode) {
+    return { status: 'processor_declined', code: method.declineCode };
+  }
+  if (method.failureCode) {
+    return { status: 'failed', code: method.failureCode };
+  }
+  if (value >= 2000 && value < 3000) {
+    return { status: 'processor_declined', code: `${Math.floor(value)}` };
+  }
+  if (value >= 3000 && value < 3001) {
+    return { status: 'failed', code: '3000' };
+  }
+
+  return { status: 'authorized', code: '1000' };
+}
+
+// Advanced Fraud Tools decision for a card payment. Cards flagged as
+// fraudulent are declined; device data lowers the score of the rest.
+function assessRisk(method, deviceData) {
+  if (method.instrumentType !== 'credit_card') {
+    return null;
+  }
+
+  const fraud = method.gatewayRejectionReason === 'fraud';
+
+  return {
+    id: randomId(10),
+    decision: fraud ? 'Decline' : 'Approve',
+    decisionReasons: fraud ? ['Card velocity above threshold'] : [],
+    deviceDataCaptured: Boolean(deviceData),
+    fraudServiceProvider: 'fraud_protection',
+    transactionRiskScore: fraud ? '92' : deviceData ? '12' : '41',
+  };
+}
+
+function responseType(code) {
+  if (code === '1000') {
+    return 'approved';
+  }
+
+  return HARD_DECLINE_CODES.includes(code) ? 'hard_declined' : 'soft_declined';
+}
+
+// Copy the payment method onto the field the SDK uses for its instrument type
+function attachPaymentDetails(txn, method) {
+  const details = Object.assign(
+    { token: method.token || null },
+    method.details
+  );
+
+  switch (method.instrumentType) {
+    case 'credit_card':
+      txn.creditCard = Object.assign(emptyCard(), details);
+      break;
+    case 'paypal_account':
+      txn.paypal = details;
+      break;
+    case 'venmo_account':
+      txn.venmoAccount = details;
+      break;
+    case 'android_pay_card':
+      txn.androidPayCard = details;
+      break;
+    case 'apple_pay_card':
+      txn.applePayCard = details;
+      break;
+  }
+}
+
+function paymentDetails(txn) {
+  switch (txn.paymentInstrumentType) {
+    case 'paypal_account':
+      return txn.paypal;
+    case 'venmo_account':
+      return txn.venmoAccount;
+    case 'android_pay_card':
+      return txn.androidPayCard;
+    case 'apple_pay_card':
+      return txn.applePayCard;
+    default:
+      return txn.creditCard;
+  }
+}
+
+// Shape a stored payment method like the SDK's CreditCard, PayPalAccount, etc.
+function paymentMethodView(stored) {
+  const view = Object.assign(
+    {
+      token: stored.token,
+      customerId: stored.customerId,
+      default: stored.default,
+      createdAt: stored.createdAt,
+      instrumentType: stored.instrumentType,
+    },
+    stored.details
+  );
+
+  if (stored.instrumentType === 'paypal_account') {
+    view.email = stored.details.payerEmail;
+  }
+  if (stored.instrumentType === 'credit_card') {
+    view.expirationDate = `${stored.details.expirationMonth}/${stored.details.expirationYear}`;
+  }
+
+  return view;
+}
+
+function fingerprint(method) {
+  return JSON.stringify([method.instrumentType, method.details]);
+}
+
+function statusTimestamp(txn, status) {
+  const event = txn.statusHistory.find(entry => entry.status === status);
+
+  return event ? event.timestamp : null;
+}
+
+function matchesCriteria(
+  txn,
+  criteria,
+  fields = SEARCH_FIELDS,
+  rangeFields = RANGE_FIELDS
+) {
+  return Object.keys(criteria).every(field => {
+    const accessor = fields[field];
+    if (!accessor) {
+      throw new Error(`Mock gateway does not support searching by ${field}`);
+    }
+
+    const value = accessor(txn);
+    const criterion = criteria[field];
+
+    if (Array.isArray(criterion)) {
+      return criterion.includes(value);
+    }
+    if (field === 'refund') {
+      return value === (criterion === true || criterion === 'true');
+    }
+    if (rangeFields.includes(field)) {
+      return matchesRange(value, criterion, field.startsWith('amount'));
+    }
+
+    return matchesText(value, criterion);
+  });
+}
+
+function matchesRange(value, criterion, numeric) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  const toComparable = input =>
+    numeric ? parseFloat(input) : new Date(input).getTime();
+  const actual = toComparable(value);
+
+  if (criterion.is !== undefined && actual !== toComparable(criterion.is)) {
+    return false;
+  }
+  if (criterion.min !== undefined && actual < toComparable(criterion.min)) {
+    return false;
+  }
+  if (criterion.max !== undefined && actual > toComparable(criterion.max)) {
+    return false;
+  }
+
+  return true;
+}
+
+function matchesText(value, criterion) {
+  const actual = value === null || value === undefined ? '' : `${value}`;
+
+  if (criterion.is !== undefined && actual !== criterion.is) {
+    return false;
+  }
+  if (criterion.isNot !== undefined && actual === criterion.isNot) {
+    return false;
+  }
+  if (
+    criterion.startsWith !== undefined &&
+    !actual.startsWith(criterion.startsWith)
+  ) {
+    return false;
+  }
+  if (
+    criterion.endsWith !== undefined &&
+    !actual.endsWith(criterion.endsWith)
+  ) {
+    return false;
+  }
+  if (
+    criterion.contains !== undefined &&
+    !actual.includes(criterion.contains)
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+// Minimal equivalent of the SDK's SearchResponse for callback-style searches
+function searchResponse(transactions) {
+  return {
+    success: true,
+    ids: transactions.map(txn => txn.id),
+    length: () => transactions.length,
+    each: callback => transactions.forEach(txn => callback(null, txn)),
+    first: callback => callback(null, transactions[0] || null),
+  };
+}
+
+function errorResult(message, errors, params, transaction) {
+  const result = {
+    success: false,
+    message,
+    params: params || {},
+    errors: new ValidationErrorsCollection(
+      Object.keys(errors).reduce(
+        (collection, key) => {
+          collection[key] = { errors: errors[key] };
+          return collection;
+        },
+        { errors: [] }
+      )
+    ),
+  };
+
+  if (transaction) {
+    result.transaction = clone(transaction);
+  }
+
+  return result;
+}
+
+function subscriptionError(attribute, code, message) {
+  return errorResult(message, {
+    subscription: [validationError(attribute, code, message)],
+  });
+}
+
+function transactionError(code, message) {
+  return errorResult(message, {
+    transaction: [validationError('base', code, message)],
+  });
+}
+
+function disputeError(attribute, code, message) {
+  return errorResult(message, {
+    dispute: [validationError(attribute, code, message)],
+  });
+}
+
+// The validation error Braintree would return for an evidence document
+function documentUploadFailure(kind, contentType, size) {
+  if (kind !== 'evidence_document') {
+    return validationError('kind', '84901', 'Document kind is invalid.');
+  }
+  if (!contentType) {
+    return validationError(
+      'file',
+      '84903',
+      'Only PNG, JPG, JPEG and PDF files are accepted.'
+    );
+  }
+  if (size === 0) {
+    return validationError('file', '84906', 'File cannot be empty.');
+  }
+  if (size > MAX_EVIDENCE_FILE_BYTES) {
+    return validationError(
+      'file',
+      '84902',
+      'Uploaded file is too large. The maximum size is 4 MB.'
+    );
+  }
+
+  return null;
+}
+
+function validationError(attribute, code, message) {
+  return { attribute, code, message };
+}
+
+function notFoundError(message) {
+  const error = new Error(message);
+  error.type = error.name = braintree.errorTypes.notFoundError;
+
+  return error;
+}
+
+function invalidKeysError(message) {
+  const error = new Error(message);
+  error.type = error.name = braintree.errorTypes.invalidKeysError;
+
+  return error;
+}
+
+function emptyCard() {
+  return {
+    token: null,
+    bin: null,
+    last4: null,
+    cardType: null,
+    maskedNumber: null,
+    expirationMonth: null,
+    expirationYear: null,
+    cardholderName: null,
+    customerLocation: null,
+  };
+}
+
+function emptyCustomer() {
+  return {
+    id: null,
+    firstName: null,
+    lastName: null,
+    email: null,
+    company: null,
+    phone: null,
+  };
+}
+
+// A line item as transactionLineItem.findAll returns it
+function lineItem(params) {
+  return {
+    kind: params.kind,
+    name: params.name,
+    description: params.description || null,
+    quantity: params.quantity,
+    unitAmount: params.unitAmount,
+    unitTaxAmount: params.unitTaxAmount || null,
+    totalAmount: params.totalAmount,
+    discountAmount: params.discountAmount || null,
+    taxAmount: params.taxAmount || null,
+    unitOfMeasure: params.unitOfMeasure || null,
+    productCode: params.productCode || null,
+    commodityCode: params.commodityCode || null,
+    url: params.url || null,
+  };
+}
+
+function emptyAddress() {
+  return {
+    firstName: null,
+    lastName: null,
+    company: null,
+    streetAddress: null,
+    extendedAddress: null,
+    locality: null,
+    region: null,
+    postalCode: null,
+    countryCodeAlpha2: null,
+  };
+}
+
+function pick(source, keys) {
+  return keys.reduce((picked, key) => {
+    if (source[key] !== undefined) {
+      picked[key] = source[key];
+    }
+    return picked;
+  }, {});
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function randomId(length) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(length);
+
+  return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+function randomDigits(length) {
+  return Array.from(crypto.randomBytes(length), byte => byte % 10).join('');
+}
+
+module.exports = {
+  MockGateway,
+  TEST_NONCES,
+};
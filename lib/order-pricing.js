@@ -0,0 +1,269 @@
+/**
+ * Order Pricing
+ * Turns a cart ({ items, promoCode, shippingOption, destination, currency })
+ * into a priced order using the catalog: line totals, promo discount,
+ * shipping and tax for the destination. Amounts are added up in minor units
+ * so totals never pick up floating point errors. Invalid carts are reported
+ * as field errors, like /api/sale requests.
+ */
+
+const { CURRENCIES, fromMinorUnits, toMinorUnits } = require('./currencies');
+const {
+  findProduct,
+  findPromoCode,
+  findShippingOption,
+  taxRate,
+  taxedByRegion,
+} = require('./catalog');
+const { normalizeAddress, validateAddress } = require('./sale-validation');
+
+const ORDER_FIELDS = [
+  'items',
+  'promoCode',
+  'shippingOption',
+  'destination',
+  'currency',
+];
+const ITEM_FIELDS = ['productId', 'quantity'];
+
+const MAX_LINE_ITEMS = 20;
+const MAX_QUANTITY = 99;
+
+// Returns { fieldErrors, order }; order is null when there are errors.
+// `options.currencies` and `options.defaultCurrency` work as for
+// validateSaleRequest.
+function priceOrder(body, options = {}) {
+  const currencies = options.currencies || CURRENCIES;
+  const fieldErrors = [];
+  const add = (field, code, message) =>
+    fieldErrors.push({ field, code, message });
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    add('body', 'invalid', 'Request body must be a JSON object');
+    return { fieldErrors, order: null };
+  }
+
+  Object.keys(body)
+    .filter(field => !ORDER_FIELDS.includes(field))
+    .forEach(field => add(field, 'unknown_field', `Unknown field: ${field}`));
+
+  const {
+    items,
+    promoCode,
+    shippingOption,
+    currency = options.defaultCurrency || 'USD',
+  } = body;
+  // Where the order ships; also decides the tax rate
+  const destination = normalizeAddress(body.destination);
+
+  if (
+    typeof currency !== 'string' ||
+    !Object.prototype.hasOwnProperty.call(currencies, currency)
+  ) {
+    add(
+      'currency',
+      'not_allowed',
+      `Currency must be one of: ${Object.keys(currencies).join(', ')}`
+    );
+  }
+
+  const lineItems = validateItems(items, add);
+
+  const shipping =
+    typeof shippingOption === 'string'
+      ? findShippingOption(shippingOption)
+      : null;
+  if (shippingOption === undefined) {
+    add('shippingOption', 'required', 'Choose a shipping option');
+  } else if (!shipping) {
+    add('shippingOption', 'not_allowed', 'Unknown shipping option');
+  }
+
+  let promo = null;
+  if (promoCode !== undefined && promoCode !== '') {
+    promo = typeof promoCode === 'string' ? findPromoCode(promoCode) : null;
+    if (!promo) {
+      add('promoCode', 'invalid', "This promo code isn't valid");
+    }
+  }
+
+  if (destination !== undefined) {
+    validateAddress(destination, 'destination', add);
+  }
+  if (shipping && shipping.requiresDestination) {
+    requireDestination(destination, add);
+  }
+
+  if (fieldErrors.length > 0) {
+    return { fieldErrors, order: null };
+  }
+
+  const toAmount = units => fromMinorUnits(units, currency);
+  const pricedItems = lineItems.map(item => {
+    const unitUnits = toMinorUnits(item.product.prices[currency], currency);
+    return {
+      productId: item.product.id,
+      name: item.product.name,
+      quantity: item.quantity,
+      unitAmount: toAmount(unitUnits),
+      totalUnits: unitUnits * item.quantity,
+    };
+  });
+
+  const subtotal = pricedItems.reduce((sum, item) => sum + item.totalUnits, 0);
+  const discount =
+    promo && promo.percentOff
+      ? Math.round((subtotal * promo.percentOff) / 100)
+      : 0;
+  const shippingUnits =
+    promo && promo.freeShipping
+      ? 0
+      : toMinorUnits(shipping.prices[currency], currency);
+  // Tax applies to the discounted goods, not to shipping
+  const taxBasisPoints = taxRate(destination);
+  const tax = Math.round(((subtotal - discount) * taxBasisPoints) / 10000);
+
+  return {
+    fieldErrors,
+    order: {
+      currency,
+      items: pricedItems.map(item => ({
+        productId: item.productId,
+        name: item.name,
+        quantity: item.quantity,
+        unitAmount: item.unitAmount,
+        totalAmount: toAmount(item.totalUnits),
+      })),
+      promoCode: promo ? promo.code : null,
+      promoDescription: promo ? promo.description : null,
+      shippingOption: { id: shipping.id, name: shipping.name },
+      destination: destination || null,
+      subtotalAmount: toAmount(subtotal),
+      discountAmount: toAmount(discount),
+      shippingAmount: toAmount(shippingUnits),
+      taxRate: (taxBasisPoints / 100).toFixed(2),
+      taxAmount: toAmount(tax),
+      totalAmount: toAmount(subtotal - discount + shippingUnits + tax),
+    },
+  };
+}
+
+// Braintree line items for a priced order. The promo discount, shipping and
+// tax go on the transaction itself (discountAmount, shippingAmount,
+// taxAmount), so the lines add up to the subtotal.
+function orderLineItems(order) {
+  return order.items.map(item => ({
+    kind: 'debit',
+    name: item.name,
+    productCode: item.productId,
+    quantity: String(item.quantity),
+    unitAmount: item.unitAmount,
+    totalAmount: item.totalAmount,
+  }));
+}
+
+// Delivered orders are taxed where they ship to, so they need the country,
+// and the state or province where the rate depends on it. A destination
+// that isn't an address has already been reported by validateAddress.
+function requireDestination(destination, add) {
+  if (destination === undefined || destination === null) {
+    add('destination', 'required', 'Enter the address the order ships to');
+    return;
+  }
+  if (typeof destination !== 'object' || Array.isArray(destination)) {
+    return;
+  }
+
+  if (!destination.countryCodeAlpha2) {
+    add(
+      'destination.countryCodeAlpha2',
+      'required',
+      'Enter the country the order ships to'
+    );
+  } else if (
+    taxedByRegion(destination.countryCodeAlpha2) &&
+    !destination.region
+  ) {
+    add(
+      'destination.region',
+      'required',
+      'Enter the state or province the order ships to'
+    );
+  }
+}
+
+// Valid items as { product, quantity }, with repeated products combined
+function validateItems(items, add) {
+  if (!Array.isArray(items) || items.length === 0) {
+    add('items', 'required', 'Add at least one item to the order');
+    return [];
+  }
+  if (items.length > MAX_LINE_ITEMS) {
+    add(
+      'items',
+      'too_long',
+      `An order can have at most ${MAX_LINE_ITEMS} items`
+    );
+    return [];
+  }
+
+  const lineItems = [];
+
+  items.forEach((item, index) => {
+    const prefix = `items[${index}]`;
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      add(prefix, 'invalid', 'Item must be an object');
+      return;
+    }
+
+    Object.keys(item)
+      .filter(field => !ITEM_FIELDS.includes(field))
+      .forEach(field =>
+        add(`${prefix}.${field}`, 'unknown_field', `Unknown field: ${field}`)
+      );
+
+    const product =
+      typeof item.productId === 'string' ? findProduct(item.productId) : null;
+    if (!product) {
+      add(`${prefix}.productId`, 'not_allowed', 'Unknown product');
+    }
+
+    if (
+      !Number.isInteger(item.quantity) ||
+      item.quantity < 1 ||
+      item.quantity > MAX_QUANTITY
+    ) {
+      add(
+        `${prefix}.quantity`,
+        'invalid',
+        `Quantity must be a whole number from 1 to ${MAX_QUANTITY}`
+      );
+      return;
+    }
+
+    if (!product) {
+      return;
+    }
+
+    const existing = lineItems.find(line => line.product === product);
+    if (!existing) {
+      lineItems.push({ product, quantity: item.quantity });
+    } else if (existing.quantity + item.quantity > MAX_QUANTITY) {
+      add(
+        `${prefix}.quantity`,
+        'too_large',
+        `You can order at most ${MAX_QUANTITY} of ${product.name}`
+      );
+    } else {
+      existing.quantity += item.quantity;
+    }
+  });
+
+  return lineItems;
+}
+
+module.exports = {
+  orderLineItems,
+  priceOrder,
+};
@@ -0,0 +1,89 @@
+/**
+ * Order Store
+ * Orders priced by the server (default: data/orders.json). /api/sale
+ * charges an order's stored total, so the browser never decides the amount.
+ * An order moves from pending to processing while it is being charged, and
+ * to paid once a transaction succeeds; failed charges put it back to
+ * pending so the customer can try another payment method. Charges with an
+ * unknown outcome (timeouts, a restart mid-charge) leave the order
+ * processing until someone checks the transaction in Braintree.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'orders.json');
+
+class OrderStore {
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || DEFAULT_DATA_FILE;
+    this.orders = fs.existsSync(this.dataFile)
+      ? JSON.parse(fs.readFileSync(this.dataFile, 'utf8'))
+      : {};
+  }
+
+  // Save a priced order for the customer (null for guests)
+  create(pricedOrder, customerId) {
+    const order = Object.assign(
+      {
+        id: `ord_${crypto.randomBytes(8).toString('hex')}`,
+        status: 'pending',
+        customerId: customerId || null,
+      },
+      pricedOrder,
+      {
+        transactionId: null,
+        createdAt: new Date().toISOString(),
+        paidAt: null,
+      }
+    );
+
+    this.orders[order.id] = order;
+    this.save();
+    return order;
+  }
+
+  find(id) {
+    return this.orders[id] || null;
+  }
+
+  // Mark a pending order as being charged; returns false if it isn't
+  // pending, so the same order can't be charged twice at once
+  claim(id) {
+    const order = this.orders[id];
+    if (!order || order.status !== 'pending') {
+      return false;
+    }
+
+    order.status = 'processing';
+    this.save();
+    return true;
+  }
+
+  markPaid(id, transactionId) {
+    Object.assign(this.orders[id], {
+      status: 'paid',
+      transactionId,
+      paidAt: new Date().toISOString(),
+    });
+    this.save();
+  }
+
+  // The charge failed; the order can be paid again
+  release(id) {
+    if (this.orders[id] && this.orders[id].status === 'processing') {
+      this.orders[id].status = 'pending';
+      this.save();
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+    fs.writeFileSync(this.dataFile, JSON.stringify(this.orders, null, 2));
+  }
+}
+
+module.exports = {
+  OrderStore,
+};
@@ -0,0 +1,214 @@
+/**
+ * Rate Limits
+ * Slows down card testing through the checkout endpoints. Requests are
+ * counted per IP address and per checkout session in fixed windows, and
+ * sessions or IPs that keep getting declined have to wait progressively
+ * longer between payments. Counters live in memory, so they reset when the
+ * server restarts and aren't shared between instances.
+ */
+
+const { logger } = require('./logger');
+
+// Fixed-window request counters
+class RateLimiter {
+  constructor(options = {}) {
+    this.windowMs = (options.windowSeconds || 60) * 1000;
+    this.windows = new Map();
+    this.nextPruneAt = Date.now() + this.windowMs;
+  }
+
+  // Count a request for `key`; a limit of 0 means unlimited. Returns whether
+  // it is allowed and, if not, the seconds until the window resets.
+  hit(key, limit) {
+    const now = Date.now();
+    this.prune(now);
+
+    if (!limit) {
+      return { allowed: true, retryAfter: 0 };
+    }
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    return window.count <= limit
+      ? { allowed: true, retryAfter: 0 }
+      : { allowed: false, retryAfter: secondsUntil(window.resetAt, now) };
+  }
+
+  prune(now) {
+    if (now < this.nextPruneAt) {
+      return;
+    }
+
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+    this.nextPruneAt = now + this.windowMs;
+  }
+}
+
+// Declined payments per key. Once a key has `threshold` declines within the
+// window, each further payment has to wait `baseSeconds`, doubling with every
+// decline after that up to `maxSeconds`. A threshold of 0 backs off from the
+// first decline.
+class DeclineBackoff {
+  constructor(options = {}) {
+    this.threshold = optionOrDefault(options.threshold, 3);
+    this.baseMs = optionOrDefault(options.baseSeconds, 30) * 1000;
+    this.maxMs = optionOrDefault(options.maxSeconds, 900) * 1000;
+    this.windowMs = optionOrDefault(options.windowSeconds, 3600) * 1000;
+    this.declines = new Map();
+    this.nextPruneAt = Date.now() + this.windowMs;
+  }
+
+  recordDecline(key) {
+    const now = Date.now();
+    const declines = this.recent(key, now);
+    declines.push(now);
+    this.declines.set(key, declines);
+  }
+
+  // Seconds `key` has to wait before its next payment, or 0
+  retryAfter(key) {
+    const now = Date.now();
+    this.prune(now);
+
+    const declines = this.recent(key, now);
+    // The first wait comes with the threshold's decline, or the first one
+    const firstBackoffAt = Math.max(this.threshold, 1);
+    if (declines.length < firstBackoffAt) {
+      return 0;
+    }
+
+    const delay = Math.min(
+      this.baseMs * Math.pow(2, declines.length - firstBackoffAt),
+      this.maxMs
+    );
+    const waitUntil = declines[declines.length - 1] + delay;
+    return waitUntil > now ? secondsUntil(waitUntil, now) : 0;
+  }
+
+  recent(key, now) {
+    return (this.declines.get(key) || []).filter(
+      declinedAt => declinedAt > now - this.windowMs
+    );
+  }
+
+  prune(now) {
+    if (now < this.nextPruneAt) {
+      return;
+    }
+
+    this.declines.forEach((declines, key) => {
+      if (declines[declines.length - 1] <= now - this.windowMs) {
+        this.declines.delete(key);
+      }
+    });
+    this.nextPruneAt = now + this.windowMs;
+  }
+}
+
+// Transaction statuses that count as a decline for the backoff
+const DECLINED_STATUSES = ['processor_declined', 'gateway_rejected'];
+
+// Express middleware: answers 429 with a Retry-After header once the IP or
+// session is over its limit (`perIp`, `perSession`; 0 for unlimited), or
+// still has to wait after repeated declines (`backoff`). `getSessionKey`
+// identifies the checkout session; `message` starts the error shown to the
+// customer, e.g. 'Too many payment attempts'. Declined transactions the
+// route leaves in res.locals.transaction are recorded for the backoff.
+function rateLimit(limiter, options) {
+  const { name, perIp, perSession, getSessionKey, backoff, message } = options;
+
+  return (req, res, next) => {
+    const keys = [`ip:${clientIp(req)}`, getSessionKey(req, res)];
+
+    if (backoff) {
+      const retryAfter = Math.max(...keys.map(key => backoff.retryAfter(key)));
+      if (retryAfter > 0) {
+        logger.warn('Decline backoff', { limit: name, keys, retryAfter });
+        return tooManyRequests(
+          res,
+          retryAfter,
+          `Too many declined payments. Wait ${describeWait(
+            retryAfter
+          )} before trying again.`
+        );
+      }
+    }
+
+    const results = [
+      limiter.hit(`${name}:${keys[0]}`, perIp),
+      limiter.hit(`${name}:${keys[1]}`, perSession),
+    ];
+    const retryAfter = Math.max(...results.map(result => result.retryAfter));
+    if (retryAfter > 0) {
+      logger.warn('Rate limit exceeded', { limit: name, keys, retryAfter });
+      return tooManyRequests(
+        res,
+        retryAfter,
+        `${message}. Try again in ${describeWait(retryAfter)}.`
+      );
+    }
+
+    if (backoff) {
+      const json = res.json.bind(res);
+      res.json = body => {
+        const transaction = res.locals.transaction;
+        if (transaction && DECLINED_STATUSES.includes(transaction.status)) {
+          keys.forEach(key => backoff.recordDecline(key));
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+}
+
+function tooManyRequests(res, retryAfter, error) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: 'rate_limited',
+    error,
+    retryAfter,
+  });
+}
+
+// req.ip without the IPv4-mapped IPv6 prefix, so 127.0.0.1 and
+// ::ffff:127.0.0.1 are the same client
+function clientIp(req) {
+  return String(req.ip || '').replace(/^::ffff:/, '');
+}
+
+// "45 seconds", "3 minutes"
+function describeWait(seconds) {
+  if (seconds < 60) {
+    return seconds === 1 ? '1 second' : `${seconds} seconds`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000));
+}
+
+// Options may be 0, so only a missing one falls back to its default
+function optionOrDefault(value, defaultValue) {
+  return value === undefined ? defaultValue : value;
+}
+
+module.exports = {
+  DeclineBackoff,
+  RateLimiter,
+  clientIp,
+  rateLimit,
+};
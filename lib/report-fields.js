@@ -0,0 +1,201 @@
+/**
+ * Report Fields
+ * The columns generate-report.js --fields can pick from. Each field reads a
+ * path in the transaction view from lib/transaction-view.js (the shape
+ * /api/transactions/:id returns), e.g. card_type is
+ * paymentInstrument.cardType. Any other dotted path into that view works as
+ * a field too, e.g. billing.postalCode or threeDSecure.liabilityShifted.
+ */
+
+const { normalizeTransaction } = require('./transaction-view');
+
+// name: [path in the transaction view, table heading, minimum table width,
+// description for --help]
+const FIELDS = {
+  id: ['id', 'ID', 25, 'Transaction ID'],
+  type: ['type', 'Type', 8, 'sale or credit'],
+  status: ['status', 'Status', 20, 'Transaction status'],
+  amount: ['amount', 'Amount', 10, "In the currency's decimal places"],
+  currency_iso_code: ['currencyIsoCode', 'Currency', 8, 'e.g. USD'],
+  created_at: ['createdAt', 'Created At', 24, 'When it was created'],
+  updated_at: ['updatedAt', 'Updated At', 24, 'When it last changed'],
+  service_fee_amount: [
+    'serviceFeeAmount',
+    'Service Fee',
+    11,
+    'Marketplace service fee',
+  ],
+  merchant_account_id: [
+    'merchantAccountId',
+    'Merchant Account',
+    20,
+    'Merchant account it was processed under',
+  ],
+  order_id: ['orderId', 'Order ID', 15, 'Your order ID'],
+  customer_id: ['customer.id', 'Customer', 15, 'Vault customer ID'],
+  payment_instrument: [
+    'paymentInstrument.type',
+    'Instrument',
+    16,
+    'e.g. credit_card, paypal_account',
+  ],
+  card_type: ['paymentInstrument.cardType', 'Card Type', 16, 'e.g. Visa'],
+  last_4: ['paymentInstrument.last4', 'Last 4', 6, 'Last 4 card digits'],
+  processor_response_code: [
+    'processorResponse.code',
+    'Response',
+    8,
+    "The issuer's response code, e.g. 1000 or 2001",
+  ],
+  processor_response_text: [
+    'processorResponse.text',
+    'Response Text',
+    24,
+    "The issuer's response, e.g. Insufficient Funds",
+  ],
+  gateway_rejection_reason: [
+    'gatewayRejectionReason',
+    'Rejection',
+    12,
+    'e.g. cvv, avs, fraud',
+  ],
+  refund_ids: ['refunds.refundIds', 'Refunds', 20, 'Credits against a sale'],
+  refunded_transaction_id: [
+    'refunds.refundedTransactionId',
+    'Refund Of',
+    10,
+    'The sale a credit refunds',
+  ],
+  risk_decision: [
+    'riskData.decision',
+    'Risk',
+    15,
+    'Fraud tools decision, e.g. Approve',
+  ],
+  risk_score: ['riskData.score', 'Risk Score', 10, 'Fraud tools risk score'],
+  risk_rules: [
+    'riskData.decisionReasons',
+    'Risk Rules',
+    24,
+    'Fraud rules that fired',
+  ],
+  device_data_captured: [
+    'riskData.deviceDataCaptured',
+    'Device Data',
+    11,
+    'Whether device data was sent',
+  ],
+};
+
+// The columns reports had before --fields
+const DEFAULT_FIELDS = [
+  'id',
+  'type',
+  'amount',
+  'currency_iso_code',
+  'status',
+  'created_at',
+  'service_fee_amount',
+  'merchant_account_id',
+  'risk_decision',
+  'risk_score',
+  'risk_rules',
+  'device_data_captured',
+];
+
+// Narrower default for --format table, which has to fit a terminal
+const DEFAULT_TABLE_FIELDS = [
+  'id',
+  'type',
+  'amount',
+  'currency_iso_code',
+  'status',
+  'created_at',
+  'merchant_account_id',
+  'risk_decision',
+];
+
+// Top-level keys of the transaction view, which dotted paths must start with
+const VIEW_KEYS = Object.keys(normalizeTransaction({}));
+
+const PATH_PATTERN = /^[A-Za-z]\w*(\.\w+)*$/;
+
+// Columns for a list of field names or dotted paths:
+// { name, path, label, width }
+function reportColumns(names) {
+  const invalid = names.filter(name => !isField(name));
+
+  if (invalid.length > 0) {
+    throw new Error(
+      `Unknown field: ${invalid.join(', ')}. Use one of: ${Object.keys(
+        FIELDS
+      ).join(', ')}, or a path in the transaction view, e.g. billing.postalCode`
+    );
+  }
+
+  return names.map(name => {
+    if (!FIELDS[name]) {
+      return {
+        name,
+        path: name,
+        label: name,
+        width: Math.max(name.length, 15),
+      };
+    }
+
+    const [path, label, width] = FIELDS[name];
+    return { name, path, label, width };
+  });
+}
+
+function isField(name) {
+  return (
+    Boolean(FIELDS[name]) ||
+    (PATH_PATTERN.test(name) && VIEW_KEYS.includes(name.split('.')[0]))
+  );
+}
+
+// One report row for a transaction, keyed by column name. Values keep their
+// type (null when not set, arrays and objects as they are) for JSON; use
+// formatValue for CSV and tables.
+function reportRow(transaction, columns) {
+  const view = normalizeTransaction(transaction);
+
+  return columns.reduce((row, column) => {
+    const value = column.path
+      .split('.')
+      .reduce(
+        (parent, key) =>
+          parent !== null && parent !== undefined ? parent[key] : undefined,
+        view
+      );
+    row[column.name] = value !== undefined ? value : null;
+    return row;
+  }, {});
+}
+
+// A report value as text: '' when not set, lists joined with "; " and
+// objects as JSON
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map(item => (typeof item === 'object' ? JSON.stringify(item) : item))
+      .join('; ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+module.exports = {
+  DEFAULT_FIELDS,
+  DEFAULT_TABLE_FIELDS,
+  FIELDS,
+  formatValue,
+  reportColumns,
+  reportRow,
+};
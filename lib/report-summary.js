@@ -0,0 +1,152 @@
+/**
+ * Report Summary
+ * Aggregates for generate-report.js --summary and --group-by. Each row covers
+ * one group in one currency, since amounts in different currencies can't be
+ * added up:
+ *
+ *   { group, currency, count, sale_count, refund_count, gross, refunds, net,
+ *     average_ticket }
+ *
+ * `count` includes every transaction. Gross, refunds and the average ticket
+ * only include sales and credits that went through; declined, rejected,
+ * failed and voided transactions never moved money, and authorizations
+ * haven't yet. An authorization captured in parts is counted through its
+ * partial captures, which are transactions of their own.
+ */
+
+const { fromMinorUnits, toMinorUnits } = require('./currencies');
+const { normalizeTransaction } = require('./transaction-view');
+
+// Statuses that haven't moved money: failed, cancelled, or only authorized
+const UNCAPTURED_STATUSES = [
+  'authorization_expired',
+  'authorized',
+  'authorizing',
+  'gateway_rejected',
+  'failed',
+  'processor_declined',
+  'settlement_declined',
+  'voided',
+];
+
+// The status change each --date-field refers to; `created` is createdAt
+const DATE_FIELD_STATUSES = {
+  settled: 'settled',
+  authorized: 'authorized',
+};
+
+// What each --group-by option groups transactions on
+const GROUPS = {
+  status: view => view.status,
+  type: view => view.type,
+  day: (view, dateField) => reportDay(view, dateField),
+  'card-type': view => view.paymentInstrument.cardType,
+  'merchant-account': view => view.merchantAccountId,
+  'payment-instrument': view => view.paymentInstrument.type,
+};
+
+const NO_VALUE = '(none)';
+const ALL = 'all';
+
+// Summary rows for `transactions` grouped by a GROUPS key, sorted by group
+// then currency. Without `groupBy` there is one row per currency, in group
+// "all". `dateField` picks the date `day` groups on (default: created).
+function summarizeTransactions(transactions, groupBy, dateField) {
+  if (groupBy && !GROUPS[groupBy]) {
+    throw new Error(
+      `Unknown group: ${groupBy}. Must be one of: ${Object.keys(GROUPS).join(
+        ', '
+      )}`
+    );
+  }
+
+  const totals = new Map();
+
+  transactions.forEach(transaction => {
+    const view = normalizeTransaction(transaction);
+    const group = groupBy
+      ? String(GROUPS[groupBy](view, dateField) || NO_VALUE)
+      : ALL;
+    const currency = view.currencyIsoCode || NO_VALUE;
+    const key = JSON.stringify([group, currency]);
+
+    if (!totals.has(key)) {
+      totals.set(key, {
+        group,
+        currency,
+        count: 0,
+        saleCount: 0,
+        refundCount: 0,
+        grossUnits: 0,
+        refundUnits: 0,
+      });
+    }
+
+    const total = totals.get(key);
+    total.count += 1;
+
+    if (
+      UNCAPTURED_STATUSES.includes(view.status) ||
+      isPartiallyCaptured(view)
+    ) {
+      return;
+    }
+
+    const units = toMinorUnits(view.amount, view.currencyIsoCode);
+    if (view.type === 'credit') {
+      total.refundCount += 1;
+      total.refundUnits += units;
+    } else {
+      total.saleCount += 1;
+      total.grossUnits += units;
+    }
+  });
+
+  return Array.from(totals.values())
+    .sort(
+      (a, b) =>
+        a.group.localeCompare(b.group) || a.currency.localeCompare(b.currency)
+    )
+    .map(summaryRow);
+}
+
+function summaryRow(total) {
+  const currency = total.currency;
+
+  return {
+    group: total.group,
+    currency,
+    count: total.count,
+    sale_count: total.saleCount,
+    refund_count: total.refundCount,
+    gross: fromMinorUnits(total.grossUnits, currency),
+    refunds: fromMinorUnits(total.refundUnits, currency),
+    net: fromMinorUnits(total.grossUnits - total.refundUnits, currency),
+    average_ticket: fromMinorUnits(
+      total.saleCount > 0 ? Math.round(total.grossUnits / total.saleCount) : 0,
+      currency
+    ),
+  };
+}
+
+// Authorizations settled by partial captures, whose amounts are counted
+// through the captures instead
+function isPartiallyCaptured(view) {
+  return view.captures.captureIds.length > 0;
+}
+
+// YYYY-MM-DD (UTC) of the transaction's report date: when it was created,
+// or when it settled or was authorized
+function reportDay(view, dateField) {
+  const status = DATE_FIELD_STATUSES[dateField];
+  const event =
+    status && view.statusHistory.find(entry => entry.status === status);
+  const date = event ? event.timestamp : view.createdAt;
+
+  return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS: Object.keys(GROUPS),
+  summarizeTransactions,
+};
@@ -0,0 +1,196 @@
+/**
+ * Sale Errors
+ * Failed /api/sale responses carry an `errorDetails` object next to the
+ * `error` message, so clients can tell why a payment failed and whether
+ * trying again could help:
+ *
+ *   { category, code, retryable, processorResponseCode,
+ *     processorResponseText, processorResponseType, gatewayRejectionReason,
+ *     fieldErrors }
+ *
+ * The category is validation, processor_declined, gateway_rejected, network
+ * (Braintree or the processor couldn't be reached) or server_error. The
+ * checkout pages turn it into customer-friendly text with
+ * public/payment-messages.js.
+ */
+
+// Rejections the customer can fix by correcting their details or verifying
+// the card; the others won't pass on a retry
+const RETRYABLE_REJECTION_REASONS = [
+  'avs',
+  'avs_and_cvv',
+  'cvv',
+  'three_d_secure',
+];
+
+// Braintree SDK error types where the request never reached Braintree or
+// was turned away before being processed
+const UNAVAILABLE_ERROR_TYPES = [
+  'serviceUnavailableError',
+  'tooManyRequestsError',
+  'serverError',
+  'unexpectedError',
+];
+// Timeouts leave the outcome unknown: the sale may have gone through
+const TIMEOUT_ERROR_TYPES = ['gatewayTimeoutError', 'requestTimeoutError'];
+// So does a connection dropped after the request was sent
+const DROPPED_CONNECTION_ERROR_CODES = ['ECONNRESET'];
+// Connections that never opened
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ETIMEDOUT',
+];
+
+// Response body for a failed sale. `details` overrides the defaults below.
+function saleFailure(error, details) {
+  return {
+    success: false,
+    error,
+    errorDetails: Object.assign(
+      {
+        category: 'validation',
+        code: 'invalid_request',
+        retryable: false,
+        processorResponseCode: null,
+        processorResponseText: null,
+        processorResponseType: null,
+        gatewayRejectionReason: null,
+        fieldErrors: [],
+      },
+      details
+    ),
+  };
+}
+
+// Response body for an unsuccessful gateway.transaction.sale() result:
+// a processor decline, a gateway rejection, a processor failure or
+// Braintree validation errors
+function transactionFailure(result) {
+  const transaction = result.transaction;
+
+  if (!transaction) {
+    return saleFailure(result.message, {
+      code: 'payment_method_invalid',
+      fieldErrors: braintreeFieldErrors(result),
+    });
+  }
+
+  const processorResponse = {
+    processorResponseCode: transaction.processorResponseCode || null,
+    processorResponseText: transaction.processorResponseText || null,
+    processorResponseType: transaction.processorResponseType || null,
+  };
+
+  if (transaction.status === 'gateway_rejected') {
+    const reason = transaction.gatewayRejectionReason || null;
+    return saleFailure(
+      result.message,
+      Object.assign(processorResponse, {
+        category: 'gateway_rejected',
+        code: 'gateway_rejected',
+        retryable: RETRYABLE_REJECTION_REASONS.includes(reason),
+        gatewayRejectionReason: reason,
+      })
+    );
+  }
+
+  // "failed" means the processor couldn't be reached (e.g. 3000 Processor
+  // Network Unavailable)
+  if (transaction.status === 'failed') {
+    return saleFailure(
+      result.message,
+      Object.assign(processorResponse, {
+        category: 'network',
+        code: 'processor_unavailable',
+        retryable: true,
+      })
+    );
+  }
+
+  // Soft declines (e.g. insufficient funds) may be approved later; hard
+  // declines never will be
+  return saleFailure(
+    result.message,
+    Object.assign(processorResponse, {
+      category: 'processor_declined',
+      code: 'processor_declined',
+      retryable: transaction.processorResponseType === 'soft_declined',
+    })
+  );
+}
+
+// Status and body for an error thrown while processing a sale. Errors
+// reaching Braintree are `network` errors; anything else is a server error.
+function thrownFailure(error) {
+  if (
+    TIMEOUT_ERROR_TYPES.includes(error.type) ||
+    DROPPED_CONNECTION_ERROR_CODES.includes(error.code)
+  ) {
+    return {
+      status: 504,
+      body: saleFailure(
+        "The payment service didn't respond in time. The payment may still have gone through.",
+        { category: 'network', code: 'gateway_timeout' }
+      ),
+    };
+  }
+
+  if (
+    UNAVAILABLE_ERROR_TYPES.includes(error.type) ||
+    CONNECTION_ERROR_CODES.includes(error.code)
+  ) {
+    return {
+      status: 502,
+      body: saleFailure('The payment service is unavailable', {
+        category: 'network',
+        code: 'gateway_unavailable',
+        retryable: true,
+      }),
+    };
+  }
+
+  return {
+    status: 500,
+    body: saleFailure('Failed to process payment', {
+      category: 'server_error',
+      code: 'server_error',
+      retryable: true,
+    }),
+  };
+}
+
+// Braintree validation errors as { field, code, message }, with the
+// attribute camel-cased like request fields (payment_method_nonce ->
+// paymentMethodNonce)
+function braintreeFieldErrors(result) {
+  if (!result.errors || typeof result.errors.deepErrors !== 'function') {
+    return [];
+  }
+
+  return result.errors.deepErrors().map(error => ({
+    field: String(error.attribute).replace(/_([a-z])/g, (match, letter) =>
+      letter.toUpperCase()
+    ),
+    code: error.code,
+    message: error.message,
+  }));
+}
+
+// Whether a failed sale response is known to have failed before anything
+// was charged, so running the same request again can't charge twice
+function failedBeforeCharge(body) {
+  return Boolean(
+    body &&
+      body.errorDetails &&
+      body.errorDetails.code === 'gateway_unavailable'
+  );
+}
+
+module.exports = {
+  failedBeforeCharge,
+  saleFailure,
+  thrownFailure,
+  transactionFailure,
+};
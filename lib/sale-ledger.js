@@ -0,0 +1,204 @@
+/**
+ * Sale Ledger
+ * Append-only record of every /api/sale attempt (default:
+ * data/sale-ledger.jsonl, one JSON entry per line): who asked for what, how
+ * it ended, and the transaction, vaulted token and customer involved. It is
+ * our own system of record, independent of the Braintree Control Panel.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { normalizeTransaction } = require('./transaction-view');
+
+const DEFAULT_DATA_FILE = path.join(
+  __dirname,
+  '..',
+  'data',
+  'sale-ledger.jsonl'
+);
+
+const OUTCOMES = [
+  'succeeded',
+  'processor_declined',
+  'gateway_rejected',
+  'failed',
+  'invalid',
+  'error',
+];
+
+class SaleLedger {
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || DEFAULT_DATA_FILE;
+  }
+
+  // Append an entry; existing lines are never rewritten
+  append(entry) {
+    const record = Object.assign(
+      {
+        id: `sale_${crypto.randomBytes(8).toString('hex')}`,
+        recordedAt: new Date().toISOString(),
+      },
+      entry
+    );
+
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+    fs.appendFileSync(this.dataFile, JSON.stringify(record) + '\n');
+    return record;
+  }
+
+  // Newest first, optionally filtered by outcome, customer, transaction and
+  // recorded date range
+  query(filters = {}) {
+    const limit = filters.limit || 50;
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) : null;
+
+    return this.readAll()
+      .filter(entry => !filters.outcome || entry.outcome === filters.outcome)
+      .filter(
+        entry => !filters.customerId || entry.customerId === filters.customerId
+      )
+      .filter(
+        entry =>
+          !filters.transactionId ||
+          entry.transactionId === filters.transactionId
+      )
+      .filter(entry => from === null || Date.parse(entry.recordedAt) >= from)
+      .filter(entry => to === null || Date.parse(entry.recordedAt) <= to)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  find(id) {
+    return this.readAll().find(entry => entry.id === id) || null;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.dataFile)) {
+      return [];
+    }
+
+    // A crash mid-write can leave a partial last line; skip it
+    return fs
+      .readFileSync(this.dataFile, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+// Express middleware: records the attempt once the sale route has answered.
+// The route leaves the Braintree transaction (if one was created) in
+// res.locals.transaction. `getCustomerId` reads the signed-in customer.
+function recordSaleAttempts(ledger, getCustomerId = () => null) {
+  return (req, res, next) => {
+    const startedAt = Date.now();
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      try {
+        ledger.append(
+          describeAttempt(req, res, body, getCustomerId(req), startedAt)
+        );
+      } catch (error) {
+        // Losing a ledger entry must not fail the payment response
+        logger.error('Failed to record sale in ledger', { error });
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+function describeAttempt(req, res, body, sessionCustomerId, startedAt) {
+  const params = req.body || {};
+  const transaction = res.locals.transaction
+    ? normalizeTransaction(res.locals.transaction)
+    : null;
+  const vaulted = body.vaultedPaymentMethod || null;
+
+  return {
+    outcome: attemptOutcome(res.statusCode, body, transaction),
+    httpStatus: res.statusCode,
+    durationMs: Date.now() - startedAt,
+    request: {
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      idempotencyKey: req.get('Idempotency-Key') || null,
+      amount: params.amount !== undefined ? String(params.amount) : null,
+      currency: params.currency || null,
+      orderId: params.orderId || null,
+      intent: params.intent || 'sale',
+      transactionSource: params.transactionSource || null,
+      paymentMethod: params.paymentMethodToken
+        ? 'token'
+        : params.paymentMethodNonce
+        ? 'nonce'
+        : null,
+      paymentMethodToken: params.paymentMethodToken || null,
+      vaultRequested: Boolean(params.vaultPaymentMethod),
+      deviceDataSent: Boolean(params.deviceData),
+    },
+    customerId:
+      (vaulted && vaulted.customerId) ||
+      (transaction && transaction.customer && transaction.customer.id) ||
+      sessionCustomerId ||
+      null,
+    transactionId: transaction ? transaction.id : null,
+    transactionStatus: transaction ? transaction.status : null,
+    amount: transaction ? transaction.amount : null,
+    currencyIsoCode: transaction ? transaction.currencyIsoCode : null,
+    paymentInstrumentType: transaction
+      ? transaction.paymentInstrument.type
+      : null,
+    vaultedPaymentMethodToken: vaulted ? vaulted.token : null,
+    processorResponse: transaction
+      ? {
+          code: transaction.processorResponse.code,
+          text: transaction.processorResponse.text,
+        }
+      : null,
+    gatewayRejectionReason: transaction
+      ? transaction.gatewayRejectionReason
+      : null,
+    riskDecision:
+      transaction && transaction.riskData
+        ? transaction.riskData.decision
+        : null,
+    liabilityShifted:
+      transaction && transaction.threeDSecure
+        ? transaction.threeDSecure.liabilityShifted
+        : null,
+    error: body.success ? null : body.error || null,
+  };
+}
+
+function attemptOutcome(statusCode, body, transaction) {
+  if (body.success) {
+    return 'succeeded';
+  }
+  if (statusCode >= 500) {
+    return 'error';
+  }
+  if (transaction && OUTCOMES.includes(transaction.status)) {
+    return transaction.status;
+  }
+  // Rejected before reaching Braintree, or Braintree validation errors
+  return 'invalid';
+}
+
+module.exports = {
+  OUTCOMES,
+  SaleLedger,
+  recordSaleAttempts,
+};
@@ -0,0 +1,637 @@
+/**
+ * Sale Request Validation
+ * Strict checks for /api/sale request bodies. Instead of passing values to
+ * Braintree and letting it round or reject them, each problem is reported
+ * as { field, code, message }, with nested paths like
+ * "billingAddress.countryCodeAlpha2", so the pages can show it next to the
+ * input it belongs to.
+ */
+
+const {
+  CURRENCIES,
+  describePrecision,
+  hasValidPrecision,
+  toMinorUnits,
+} = require('./currencies');
+
+const SALE_INTENTS = ['sale', 'authorize'];
+
+// Stored-credential flags accepted for /api/sale
+const TRANSACTION_SOURCES = [
+  'recurring_first',
+  'recurring',
+  'unscheduled',
+  'moto',
+];
+
+// Labels the pages send with wallet and PayPal nonces
+const PAYMENT_METHOD_TYPES = [
+  'Card',
+  'PayPal',
+  'Venmo',
+  'Google Pay',
+  'Apple Pay',
+];
+
+// Every field /api/sale understands; anything else is rejected
+const SALE_FIELDS = [
+  'paymentMethodNonce',
+  'paymentMethodToken',
+  'transactionSource',
+  'intent',
+  'amount',
+  'billingAddress',
+  'vaultPaymentMethod',
+  'cardholderName',
+  'paymentMethodType',
+  'deviceData',
+  'currency',
+  'orderId',
+  'lineItems',
+  'taxAmount',
+  'shippingAmount',
+  'discountAmount',
+  'purchaseOrderNumber',
+  'shipping',
+];
+
+// Level 2/3 amounts, line items and the shipping address. Orders bring
+// their own; an order's destination is where it ships.
+const ORDER_DETAIL_FIELDS = [
+  'lineItems',
+  'taxAmount',
+  'shippingAmount',
+  'discountAmount',
+  'shipping',
+];
+
+const LINE_ITEM_KINDS = ['debit', 'credit'];
+const MAX_LINE_ITEMS = 249;
+
+// Braintree's length limits for line item text fields
+const LINE_ITEM_FIELD_LENGTHS = {
+  name: 127,
+  description: 127,
+  productCode: 127,
+  commodityCode: 127,
+  unitOfMeasure: 12,
+  url: 255,
+};
+
+// Line item amounts. Per-unit amounts and quantities may have up to four
+// decimal places; the rest follow the currency.
+const LINE_ITEM_AMOUNT_FIELDS = [
+  'quantity',
+  'unitAmount',
+  'unitTaxAmount',
+  'totalAmount',
+  'discountAmount',
+  'taxAmount',
+];
+const UNIT_DECIMAL_PLACES = 4;
+
+// Braintree's length limits for address fields
+const ADDRESS_FIELD_LENGTHS = {
+  firstName: 255,
+  lastName: 255,
+  company: 255,
+  streetAddress: 255,
+  extendedAddress: 255,
+  locality: 255,
+  region: 255,
+  postalCode: 9,
+  countryCodeAlpha2: 2,
+};
+
+const CARDHOLDER_NAME_LENGTH = 175;
+const PAYMENT_METHOD_TOKEN_LENGTH = 36;
+const ORDER_ID_LENGTH = 64;
+const PURCHASE_ORDER_NUMBER_LENGTH = 17;
+
+// ISO 3166-1 alpha-2 country codes
+const COUNTRY_CODES = (
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI ' +
+  'BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN ' +
+  'CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK ' +
+  'FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM ' +
+  'HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN ' +
+  'KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ' +
+  'ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP ' +
+  'NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW ' +
+  'SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF ' +
+  'TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI ' +
+  'VN VU WF WS YE YT ZA ZM ZW'
+).split(' ');
+
+// Postal codes: letters, digits, spaces and hyphens
+const POSTAL_CODE_PATTERN = /^[A-Za-z0-9 -]*$/;
+
+// Returns a list of field errors; empty when the request is valid.
+// `options.currencies` limits the accepted currencies (default: all),
+// `options.defaultCurrency` applies when the request names none,
+// `options.maxAmount` overrides each currency's own limit, and
+// `options.requireOrder` only allows charging an orderId. With lineItems,
+// the items less discountAmount plus shippingAmount and taxAmount must add
+// up to the amount, as PayPal requires.
+function validateSaleRequest(body, options = {}) {
+  const currencies = options.currencies || CURRENCIES;
+  const errors = [];
+  const add = (field, code, message) => errors.push({ field, code, message });
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    add('body', 'invalid', 'Request body must be a JSON object');
+    return errors;
+  }
+
+  Object.keys(body)
+    .filter(field => !SALE_FIELDS.includes(field))
+    .forEach(field => add(field, 'unknown_field', `Unknown field: ${field}`));
+
+  const {
+    paymentMethodNonce,
+    paymentMethodToken,
+    transactionSource,
+    intent,
+    amount,
+    billingAddress,
+    vaultPaymentMethod,
+    cardholderName,
+    paymentMethodType,
+    deviceData,
+    currency = options.defaultCurrency || 'USD',
+    orderId,
+    purchaseOrderNumber,
+  } = body;
+
+  // Payment method: exactly one of a nonce or a saved token
+  if (paymentMethodNonce === undefined && paymentMethodToken === undefined) {
+    add(
+      'paymentMethodNonce',
+      'required',
+      'Payment method nonce or token is required'
+    );
+  } else if (
+    paymentMethodNonce !== undefined &&
+    paymentMethodToken !== undefined
+  ) {
+    add(
+      'paymentMethodToken',
+      'conflict',
+      'Provide either a payment method nonce or a token, not both'
+    );
+  }
+
+  if (
+    paymentMethodNonce !== undefined &&
+    !isNonEmptyString(paymentMethodNonce)
+  ) {
+    add(
+      'paymentMethodNonce',
+      'invalid',
+      'Payment method nonce must be a non-empty string'
+    );
+  }
+
+  if (
+    paymentMethodToken !== undefined &&
+    (!isNonEmptyString(paymentMethodToken) ||
+      paymentMethodToken.length > PAYMENT_METHOD_TOKEN_LENGTH)
+  ) {
+    add(
+      'paymentMethodToken',
+      'invalid',
+      `Payment method token must be a string of up to ${PAYMENT_METHOD_TOKEN_LENGTH} characters`
+    );
+  }
+
+  // What to charge: a server-priced order, or an amount in a currency
+  if (orderId !== undefined) {
+    if (!isNonEmptyString(orderId) || orderId.length > ORDER_ID_LENGTH) {
+      add(
+        'orderId',
+        'invalid',
+        `Order ID must be a string of up to ${ORDER_ID_LENGTH} characters`
+      );
+    }
+
+    ['amount', 'currency', ...ORDER_DETAIL_FIELDS]
+      .filter(field => body[field] !== undefined)
+      .forEach(field =>
+        add(
+          field,
+          'conflict',
+          `Don't send ${field} with an orderId; it comes from the order`
+        )
+      );
+  } else if (options.requireOrder) {
+    add(
+      'orderId',
+      'required',
+      'Create an order with POST /api/orders and pay its orderId'
+    );
+  } else {
+    const errorCount = errors.length;
+    validateAmount(amount, currency, currencies, options.maxAmount, add);
+    validateOrderDetails(body, currency, errors.length === errorCount, add);
+  }
+
+  if (
+    purchaseOrderNumber !== undefined &&
+    (!isNonEmptyString(purchaseOrderNumber) ||
+      purchaseOrderNumber.length > PURCHASE_ORDER_NUMBER_LENGTH)
+  ) {
+    add(
+      'purchaseOrderNumber',
+      'invalid',
+      `Purchase order number must be a string of up to ${PURCHASE_ORDER_NUMBER_LENGTH} characters`
+    );
+  }
+
+  if (intent !== undefined && !SALE_INTENTS.includes(intent)) {
+    add(
+      'intent',
+      'not_allowed',
+      `Intent must be one of: ${SALE_INTENTS.join(', ')}`
+    );
+  }
+
+  if (
+    transactionSource !== undefined &&
+    !TRANSACTION_SOURCES.includes(transactionSource)
+  ) {
+    add(
+      'transactionSource',
+      'not_allowed',
+      `Transaction source must be one of: ${TRANSACTION_SOURCES.join(', ')}`
+    );
+  }
+
+  // Merchant-initiated charges are only valid against stored credentials
+  if (
+    ['recurring', 'unscheduled'].includes(transactionSource) &&
+    paymentMethodToken === undefined
+  ) {
+    add(
+      'transactionSource',
+      'requires_token',
+      `${transactionSource} transactions require a saved payment method token`
+    );
+  }
+
+  if (
+    paymentMethodType !== undefined &&
+    !PAYMENT_METHOD_TYPES.includes(paymentMethodType)
+  ) {
+    add(
+      'paymentMethodType',
+      'not_allowed',
+      `Payment method type must be one of: ${PAYMENT_METHOD_TYPES.join(', ')}`
+    );
+  }
+
+  if (
+    vaultPaymentMethod !== undefined &&
+    typeof vaultPaymentMethod !== 'boolean'
+  ) {
+    add(
+      'vaultPaymentMethod',
+      'invalid',
+      'vaultPaymentMethod must be true or false'
+    );
+  }
+
+  if (cardholderName !== undefined) {
+    if (typeof cardholderName !== 'string') {
+      add('cardholderName', 'invalid', 'Cardholder name must be a string');
+    } else if (cardholderName.length > CARDHOLDER_NAME_LENGTH) {
+      add(
+        'cardholderName',
+        'too_long',
+        `Cardholder name can be at most ${CARDHOLDER_NAME_LENGTH} characters`
+      );
+    }
+  }
+
+  if (deviceData !== undefined && typeof deviceData !== 'string') {
+    add(
+      'deviceData',
+      'invalid',
+      'Device data must be the string from dataCollector'
+    );
+  }
+
+  // Addresses are checked as they'll be sent, after normalizeAddress()
+  if (billingAddress !== undefined) {
+    validateAddress(normalizeAddress(billingAddress), 'billingAddress', add);
+  }
+
+  if (body.shipping !== undefined && orderId === undefined) {
+    validateAddress(normalizeAddress(body.shipping), 'shipping', add);
+  }
+
+  return errors;
+}
+
+function validateAmount(amount, currency, currencies, maxAmountOverride, add) {
+  const currencyConfig =
+    typeof currency === 'string' &&
+    Object.prototype.hasOwnProperty.call(currencies, currency)
+      ? currencies[currency]
+      : null;
+
+  if (!currencyConfig) {
+    add(
+      'currency',
+      'not_allowed',
+      `Currency must be one of: ${Object.keys(currencies).join(', ')}`
+    );
+  }
+
+  // Positive, within the currency's minor units, and within the limit
+  const maxAmount =
+    maxAmountOverride || (currencyConfig && currencyConfig.maxAmount);
+
+  if (amount === undefined || amount === null || amount === '') {
+    add('amount', 'required', 'Amount is required');
+  } else if (
+    !['string', 'number'].includes(typeof amount) ||
+    !/^\d+(\.\d+)?$/.test(String(amount))
+  ) {
+    add('amount', 'invalid', 'Amount must be a number like 10.00');
+  } else if (currencyConfig && !hasValidPrecision(amount, currency)) {
+    add('amount', 'precision', describePrecision(currency));
+  } else if (parseFloat(amount) <= 0) {
+    add('amount', 'too_small', 'Amount must be greater than zero');
+  } else if (maxAmount && toCents(amount) > toCents(maxAmount)) {
+    add(
+      'amount',
+      'too_large',
+      `Amount can't be more than ${maxAmount} ${currency}`
+    );
+  }
+}
+
+// Tax, shipping, discount and line items sent with a custom amount.
+// `amountValid` is false when the amount or currency already has errors, so
+// the totals can't be compared.
+function validateOrderDetails(body, currency, amountValid, add) {
+  const { lineItems } = body;
+  // Set once any of these fields has an error
+  let invalid = false;
+  const track = (field, code, message) => {
+    invalid = true;
+    add(field, code, message);
+  };
+
+  ['taxAmount', 'shippingAmount', 'discountAmount']
+    .filter(field => body[field] !== undefined)
+    .forEach(field =>
+      checkDetailAmount(body[field], field, currency, false, track)
+    );
+
+  if (lineItems === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    track('lineItems', 'invalid', 'Line items must be a non-empty list');
+    return;
+  }
+  if (lineItems.length > MAX_LINE_ITEMS) {
+    track(
+      'lineItems',
+      'too_long',
+      `A sale can have at most ${MAX_LINE_ITEMS} line items`
+    );
+    return;
+  }
+
+  lineItems.forEach((item, index) =>
+    validateLineItem(item, `lineItems[${index}]`, currency, track)
+  );
+
+  if (!amountValid || invalid) {
+    return;
+  }
+
+  // Credit lines (returns, discounts) count against the total
+  const units = value => toMinorUnits(value || 0, currency);
+  const itemTotal = lineItems.reduce(
+    (sum, item) =>
+      sum + (item.kind === 'credit' ? -1 : 1) * units(item.totalAmount),
+    0
+  );
+  const expected =
+    itemTotal -
+    units(body.discountAmount) +
+    units(body.shippingAmount) +
+    units(body.taxAmount);
+
+  if (expected !== units(body.amount)) {
+    add(
+      'lineItems',
+      'conflict',
+      'Line items less discountAmount plus shippingAmount and taxAmount must add up to the amount'
+    );
+  }
+}
+
+function validateLineItem(item, prefix, currency, add) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    add(prefix, 'invalid', 'Line item must be an object');
+    return;
+  }
+
+  Object.keys(item)
+    .filter(
+      field =>
+        field !== 'kind' &&
+        LINE_ITEM_FIELD_LENGTHS[field] === undefined &&
+        !LINE_ITEM_AMOUNT_FIELDS.includes(field)
+    )
+    .forEach(field =>
+      add(
+        `${prefix}.${field}`,
+        'unknown_field',
+        `Unknown line item field: ${field}`
+      )
+    );
+
+  ['name', 'kind', 'quantity', 'unitAmount', 'totalAmount']
+    .filter(field => item[field] === undefined || item[field] === '')
+    .forEach(field =>
+      add(
+        `${prefix}.${field}`,
+        'required',
+        `${describeField(field)} is required`
+      )
+    );
+
+  if (item.kind !== undefined && !LINE_ITEM_KINDS.includes(item.kind)) {
+    add(
+      `${prefix}.kind`,
+      'not_allowed',
+      `Kind must be one of: ${LINE_ITEM_KINDS.join(', ')}`
+    );
+  }
+
+  Object.keys(LINE_ITEM_FIELD_LENGTHS)
+    .filter(field => item[field] !== undefined && item[field] !== '')
+    .forEach(field => {
+      const maxLength = LINE_ITEM_FIELD_LENGTHS[field];
+      if (typeof item[field] !== 'string') {
+        add(
+          `${prefix}.${field}`,
+          'invalid',
+          `${describeField(field)} must be a string`
+        );
+      } else if (item[field].length > maxLength) {
+        add(
+          `${prefix}.${field}`,
+          'too_long',
+          `${describeField(field)} can be at most ${maxLength} characters`
+        );
+      }
+    });
+
+  LINE_ITEM_AMOUNT_FIELDS.filter(
+    field => item[field] !== undefined && item[field] !== ''
+  ).forEach(field =>
+    checkDetailAmount(
+      item[field],
+      `${prefix}.${field}`,
+      currency,
+      ['quantity', 'unitAmount', 'unitTaxAmount'].includes(field),
+      add
+    )
+  );
+
+  if (item.quantity !== undefined && parseFloat(item.quantity) === 0) {
+    add(
+      `${prefix}.quantity`,
+      'too_small',
+      'Quantity must be greater than zero'
+    );
+  }
+}
+
+// A non-negative amount, with up to four decimal places for per-unit values
+// or the currency's minor units otherwise
+function checkDetailAmount(value, path, currency, perUnit, add) {
+  // "lineItems[0].unitAmount" -> "Unit amount"
+  const label = describeField(path.split('.').pop());
+  const [, decimals = ''] = String(value).split('.');
+
+  if (
+    !['string', 'number'].includes(typeof value) ||
+    !/^\d+(\.\d+)?$/.test(String(value))
+  ) {
+    add(path, 'invalid', `${label} must be a number like 10.00`);
+  } else if (perUnit && decimals.length > UNIT_DECIMAL_PLACES) {
+    add(
+      path,
+      'precision',
+      `${label} can have at most ${UNIT_DECIMAL_PLACES} decimal places`
+    );
+  } else if (!perUnit && !hasValidPrecision(value, currency)) {
+    add(path, 'precision', describePrecision(currency));
+  }
+}
+
+// Checks an address object; `add(field, code, message)` collects errors
+function validateAddress(address, prefix, add) {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    add(prefix, 'invalid', 'Address must be an object');
+    return;
+  }
+
+  Object.keys(address).forEach(field => {
+    const path = `${prefix}.${field}`;
+    const value = address[field];
+    const maxLength = ADDRESS_FIELD_LENGTHS[field];
+
+    if (maxLength === undefined) {
+      add(path, 'unknown_field', `Unknown address field: ${field}`);
+    } else if (typeof value !== 'string') {
+      add(path, 'invalid', `${describeField(field)} must be a string`);
+    } else if (value.length > maxLength) {
+      add(
+        path,
+        'too_long',
+        `${describeField(field)} can be at most ${maxLength} characters`
+      );
+    }
+  });
+
+  const { postalCode, countryCodeAlpha2 } = address;
+
+  if (typeof postalCode === 'string' && !POSTAL_CODE_PATTERN.test(postalCode)) {
+    add(
+      `${prefix}.postalCode`,
+      'invalid',
+      'Postal code can only contain letters, numbers, spaces and hyphens'
+    );
+  }
+
+  if (
+    typeof countryCodeAlpha2 === 'string' &&
+    countryCodeAlpha2 !== '' &&
+    !COUNTRY_CODES.includes(countryCodeAlpha2)
+  ) {
+    add(
+      `${prefix}.countryCodeAlpha2`,
+      'invalid',
+      'Country must be an ISO 3166-1 alpha-2 code, like US'
+    );
+  }
+}
+
+// Tidies an address from a form or a wallet: trims values, drops empty ones
+// and upper-cases the country and postal codes. validateSaleRequest checks
+// the tidied address. Anything that isn't an address is returned as is, for
+// validation to reject.
+function normalizeAddress(address) {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    return address;
+  }
+
+  return Object.keys(address).reduce((normalized, field) => {
+    let value = address[field];
+
+    if (typeof value === 'string') {
+      value = value.trim().replace(/\s+/g, ' ');
+      if (field === 'countryCodeAlpha2' || field === 'postalCode') {
+        value = value.toUpperCase();
+      }
+      if (value === '') {
+        return normalized;
+      }
+    }
+
+    normalized[field] = value;
+    return normalized;
+  }, {});
+}
+
+// "streetAddress" -> "Street address"
+function describeField(field) {
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+module.exports = {
+  SALE_INTENTS,
+  TRANSACTION_SOURCES,
+  PAYMENT_METHOD_TYPES,
+  normalizeAddress,
+  validateAddress,
+  validateSaleRequest,
+};
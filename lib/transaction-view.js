@@ -0,0 +1,200 @@
+/**
+ * Transaction View
+ * Turns a Braintree transaction into the stable JSON shape returned by
+ * /api/sale and /api/transactions/:id, so the pages don't depend on which
+ * SDK property a payment type's details happen to live under.
+ */
+
+// Where the SDK keeps each payment instrument's details
+const INSTRUMENTS = {
+  credit_card: { property: 'creditCard', label: 'Card' },
+  paypal_account: { property: 'paypal', label: 'PayPal' },
+  venmo_account: { property: 'venmoAccount', label: 'Venmo' },
+  android_pay_card: { property: 'androidPayCard', label: 'Google Pay' },
+  apple_pay_card: { property: 'applePayCard', label: 'Apple Pay' },
+};
+
+const ADDRESS_FIELDS = [
+  'firstName',
+  'lastName',
+  'company',
+  'streetAddress',
+  'extendedAddress',
+  'locality',
+  'region',
+  'postalCode',
+  'countryCodeAlpha2',
+];
+
+function normalizeTransaction(transaction) {
+  return {
+    id: transaction.id,
+    type: transaction.type,
+    status: transaction.status,
+    amount: transaction.amount,
+    currencyIsoCode: transaction.currencyIsoCode || null,
+    merchantAccountId: transaction.merchantAccountId || null,
+    orderId: transaction.orderId || null,
+    purchaseOrderNumber: transaction.purchaseOrderNumber || null,
+    taxAmount: transaction.taxAmount || null,
+    shippingAmount: transaction.shippingAmount || null,
+    discountAmount: transaction.discountAmount || null,
+    serviceFeeAmount: transaction.serviceFeeAmount || null,
+    createdAt: transaction.createdAt || null,
+    updatedAt: transaction.updatedAt || null,
+    statusHistory: (transaction.statusHistory || []).map(event => ({
+      status: event.status,
+      timestamp: event.timestamp,
+      amount: event.amount,
+      user: event.user || null,
+      transactionSource: event.transactionSource || null,
+    })),
+    processorResponse: {
+      code: transaction.processorResponseCode || null,
+      text: transaction.processorResponseText || null,
+      type: transaction.processorResponseType || null,
+      additionalText: transaction.additionalProcessorResponse || null,
+      authorizationCode: transaction.processorAuthorizationCode || null,
+      avsPostalCode: transaction.avsPostalCodeResponseCode || null,
+      avsStreetAddress: transaction.avsStreetAddressResponseCode || null,
+      cvv: transaction.cvvResponseCode || null,
+    },
+    gatewayRejectionReason: transaction.gatewayRejectionReason || null,
+    paymentInstrument: normalizeInstrument(transaction),
+    customer: normalizeCustomer(transaction.customer),
+    billing: normalizeAddress(transaction.billing),
+    shipping: normalizeAddress(transaction.shipping),
+    riskData: normalizeRiskData(transaction.riskData),
+    threeDSecure: normalizeThreeDSecure(transaction.threeDSecureInfo),
+    refunds: {
+      refundIds: transaction.refundIds || [],
+      refundedTransactionId: transaction.refundedTransactionId || null,
+    },
+    captures: {
+      captureIds: transaction.partialSettlementTransactionIds || [],
+      authorizedTransactionId: transaction.authorizedTransactionId || null,
+    },
+  };
+}
+
+function normalizeInstrument(transaction) {
+  const type = transaction.paymentInstrumentType;
+  const instrument = INSTRUMENTS[type];
+  const details = (instrument && transaction[instrument.property]) || {};
+
+  const view = {
+    type: type || null,
+    label: instrument ? instrument.label : type || null,
+    token: details.token || null,
+    imageUrl: details.imageUrl || null,
+  };
+
+  switch (type) {
+    case 'paypal_account':
+      return Object.assign(view, {
+        description: details.payerEmail || null,
+        email: details.payerEmail || null,
+        payerId: details.payerId || null,
+        implicitlyVaultedPaymentMethodToken:
+          details.implicitlyVaultedPaymentMethodToken || null,
+      });
+    case 'venmo_account':
+      return Object.assign(view, {
+        description: details.username ? `@${details.username}` : null,
+        username: details.username || null,
+        venmoUserId: details.venmoUserId || null,
+      });
+    case 'android_pay_card':
+    case 'apple_pay_card':
+      return Object.assign(view, cardFields(details), {
+        sourceCardType: details.sourceCardType || null,
+        sourceCardLast4: details.sourceCardLast4 || null,
+      });
+    default:
+      return Object.assign(view, cardFields(details), {
+        bin: details.bin || null,
+        cardholderName: details.cardholderName || null,
+        debit: details.debit || null,
+        prepaid: details.prepaid || null,
+        commercial: details.commercial || null,
+        countryOfIssuance: details.countryOfIssuance || null,
+        issuingBank: details.issuingBank || null,
+      });
+  }
+}
+
+function cardFields(details) {
+  return {
+    description:
+      details.cardType && details.last4
+        ? `${details.cardType} ending in ${details.last4}`
+        : null,
+    cardType: details.cardType || null,
+    last4: details.last4 || null,
+    expirationDate:
+      details.expirationMonth && details.expirationYear
+        ? `${details.expirationMonth}/${details.expirationYear}`
+        : null,
+  };
+}
+
+function normalizeCustomer(customer) {
+  if (!customer || !customer.id) {
+    return null;
+  }
+
+  return {
+    id: customer.id,
+    firstName: customer.firstName || null,
+    lastName: customer.lastName || null,
+    email: customer.email || null,
+  };
+}
+
+function normalizeAddress(address) {
+  if (!address || !ADDRESS_FIELDS.some(field => address[field])) {
+    return null;
+  }
+
+  return ADDRESS_FIELDS.reduce((view, field) => {
+    view[field] = address[field] || null;
+    return view;
+  }, {});
+}
+
+function normalizeRiskData(riskData) {
+  if (!riskData) {
+    return null;
+  }
+
+  return {
+    id: riskData.id || null,
+    decision: riskData.decision || null,
+    score:
+      riskData.transactionRiskScore !== undefined
+        ? riskData.transactionRiskScore
+        : null,
+    decisionReasons: riskData.decisionReasons || [],
+    deviceDataCaptured: Boolean(riskData.deviceDataCaptured),
+    fraudServiceProvider: riskData.fraudServiceProvider || null,
+  };
+}
+
+function normalizeThreeDSecure(info) {
+  if (!info) {
+    return null;
+  }
+
+  return {
+    status: info.status || null,
+    enrolled: info.enrolled || null,
+    liabilityShifted: Boolean(info.liabilityShifted),
+    liabilityShiftPossible: Boolean(info.liabilityShiftPossible),
+    version: info.threeDSecureVersion || null,
+    authenticationId: info.threeDSecureAuthenticationId || null,
+  };
+}
+
+module.exports = {
+  normalizeTransaction,
+};
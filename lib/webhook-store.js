@@ -0,0 +1,179 @@
+/**
+ * Webhook Event Store
+ * Keeps every verified Braintree webhook notification in a JSON file
+ * (default: data/webhook-events.json). Braintree retries deliveries it
+ * thinks failed, so events are keyed by a hash of their signed payload and
+ * a redelivery only bumps the existing event's delivery count.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(
+  __dirname,
+  '..',
+  'data',
+  'webhook-events.json'
+);
+
+class WebhookStore {
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || DEFAULT_DATA_FILE;
+    this.events = fs.existsSync(this.dataFile)
+      ? JSON.parse(fs.readFileSync(this.dataFile, 'utf8'))
+      : [];
+  }
+
+  // Store a parsed notification; returns the event and whether it was a
+  // redelivery of one already stored
+  record(notification, payload) {
+    const id = eventId(payload);
+    const receivedAt = new Date().toISOString();
+    const existing = this.events.find(event => event.id === id);
+
+    if (existing) {
+      existing.deliveries += 1;
+      existing.lastReceivedAt = receivedAt;
+      this.save();
+      return { event: existing, duplicate: true };
+    }
+
+    const event = Object.assign(
+      {
+        id,
+        kind: notification.kind,
+        timestamp: toIsoString(notification.timestamp),
+        receivedAt,
+        lastReceivedAt: receivedAt,
+        deliveries: 1,
+      },
+      describeSubject(notification)
+    );
+
+    this.events.push(event);
+    this.save();
+    return { event, duplicate: false };
+  }
+
+  // Newest first, optionally filtered by kind or subject
+  list(filters = {}) {
+    const limit = filters.limit || 50;
+
+    return this.events
+      .filter(event => !filters.kind || event.kind === filters.kind)
+      .filter(
+        event => !filters.subjectId || event.subjectId === filters.subjectId
+      )
+      .slice()
+      .reverse()
+      .slice(0, limit);
+  }
+
+  find(id) {
+    return this.events.find(event => event.id === id) || null;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+    fs.writeFileSync(this.dataFile, JSON.stringify(this.events, null, 2));
+  }
+}
+
+// Whitespace differences (Braintree appends a newline) don't make an event new
+function eventId(payload) {
+  return crypto
+    .createHash('sha256')
+    .update(String(payload).replace(/\s+/g, ''))
+    .digest('hex')
+    .slice(0, 24);
+}
+
+function toIsoString(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Pull out what the notification is about, plus its details for later use
+function describeSubject(notification) {
+  if (notification.dispute) {
+    const dispute = notification.dispute;
+    return {
+      subjectType: 'dispute',
+      subjectId: dispute.id,
+      details: {
+        status: dispute.status,
+        reason: dispute.reason,
+        amount: dispute.amountDisputed || dispute.amount,
+        currencyIsoCode: dispute.currencyIsoCode,
+        replyByDate: dispute.replyByDate,
+        transactionId: dispute.transaction ? dispute.transaction.id : null,
+      },
+    };
+  }
+
+  if (notification.subscription) {
+    const subscription = notification.subscription;
+    return {
+      subjectType: 'subscription',
+      subjectId: subscription.id,
+      details: {
+        status: subscription.status,
+        planId: subscription.planId,
+        price: subscription.price,
+        balance: subscription.balance,
+        nextBillingDate: subscription.nextBillingDate,
+        transactionIds: (subscription.transactions || []).map(
+          transaction => transaction.id
+        ),
+      },
+    };
+  }
+
+  if (notification.disbursement) {
+    const disbursement = notification.disbursement;
+    return {
+      subjectType: 'disbursement',
+      subjectId: disbursement.id,
+      details: {
+        amount: disbursement.amount,
+        disbursementDate: disbursement.disbursementDate,
+        disbursementType: disbursement.disbursementType,
+        success: disbursement.success,
+        transactionIds: disbursement.transactionIds || [],
+      },
+    };
+  }
+
+  if (notification.revokedPaymentMethodMetadata) {
+    const metadata = notification.revokedPaymentMethodMetadata;
+    return {
+      subjectType: 'payment_method',
+      subjectId: metadata.token,
+      details: {
+        customerId: metadata.customerId,
+        token: metadata.token,
+      },
+    };
+  }
+
+  if (notification.transaction) {
+    const transaction = notification.transaction;
+    return {
+      subjectType: 'transaction',
+      subjectId: transaction.id,
+      details: {
+        status: transaction.status,
+        amount: transaction.amount,
+      },
+    };
+  }
+
+  // Other kinds (account updater, merchant connections, ...) are kept as-is
+  const { subject, kind, timestamp, ...details } = notification;
+  return { subjectType: null, subjectId: null, details };
+}
+
+module.exports = {
+  WebhookStore,
+};
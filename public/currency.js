@@ -0,0 +1,88 @@
+// Checkout currency for the payment pages. Each currency is charged to its own
+// merchant account, so client tokens are generated for one currency at a
+// time. The selected currency is kept in the page URL (?currency=EUR).
+
+// Currency of the current client token, from /client_token
+let checkoutCurrency = { code: 'USD', minorUnits: 2 };
+
+// Currency chosen in the URL, or null for the server's default
+function requestedCurrency() {
+  return new URLSearchParams(window.location.search).get('currency');
+}
+
+// /client_token for the selected currency
+function clientTokenUrl() {
+  const currency = requestedCurrency();
+  return currency
+    ? `/client_token?currency=${encodeURIComponent(currency)}`
+    : '/client_token';
+}
+
+// Client token for the selected currency. If the server refuses (e.g. rate
+// limited), rejects with the server's message and its `code`.
+async function fetchClientToken() {
+  const response = await fetch(clientTokenUrl());
+  const tokenData = await response.json();
+
+  if (!tokenData.clientToken) {
+    const error = new Error(tokenData.error || 'Failed to get client token');
+    error.code = tokenData.code;
+    throw error;
+  }
+
+  return tokenData;
+}
+
+// Switch to the currency a client token was generated for and reformat the
+// amount input, if the page has one, for its minor units
+function useCheckoutCurrency(currency, amountInput) {
+  checkoutCurrency = currency;
+
+  if (!amountInput) {
+    return;
+  }
+
+  const step = (1 / Math.pow(10, currency.minorUnits)).toFixed(
+    currency.minorUnits
+  );
+  amountInput.step = step;
+  amountInput.min = step;
+  if (amountInput.value) {
+    amountInput.value = formatCurrencyAmount(amountInput.value);
+  }
+}
+
+// "10" -> "10.00" in USD, "10" in JPY
+function formatCurrencyAmount(amount) {
+  return parseFloat(amount || 0).toFixed(checkoutCurrency.minorUnits);
+}
+
+// Fill the currency picker from /api/currencies. `onChange` is called after
+// the URL is updated, to set up the payment components for the new currency.
+async function setupCurrencyPicker(select, onChange) {
+  try {
+    const response = await fetch('/api/currencies');
+    const data = await response.json();
+
+    data.currencies.forEach(currency => {
+      const option = document.createElement('option');
+      option.value = currency.code;
+      option.textContent = currency.code;
+      select.appendChild(option);
+    });
+    select.value = requestedCurrency() || data.defaultCurrency;
+
+    // Nothing to pick between with a single merchant account
+    select.disabled = data.currencies.length < 2;
+  } catch (error) {
+    console.error('Error loading currencies:', error);
+    select.disabled = true;
+  }
+
+  select.addEventListener('change', () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('currency', select.value);
+    window.history.replaceState(null, '', url);
+    onChange(select.value);
+  });
+}
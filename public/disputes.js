@@ -0,0 +1,459 @@
+// DOM elements
+const filtersForm = document.getElementById('filters');
+const adminKeyInput = document.getElementById('admin-key');
+const statusFilter = document.getElementById('status-filter');
+const disputesList = document.getElementById('disputes');
+const emptyMessage = document.getElementById('empty');
+const resultDiv = document.getElementById('result');
+
+// Kept for this tab only, so the key isn't left behind in the browser
+const ADMIN_KEY_STORAGE = 'disputesAdminKey';
+
+// Load open disputes when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+  adminKeyInput.value = sessionStorage.getItem(ADMIN_KEY_STORAGE) || '';
+  loadDisputes();
+});
+
+filtersForm.addEventListener('submit', event => {
+  event.preventDefault();
+  sessionStorage.setItem(ADMIN_KEY_STORAGE, adminKeyInput.value.trim());
+  loadDisputes();
+});
+
+// Call an admin endpoint with the admin key, if one was entered
+async function adminFetch(url, options = {}) {
+  const headers = Object.assign({}, options.headers);
+  const adminKey = adminKeyInput.value.trim();
+  if (adminKey) {
+    headers['X-Admin-Key'] = adminKey;
+  }
+
+  const response = await fetch(url, Object.assign({}, options, { headers }));
+  const data = await response.json();
+
+  if (response.status === 401) {
+    throw new Error('Enter the admin API key to manage disputes.');
+  }
+
+  return { response, data };
+}
+
+// Load the disputes with the selected statuses, most urgent first
+async function loadDisputes() {
+  try {
+    const { data } = await adminFetch(
+      `/api/disputes?status=${encodeURIComponent(statusFilter.value)}`
+    );
+
+    if (!data.disputes) {
+      throw new Error(data.error || 'Failed to load disputes');
+    }
+
+    disputesList.innerHTML = '';
+    data.disputes.forEach(dispute => {
+      disputesList.appendChild(renderDispute(dispute));
+    });
+    emptyMessage.style.display = data.disputes.length === 0 ? 'block' : 'none';
+  } catch (error) {
+    console.error('Error loading disputes:', error);
+    showResult(error.message, 'error');
+  }
+}
+
+function renderDispute(dispute) {
+  const item = document.createElement('li');
+  item.className = 'dispute';
+
+  const title = document.createElement('strong');
+  title.textContent = `${dispute.amountDisputed} ${
+    dispute.currencyIsoCode
+  } - ${describeReason(dispute.reason)}`;
+
+  const status = document.createElement('span');
+  status.className = `dispute-status ${dispute.status}`;
+  status.textContent = dispute.status.replace(/_/g, ' ');
+
+  const summary = document.createElement('div');
+  summary.className = 'dispute-details';
+  summary.textContent = `Case ${dispute.caseNumber || dispute.id} (${
+    dispute.kind
+  }, reason code ${dispute.reasonCode || 'n/a'})`;
+
+  item.appendChild(title);
+  item.appendChild(status);
+  item.appendChild(summary);
+
+  if (dispute.respondable && dispute.replyByDate) {
+    const replyBy = document.createElement('div');
+    replyBy.className = 'reply-by';
+    if (dispute.daysToReply <= 3) {
+      replyBy.classList.add('urgent');
+    }
+    replyBy.textContent = `Reply by ${dispute.replyByDate} (${describeDaysLeft(
+      dispute.daysToReply
+    )})`;
+    item.appendChild(replyBy);
+  }
+
+  item.appendChild(renderTransactionSummary(dispute));
+
+  const details = document.createElement('div');
+  details.className = 'dispute-panel';
+  details.style.display = 'none';
+
+  const toggleButton = actionButton('Details', async () => {
+    if (details.style.display === 'none') {
+      details.style.display = 'block';
+      toggleButton.textContent = 'Hide details';
+      await loadDisputeDetails(dispute.id, details);
+    } else {
+      details.style.display = 'none';
+      toggleButton.textContent = 'Details';
+    }
+  });
+  toggleButton.classList.add('secondary');
+
+  item.appendChild(toggleButton);
+  item.appendChild(details);
+  return item;
+}
+
+// The disputed transaction as Braintree reports it with the dispute
+function renderTransactionSummary(dispute) {
+  const transaction = dispute.transaction;
+  const box = document.createElement('div');
+  box.className = 'transaction-summary';
+
+  const parts = [
+    `Transaction ${transaction.id}`,
+    `${transaction.amount} ${dispute.currencyIsoCode}`,
+  ];
+  if (transaction.paymentInstrumentSubtype) {
+    parts.push(transaction.paymentInstrumentSubtype);
+  }
+  if (transaction.createdAt) {
+    parts.push(`charged ${transaction.createdAt.slice(0, 10)}`);
+  }
+  if (transaction.orderId) {
+    parts.push(`order ${transaction.orderId}`);
+  }
+
+  box.textContent = parts.join(' · ');
+  return box;
+}
+
+// Load a dispute's evidence and the full transaction into its panel
+async function loadDisputeDetails(disputeId, container) {
+  container.textContent = 'Loading...';
+
+  try {
+    const { data } = await adminFetch(
+      `/api/disputes/${encodeURIComponent(disputeId)}`
+    );
+
+    if (!data.dispute) {
+      throw new Error(data.error || 'Failed to load dispute');
+    }
+
+    renderDisputeDetails(container, data.dispute, data.transaction);
+  } catch (error) {
+    console.error('Error loading dispute:', error);
+    container.textContent = error.message;
+  }
+}
+
+function renderDisputeDetails(container, dispute, transaction) {
+  container.innerHTML = '';
+
+  const transactionDetails = document.createElement('dl');
+  transactionDetails.className = 'detail-list';
+  addDetail(transactionDetails, 'Transaction status', transaction.status);
+  addDetail(
+    transactionDetails,
+    'Paid with',
+    transaction.paymentInstrument.description
+      ? `${transaction.paymentInstrument.label}: ${transaction.paymentInstrument.description}`
+      : transaction.paymentInstrument.label
+  );
+  if (transaction.customer) {
+    addDetail(
+      transactionDetails,
+      'Customer',
+      transaction.customer.email || transaction.customer.id
+    );
+  }
+  if (transaction.shipping) {
+    addDetail(
+      transactionDetails,
+      'Shipped to',
+      [
+        transaction.shipping.streetAddress,
+        transaction.shipping.locality,
+        transaction.shipping.postalCode,
+        transaction.shipping.countryCodeAlpha2,
+      ]
+        .filter(Boolean)
+        .join(', ')
+    );
+  }
+  addDetail(transactionDetails, 'Dispute received', dispute.receivedDate);
+  if (dispute.reasonDescription) {
+    addDetail(transactionDetails, 'Reason', dispute.reasonDescription);
+  }
+  container.appendChild(transactionDetails);
+
+  const evidenceHeading = document.createElement('h4');
+  evidenceHeading.textContent = 'Evidence';
+  container.appendChild(evidenceHeading);
+
+  const evidenceList = document.createElement('ul');
+  evidenceList.className = 'evidence-list';
+  if (dispute.evidence.length === 0) {
+    const none = document.createElement('li');
+    none.textContent = 'No evidence yet.';
+    evidenceList.appendChild(none);
+  }
+  dispute.evidence.forEach(evidence => {
+    evidenceList.appendChild(renderEvidence(dispute, evidence, container));
+  });
+  container.appendChild(evidenceList);
+
+  if (dispute.respondable) {
+    container.appendChild(renderEvidenceForms(dispute, container));
+    container.appendChild(renderDisputeActions(dispute));
+  }
+}
+
+function renderEvidence(dispute, evidence, container) {
+  const item = document.createElement('li');
+
+  const content = document.createElement(evidence.url ? 'a' : 'span');
+  if (evidence.url) {
+    content.href = evidence.url;
+    content.target = '_blank';
+    content.rel = 'noopener';
+    content.textContent = evidence.url.split('/').pop();
+  } else {
+    content.textContent = evidence.comment;
+  }
+  item.appendChild(content);
+
+  const meta = document.createElement('small');
+  meta.textContent = [
+    evidence.category,
+    evidence.sentToProcessorAt ? 'submitted' : 'not submitted yet',
+  ]
+    .filter(Boolean)
+    .join(' · ');
+  item.appendChild(meta);
+
+  if (dispute.respondable && !evidence.sentToProcessorAt) {
+    const removeButton = actionButton('Remove', () =>
+      manageDispute(
+        `/api/disputes/${encodeURIComponent(
+          dispute.id
+        )}/evidence/${encodeURIComponent(evidence.id)}`,
+        { method: 'DELETE' },
+        'Evidence removed.',
+        dispute.id,
+        container
+      )
+    );
+    removeButton.classList.add('secondary');
+    item.appendChild(removeButton);
+  }
+
+  return item;
+}
+
+// Forms for a written explanation and for a document (PDF, PNG or JPEG)
+function renderEvidenceForms(dispute, container) {
+  const forms = document.createElement('div');
+  forms.className = 'evidence-forms';
+  const evidenceUrl = `/api/disputes/${encodeURIComponent(
+    dispute.id
+  )}/evidence`;
+
+  const text = document.createElement('textarea');
+  text.rows = 3;
+  text.placeholder =
+    'Explain why the charge is valid, e.g. tracking number and delivery date';
+
+  const category = document.createElement('input');
+  category.type = 'text';
+  category.placeholder = 'Category (optional), e.g. PROOF_OF_DELIVERY';
+
+  const addTextButton = actionButton('Add text evidence', () => {
+    if (!text.value.trim()) {
+      showResult('Write some evidence first.', 'error');
+      return;
+    }
+
+    const body = { content: text.value.trim() };
+    if (category.value.trim()) {
+      body.category = category.value.trim();
+    }
+
+    manageDispute(
+      `${evidenceUrl}/text`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      },
+      'Evidence added.',
+      dispute.id,
+      container
+    );
+  });
+
+  const file = document.createElement('input');
+  file.type = 'file';
+  file.accept = '.pdf,.png,.jpg,.jpeg';
+
+  const uploadButton = actionButton('Upload file', () => {
+    const selected = file.files[0];
+    if (!selected) {
+      showResult('Choose a PDF, PNG or JPEG file first.', 'error');
+      return;
+    }
+
+    const query = new URLSearchParams({ filename: selected.name });
+    if (category.value.trim()) {
+      query.set('category', category.value.trim());
+    }
+
+    manageDispute(
+      `${evidenceUrl}/file?${query}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': selected.type },
+        body: selected,
+      },
+      'File uploaded.',
+      dispute.id,
+      container
+    );
+  });
+
+  forms.appendChild(text);
+  forms.appendChild(category);
+  forms.appendChild(addTextButton);
+  forms.appendChild(file);
+  forms.appendChild(uploadButton);
+  return forms;
+}
+
+function renderDisputeActions(dispute) {
+  const actions = document.createElement('div');
+  actions.className = 'dispute-actions';
+  const disputeUrl = `/api/disputes/${encodeURIComponent(dispute.id)}`;
+
+  actions.appendChild(
+    actionButton('Submit evidence', () => {
+      if (
+        confirm(
+          'Submit the evidence to the processor? No more evidence can be added.'
+        )
+      ) {
+        manageDispute(
+          `${disputeUrl}/finalize`,
+          { method: 'POST' },
+          'Evidence submitted. The bank will now review the dispute.'
+        );
+      }
+    })
+  );
+
+  const acceptButton = actionButton('Accept', () => {
+    if (
+      confirm(
+        `Accept this dispute? ${dispute.amountDisputed} ${dispute.currencyIsoCode} goes back to the cardholder.`
+      )
+    ) {
+      manageDispute(
+        `${disputeUrl}/accept`,
+        { method: 'POST' },
+        'Dispute accepted.'
+      );
+    }
+  });
+  acceptButton.classList.add('danger');
+  actions.appendChild(acceptButton);
+
+  return actions;
+}
+
+// Send an evidence or accept/finalize request, then refresh the list (or
+// just the open panel, while evidence is being gathered)
+async function manageDispute(
+  url,
+  options,
+  successMessage,
+  disputeId,
+  container
+) {
+  try {
+    const { data } = await adminFetch(url, options);
+
+    if (data.success) {
+      showResult(successMessage, 'success');
+    } else {
+      showResult(data.error || 'Request failed.', 'error');
+    }
+  } catch (error) {
+    console.error('Error managing dispute:', error);
+    showResult(error.message || 'Request failed. Please try again.', 'error');
+  }
+
+  if (container) {
+    loadDisputeDetails(disputeId, container);
+  } else {
+    loadDisputes();
+  }
+}
+
+function addDetail(list, term, value) {
+  const dt = document.createElement('dt');
+  dt.textContent = term;
+  const dd = document.createElement('dd');
+  dd.textContent = value || '-';
+  list.appendChild(dt);
+  list.appendChild(dd);
+}
+
+function actionButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'action-button';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// "product_not_received" -> "Product not received"
+function describeReason(reason) {
+  const text = String(reason || 'unknown').replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function describeDaysLeft(days) {
+  if (days < 0) {
+    return 'overdue';
+  }
+  if (days === 0) {
+    return 'due today';
+  }
+  return days === 1 ? '1 day left' : `${days} days left`;
+}
+
+// Show result message
+function showResult(message, type) {
+  resultDiv.textContent = message;
+  resultDiv.className = `result ${type}`;
+  resultDiv.style.display = 'block';
+
+  // Scroll to result for better UX
+  resultDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
@@ -1,21 +1,107 @@
 // DOM elements
 const button = document.querySelector('#submit-button');
-const amountInput = document.getElementById('amount');
+const currencySelect = document.getElementById('currency');
 const resultDiv = document.getElementById('result');
 
+// Order cart
+const cartElements = {
+  products: document.getElementById('cart-products'),
+  shippingSelect: document.getElementById('shipping-option'),
+  promoInput: document.getElementById('promo-code'),
+  summary: document.getElementById('cart-summary'),
+};
+
+// Shipping address, sent as the order's destination
+const shippingInputs = {
+  name: document.getElementById('shipping-name'),
+  streetAddress: document.getElementById('shipping-street-address'),
+  locality: document.getElementById('shipping-locality'),
+  region: document.getElementById('shipping-region'),
+  postalCode: document.getElementById('shipping-postal-code'),
+  countryCodeAlpha2: document.getElementById('shipping-country'),
+};
+
+// Customer session elements
+const loginTokenInput = document.getElementById('login-token');
+const signInButton = document.getElementById('sign-in-button');
+const signOutButton = document.getElementById('sign-out-button');
+const signedOutPanel = document.getElementById('customer-signed-out');
+const signedInPanel = document.getElementById('customer-signed-in');
+const customerIdDisplay = document.getElementById('customer-id-display');
+const savedMethodsList = document.getElementById('saved-methods');
+
+let dropinInstance;
+let currentCustomerId = null;
+let orderCartStarted = false;
+
 // Initialize Drop-In when page loads
 document.addEventListener('DOMContentLoaded', function () {
-  initializeDropIn();
+  setupCustomerSession();
+  setupPaymentButton();
+
+  // Client tokens and catalog prices are per currency, so switching reloads
+  // the page
+  setupCurrencyPicker(currencySelect, () => window.location.reload());
+
+  fetch('/api/session')
+    .then(response => response.json())
+    .then(data => {
+      renderCustomer(data.customerId);
+      initializeDropIn();
+    })
+    .catch(error => {
+      console.error('Error loading customer session:', error);
+      initializeDropIn();
+    });
 });
 
+// Price the cart in the client token's currency. Drop-in is re-created when
+// the customer signs in or out, but the cart is only set up once.
+function startOrderCart() {
+  if (orderCartStarted) {
+    return;
+  }
+  orderCartStarted = true;
+
+  // The order ships to, and is taxed for, the shipping address
+  setupOrderCart(cartElements, {
+    getDestination: () => readShippingForm(shippingInputs),
+    destinationInputs: shippingFieldInputs('destination', shippingInputs),
+    onChange: updateCartTotal,
+  }).catch(error => {
+    console.error('Error loading the catalog:', error);
+    showResult('Error loading your order: ' + error.message, 'error');
+  });
+  Object.values(shippingInputs).forEach(input => {
+    input.addEventListener('change', refreshCartQuote);
+  });
+}
+
+// Show PayPal the new total, and only allow paying a priced cart
+function updateCartTotal(quote) {
+  if (!dropinInstance) {
+    return;
+  }
+
+  button.disabled = !quote;
+
+  if (quote && dropinInstance.updateConfiguration) {
+    try {
+      dropinInstance.updateConfiguration('paypal', 'amount', quote.totalAmount);
+    } catch (error) {
+      console.warn('Could not update PayPal amount:', error);
+    }
+  }
+}
+
 function initializeDropIn() {
-  // Get client token from server
-  fetch('/client_token')
-    .then(response => response.json())
+  button.disabled = true;
+
+  // Get client token from server (scoped to the customer when signed in)
+  fetchClientToken()
     .then(data => {
-      if (!data.clientToken) {
-        throw new Error('Failed to get client token');
-      }
+      useCheckoutCurrency(data.currency);
+      startOrderCart();
 
       // Create Drop-In instance
       braintree.dropin.create(
@@ -46,6 +132,11 @@ function initializeDropIn() {
           venmo: {
             allowDesktop: true,
           },
+          // Collect device data for fraud screening (payload.deviceData)
+          dataCollector: true,
+          // Authenticate cards with 3D Secure before returning their nonce;
+          // the order total is passed to requestPaymentMethod
+          threeDSecure: true,
         },
         function (createErr, instance) {
           if (createErr) {
@@ -58,175 +149,347 @@ function initializeDropIn() {
           }
 
           console.log('Drop-In initialized successfully');
+          dropinInstance = instance;
 
-          // Enable submit button
-          button.disabled = false;
-
-          // Update PayPal amount when amount input changes
-          amountInput.addEventListener('input', function () {
-            if (instance && instance.updateConfiguration) {
-              try {
-                instance.updateConfiguration(
-                  'paypal',
-                  'amount',
-                  amountInput.value
-                );
-              } catch (error) {
-                console.warn('Could not update PayPal amount:', error);
-              }
-            }
-          });
-
-          // Handle button click
-          button.addEventListener('click', function () {
-            const amount = amountInput.value;
-
-            if (!amount || parseFloat(amount) <= 0) {
-              showResult('Please enter a valid amount.', 'error');
-              return;
-            }
-
-            // Show loading state
-            setLoadingState(true);
-
-            instance.requestPaymentMethod(function (
-              requestPaymentMethodErr,
-              payload
-            ) {
-              if (requestPaymentMethodErr) {
-                console.error('Payment method error:', requestPaymentMethodErr);
-                setLoadingState(false);
-
-                if (
-                  requestPaymentMethodErr.code ===
-                  'DROPIN_NO_PAYMENT_METHOD_SELECTED'
-                ) {
-                  showResult('Please select a payment method.', 'error');
-                } else if (
-                  requestPaymentMethodErr.code === 'VENMO_POPUP_CLOSED' ||
-                  requestPaymentMethodErr.code === 'VENMO_CANCELED'
-                ) {
-                  showResult('Venmo payment was cancelled.', 'error');
-                } else if (
-                  requestPaymentMethodErr.code === 'VENMO_APP_FAILED' ||
-                  requestPaymentMethodErr.message.includes('Venmo')
-                ) {
-                  showResult(
-                    'Venmo payment failed. Please try a different payment method.',
-                    'error'
-                  );
-                } else {
-                  showResult(
-                    'Payment failed: ' + requestPaymentMethodErr.message,
-                    'error'
-                  );
-                }
-                return;
-              }
-
-              // Debug: Log the payload to see what we received
-              console.log('Payment method payload:', payload);
-
-              // Only include billing address for credit card payments and only if provided by Drop-In
-              let requestData = {
-                paymentMethodNonce: payload.nonce,
-                amount: amount,
-                vaultPaymentMethod: true,
-              };
-
-              // Add billing address only for credit card payments and only if it exists in the payload
-              if (
-                payload.type === 'CreditCard' &&
-                payload.details &&
-                payload.details.billingAddress
-              ) {
-                requestData.billingAddress = payload.details.billingAddress;
-              }
-
-              // Send payment method nonce to server
-              fetch('/api/sale', {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestData),
-              })
-                .then(response => response.json())
-                .then(function (result) {
-                  setLoadingState(false);
-
-                  if (result.success) {
-                    // Tear down the Drop-in UI instance
-                    instance.teardown(function (teardownErr) {
-                      if (teardownErr) {
-                        console.error(
-                          'Could not tear down Drop-in UI!',
-                          teardownErr
-                        );
-                      } else {
-                        console.info('Drop-in UI has been torn down!');
-                      }
-                    });
-
-                    showResult(
-                      'Payment successful! Transaction ID: ' +
-                        result.transaction.id,
-                      'success',
-                      formatPaymentResult(result, payload.type)
-                    );
-                  } else {
-                    console.log(result);
-                    showResult(
-                      'Payment failed: ' + (result.message || 'Unknown error'),
-                      'error',
-                      result.error
-                        ? JSON.stringify(result.error, null, 2)
-                        : null
-                    );
-                  }
-                })
-                .catch(function (error) {
-                  setLoadingState(false);
-                  console.error('Server error:', error);
-                  showResult(
-                    'Server error occurred. Please try again.',
-                    'error'
-                  );
-                });
-            });
-          });
+          // Enable submit button once the cart is priced
+          button.disabled = !cartQuote;
         }
       );
     })
     .catch(error => {
       console.error('Error getting client token:', error);
       showResult(
-        'Error initializing payment system: ' + error.message,
+        isThrottled(error)
+          ? error.message
+          : 'Error initializing payment system: ' + error.message,
         'error'
       );
     });
 }
 
+// Tear down the current Drop-In and create a new one with a fresh token
+function reloadDropIn() {
+  if (!dropinInstance) {
+    initializeDropIn();
+    return;
+  }
+
+  const instance = dropinInstance;
+  dropinInstance = null;
+  instance.teardown(function (teardownErr) {
+    if (teardownErr) {
+      console.error('Could not tear down Drop-in UI!', teardownErr);
+    }
+    initializeDropIn();
+  });
+}
+
+function setupPaymentButton() {
+  // Handle button click
+  button.addEventListener('click', function () {
+    const instance = dropinInstance;
+    if (!instance) {
+      showResult(
+        'Payment system not initialized. Please refresh the page.',
+        'error'
+      );
+      return;
+    }
+
+    if (!cartQuote) {
+      showResult('Please add an item to your order.', 'error');
+      return;
+    }
+
+    // Show loading state
+    setLoadingState(true);
+
+    // Save the cart as an order; the server charges its total
+    placeOrder()
+      .then(order => requestOrderPayment(instance, order))
+      .catch(error => {
+        setLoadingState(false);
+        console.error('Order error:', error);
+        showResult(
+          error.code === 'ORDER_INVALID'
+            ? `Please check your order: ${error.message}`
+            : "Couldn't save your order. Please try again.",
+          'error'
+        );
+      });
+  });
+}
+
+// Collect the payment method from Drop-in and charge it for the order
+function requestOrderPayment(instance, order) {
+  // 3DS verifies the card for the amount being charged now
+  const options = {
+    threeDSecure: {
+      amount: order.totalAmount,
+    },
+  };
+
+  instance.requestPaymentMethod(
+    options,
+    function (requestPaymentMethodErr, payload) {
+      if (requestPaymentMethodErr) {
+        console.error('Payment method error:', requestPaymentMethodErr);
+        setLoadingState(false);
+
+        if (
+          requestPaymentMethodErr.code === 'DROPIN_NO_PAYMENT_METHOD_SELECTED'
+        ) {
+          showResult('Please select a payment method.', 'error');
+        } else if (
+          requestPaymentMethodErr.code === 'VENMO_POPUP_CLOSED' ||
+          requestPaymentMethodErr.code === 'VENMO_CANCELED'
+        ) {
+          showResult('Venmo payment was cancelled.', 'error');
+        } else if (
+          requestPaymentMethodErr.code === 'VENMO_APP_FAILED' ||
+          requestPaymentMethodErr.message.includes('Venmo')
+        ) {
+          showResult(
+            'Venmo payment failed. Please try a different payment method.',
+            'error'
+          );
+        } else {
+          showResult(
+            'Payment failed: ' + requestPaymentMethodErr.message,
+            'error'
+          );
+        }
+        return;
+      }
+
+      // Debug: Log the payload to see what we received
+      console.log('Payment method payload:', payload);
+
+      // Enrolled cards that failed authentication would be declined anyway
+      if (payload.liabilityShiftPossible && !payload.liabilityShifted) {
+        setLoadingState(false);
+        instance.clearSelectedPaymentMethod();
+        showResult(
+          'Card authentication failed. Please try again or use a different card.',
+          'error'
+        );
+        return;
+      }
+
+      // Only include billing address for credit card payments and only if provided by Drop-In
+      let requestData = {
+        paymentMethodNonce: payload.nonce,
+        orderId: order.id,
+        vaultPaymentMethod: true,
+        deviceData: payload.deviceData,
+      };
+
+      // Add billing address only for credit card payments and only if it exists in the payload
+      if (
+        payload.type === 'CreditCard' &&
+        payload.details &&
+        payload.details.billingAddress
+      ) {
+        requestData.billingAddress = payload.details.billingAddress;
+      }
+
+      // Send payment method nonce to server
+      postSale(requestData)
+        .then(response => response.json())
+        .then(function (result) {
+          setLoadingState(false);
+
+          if (result.success) {
+            // Tear down the Drop-in UI instance
+            dropinInstance = null;
+            instance.teardown(function (teardownErr) {
+              if (teardownErr) {
+                console.error('Could not tear down Drop-in UI!', teardownErr);
+              } else {
+                console.info('Drop-in UI has been torn down!');
+              }
+            });
+
+            showResult(
+              'Payment successful! Transaction ID: ' + result.transaction.id,
+              'success',
+              formatPaymentResult(result, payload.type)
+            );
+
+            // Start a new cart, and show the newly vaulted method for
+            // signed-in customers
+            orderPaid();
+            loadSavedMethods();
+          } else {
+            console.log(result);
+            showResult(
+              saleFailureMessage('Payment failed', result),
+              'error',
+              result.errorDetails
+                ? JSON.stringify(result.errorDetails, null, 2)
+                : null
+            );
+          }
+        })
+        .catch(function (error) {
+          setLoadingState(false);
+          console.error('Server error:', error);
+          showResult(FAILURE_MESSAGES.network_error, 'error');
+        });
+    }
+  );
+}
+
+function setupCustomerSession() {
+  signInButton.addEventListener('click', function () {
+    const loginToken = loginTokenInput.value.trim();
+    if (!loginToken) {
+      showResult('Please enter a login token.', 'error');
+      return;
+    }
+
+    // Login tokens are issued by the merchant's login system after it has
+    // authenticated the customer (POST /api/session/login-tokens)
+    fetch('/api/session', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ loginToken: loginToken }),
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (data.error) {
+          showResult(data.error, 'error');
+          return;
+        }
+        renderCustomer(data.customerId);
+        // A new client token is needed to show this customer's vault
+        reloadDropIn();
+      })
+      .catch(error => {
+        console.error('Error signing in:', error);
+        showResult('Could not sign in. Please try again.', 'error');
+      });
+  });
+
+  signOutButton.addEventListener('click', function () {
+    fetch('/api/session', { method: 'DELETE' })
+      .then(() => {
+        renderCustomer(null);
+        reloadDropIn();
+      })
+      .catch(error => {
+        console.error('Error signing out:', error);
+      });
+  });
+}
+
+// Show the signed-in or signed-out customer panel
+function renderCustomer(customerId) {
+  currentCustomerId = customerId;
+  signedOutPanel.style.display = customerId ? 'none' : 'block';
+  signedInPanel.style.display = customerId ? 'block' : 'none';
+  customerIdDisplay.textContent = customerId || '';
+  savedMethodsList.innerHTML = '';
+
+  if (customerId) {
+    loadSavedMethods();
+  }
+}
+
+// Load the signed-in customer's vaulted payment methods
+function loadSavedMethods() {
+  if (!currentCustomerId) {
+    return;
+  }
+
+  fetch('/api/customer/payment-methods')
+    .then(response => response.json())
+    .then(data => {
+      savedMethodsList.innerHTML = '';
+
+      if (!data.paymentMethods || data.paymentMethods.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'saved-method empty';
+        empty.textContent = 'No saved payment methods yet.';
+        savedMethodsList.appendChild(empty);
+        return;
+      }
+
+      data.paymentMethods.forEach(method => {
+        const item = document.createElement('li');
+        item.className = 'saved-method';
+
+        const label = document.createElement('span');
+        label.textContent = `${method.paymentType}: ${method.description}${
+          method.default ? ' (default)' : ''
+        }`;
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'link-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', function () {
+          deleteSavedMethod(method.token);
+        });
+
+        item.appendChild(label);
+        item.appendChild(removeButton);
+        savedMethodsList.appendChild(item);
+      });
+    })
+    .catch(error => {
+      console.error('Error loading saved payment methods:', error);
+    });
+}
+
+// Delete a vaulted payment method and refresh the vault manager
+function deleteSavedMethod(token) {
+  fetch(`/api/customer/payment-methods/${encodeURIComponent(token)}`, {
+    method: 'DELETE',
+  })
+    .then(response => response.json())
+    .then(data => {
+      if (data.error) {
+        showResult(data.error, 'error');
+        return;
+      }
+      showResult('Saved payment method removed.', 'info');
+      loadSavedMethods();
+      reloadDropIn();
+    })
+    .catch(error => {
+      console.error('Error deleting payment method:', error);
+      showResult('Could not remove payment method. Please try again.', 'error');
+    });
+}
+
 // Format payment result for display
 function formatPaymentResult(data, paymentType) {
+  const transaction = data.transaction || {};
+  const instrument = transaction.paymentInstrument || {};
   const result = {
-    'Transaction ID': data.transaction?.id,
-    Amount: `$${data.transaction?.amount}`,
-    'Payment Type': paymentType,
-    Status: data.transaction?.status,
-    'Processor Response': data.transaction?.processorResponseText,
-    'Created At': data.transaction?.createdAt,
+    'Transaction ID': transaction.id,
+    Amount: `${transaction.amount} ${transaction.currencyIsoCode}`,
+    'Payment Type': instrument.label || paymentType,
+    Status: transaction.status,
+    'Processor Response': transaction.processorResponse?.text,
+    'Created At': transaction.createdAt,
   };
 
   // Add payment-type specific information
-  if (paymentType === 'PayPalAccount') {
-    result['PayPal Email'] = data.transaction?.paypalDetails?.payerEmail;
-    result['PayPal Payer ID'] = data.transaction?.paypalDetails?.payerId;
-  } else if (paymentType === 'VenmoAccount') {
-    result['Venmo Username'] = data.transaction?.venmoDetails?.username;
-  } else if (paymentType === 'CreditCard') {
-    result['Card Type'] = data.transaction?.creditCardDetails?.cardType;
-    result['Last Four'] = data.transaction?.creditCardDetails?.last4;
+  if (instrument.type === 'paypal_account') {
+    result['PayPal Email'] = instrument.email;
+    result['PayPal Payer ID'] = instrument.payerId;
+  } else if (instrument.type === 'venmo_account') {
+    result['Venmo Username'] = instrument.username;
+  } else if (instrument.cardType) {
+    result['Card Type'] = instrument.cardType;
+    result['Last Four'] = instrument.last4;
+  }
+
+  if (data.threeDSecure && data.threeDSecure.status) {
+    result['3D Secure'] = data.threeDSecure.status;
+    result['Liability Shifted'] = data.threeDSecure.liabilityShifted;
   }
 
   return result;
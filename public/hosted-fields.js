@@ -1,17 +1,60 @@
 // DOM elements
 const form = document.getElementById('payment-form');
 const submitButton = document.getElementById('submit-button');
-const amountInput = document.getElementById('amount');
+const currencySelect = document.getElementById('currency');
 const resultDiv = document.getElementById('result');
 const vaultCheckbox = document.getElementById('vault-payment-method');
 
+// Order cart
+const cartElements = {
+  products: document.getElementById('cart-products'),
+  shippingSelect: document.getElementById('shipping-option'),
+  promoInput: document.getElementById('promo-code'),
+  summary: document.getElementById('cart-summary'),
+};
+
+// Billing details (used for 3D Secure)
+const cardholderNameInput = document.getElementById('cardholder-name');
+const emailInput = document.getElementById('email');
+const billingStreetAddressInput = document.getElementById(
+  'billing-street-address'
+);
+const billingLocalityInput = document.getElementById('billing-locality');
+const billingRegionInput = document.getElementById('billing-region');
+const billingCountryInput = document.getElementById('billing-country');
+
+// Shipping address, sent as the order's destination
+const shippingInputs = {
+  name: document.getElementById('shipping-name'),
+  streetAddress: document.getElementById('shipping-street-address'),
+  locality: document.getElementById('shipping-locality'),
+  region: document.getElementById('shipping-region'),
+  postalCode: document.getElementById('shipping-postal-code'),
+  countryCodeAlpha2: document.getElementById('shipping-country'),
+};
+
+// Inputs that /api/sale field errors are shown next to
+const saleFieldInputs = {
+  'billingAddress.firstName': cardholderNameInput,
+  'billingAddress.lastName': cardholderNameInput,
+  'billingAddress.streetAddress': billingStreetAddressInput,
+  'billingAddress.locality': billingLocalityInput,
+  'billingAddress.region': billingRegionInput,
+  'billingAddress.countryCodeAlpha2': billingCountryInput,
+};
+
 let hostedFieldsInstance;
+let threeDSecureInstance;
+let dataCollectorInstance;
 let paypalCheckoutInstance;
 let venmoInstance;
 let clientInstance; // Store client instance for Venmo re-initialization
 
 // Initialize Braintree when page loads
 document.addEventListener('DOMContentLoaded', async () => {
+  // Client tokens are per currency, so switching reloads the page
+  setupCurrencyPicker(currencySelect, () => window.location.reload());
+
   try {
     await initializeBraintree();
 
@@ -24,10 +67,22 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
       });
     }
+
+    // PayPal orders are created with the selected intent, so re-render
+    // the button when switching between sale and authorize-only
+    document.querySelectorAll('input[name="intent"]').forEach(radio => {
+      radio.addEventListener('change', function () {
+        if (clientInstance) {
+          initializePayPal(clientInstance);
+        }
+      });
+    });
   } catch (error) {
     console.error('Failed to initialize Braintree:', error);
     showResult(
-      'Failed to initialize payment system. Please refresh the page.',
+      isThrottled(error)
+        ? error.message
+        : 'Failed to initialize payment system. Please refresh the page.',
       'error'
     );
   }
@@ -37,12 +92,19 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function initializeBraintree() {
   try {
     // Get client token from server
-    const tokenResponse = await fetch('/client_token');
-    const tokenData = await tokenResponse.json();
+    const tokenData = await fetchClientToken();
 
-    if (!tokenData.clientToken) {
-      throw new Error('Failed to get client token');
-    }
+    useCheckoutCurrency(tokenData.currency);
+
+    // The order ships to, and is taxed for, the shipping address
+    await setupOrderCart(cartElements, {
+      getDestination: () => readShippingForm(shippingInputs),
+      destinationInputs: shippingFieldInputs('destination', shippingInputs),
+      onChange: refreshSubmitButton,
+    });
+    Object.values(shippingInputs).forEach(input => {
+      input.addEventListener('change', refreshCartQuote);
+    });
 
     // Create Braintree client
     clientInstance = await braintree.client.create({
@@ -89,6 +151,15 @@ async function initializeBraintree() {
       },
     });
 
+    // Collect device data for fraud screening
+    await initializeDataCollector(clientInstance);
+
+    // Create 3D Secure to authenticate cards with the issuer (SCA)
+    threeDSecureInstance = await braintree.threeDSecure.create({
+      client: clientInstance,
+      version: 2,
+    });
+
     // Set up event listeners for Hosted Fields
     setupHostedFieldsListeners();
 
@@ -108,6 +179,24 @@ async function initializeBraintree() {
   }
 }
 
+// Collect device data for Advanced Fraud Tools (also covers PayPal).
+// Payments still go through if it can't be collected.
+async function initializeDataCollector(clientInstance) {
+  try {
+    dataCollectorInstance = await braintree.dataCollector.create({
+      client: clientInstance,
+      paypal: true,
+    });
+  } catch (error) {
+    console.warn('Device data collection unavailable:', error);
+  }
+}
+
+// Device data string to send with each sale
+function getDeviceData() {
+  return dataCollectorInstance ? dataCollectorInstance.deviceData : undefined;
+}
+
 // Set up event listeners for Hosted Fields
 function setupHostedFieldsListeners() {
   let fieldsState = {
@@ -156,14 +245,12 @@ function updateSubmitButton(fieldsState) {
   const allFieldsValid = Object.values(fieldsState).every(
     field => field.isValid
   );
-  const amountValid = amountInput.value && parseFloat(amountInput.value) > 0;
 
-  submitButton.disabled = !(allFieldsValid && amountValid);
+  submitButton.disabled = !(allFieldsValid && cartQuote);
 }
 
-// Handle amount input changes
-amountInput.addEventListener('input', () => {
-  // Trigger validation check
+// Re-check the submit button when the cart is priced
+function refreshSubmitButton() {
   if (hostedFieldsInstance) {
     // Get current fields state and update button
     const fieldsState = Object.keys(
@@ -175,7 +262,7 @@ amountInput.addEventListener('input', () => {
     }, {});
     updateSubmitButton(fieldsState);
   }
-});
+}
 
 // Handle form submission
 form.addEventListener('submit', async event => {
@@ -189,9 +276,8 @@ form.addEventListener('submit', async event => {
     return;
   }
 
-  const amount = amountInput.value;
-  if (!amount || parseFloat(amount) <= 0) {
-    showResult('Please enter a valid amount.', 'error');
+  if (!cartQuote) {
+    showResult('Please add an item to your order.', 'error');
     return;
   }
 
@@ -199,34 +285,57 @@ form.addEventListener('submit', async event => {
   setLoading(true);
 
   try {
+    // Save the cart as an order; the server charges its total
+    const order = await placeOrder();
+
     // Tokenize the card data
-    const tokenizeResponse = await hostedFieldsInstance.tokenize();
+    const tokenizeResponse = await hostedFieldsInstance.tokenize({
+      cardholderName: cardholderNameInput.value.trim(),
+    });
 
     // Log the raw tokenization response
     console.log(tokenizeResponse);
 
-    const { nonce, details } = tokenizeResponse;
+    const { details } = tokenizeResponse;
 
-    console.log('Payment method nonce:', nonce);
     console.log('Card details:', details);
 
+    // Authenticate the card with 3D Secure; the issuer may show a challenge
+    const verification = await verifyCard(tokenizeResponse, order);
+    console.log('3D Secure result:', verification);
+
+    // Enrolled cards that failed authentication would be declined anyway
+    if (verification.liabilityShiftPossible && !verification.liabilityShifted) {
+      showResult(
+        'Card authentication failed. Please try again or use a different card.',
+        'error'
+      );
+      return;
+    }
+
+    const nonce = verification.nonce;
+    console.log('Payment method nonce:', nonce);
+
     // Send payment data to server
-    const response = await fetch('/api/sale', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        paymentMethodNonce: nonce,
-        amount: amount,
-        vaultPaymentMethod: vaultCheckbox.checked,
-      }),
+    const response = await postSale({
+      paymentMethodNonce: nonce,
+      orderId: order.id,
+      intent: getIntent(),
+      vaultPaymentMethod: vaultCheckbox.checked,
+      billingAddress: getBillingAddress(),
+      deviceData: getDeviceData(),
     });
 
     const result = await response.json();
 
     if (result.success) {
-      let successMessage = `Payment successful! Transaction ID: ${result.transaction.id}. Amount: $${result.transaction.amount}`;
+      let successMessage = `${describeOutcome(result)} Transaction ID: ${
+        result.transaction.id
+      }. Amount: ${result.transaction.amount} ${
+        result.transaction.currencyIsoCode
+      }`;
+
+      successMessage += `<br>${describeThreeDSecure(result.threeDSecure)}`;
 
       // Add vaulted payment method info if available
       if (result.vaultedPaymentMethod) {
@@ -253,19 +362,24 @@ form.addEventListener('submit', async event => {
       }
 
       showResult(successMessage, 'success');
-      // Reset form
+      // Reset form and start a new cart
       form.reset();
-      amountInput.value = '10.00';
+      orderPaid();
     } else {
-      showResult(`Payment failed: ${result.error}`, 'error');
+      showFieldErrors(result.fieldErrors, saleFieldInputs);
+      showResult(saleFailureMessage('Payment failed', result), 'error');
     }
   } catch (error) {
     console.error('Payment error:', error);
 
-    if (error.code === 'HOSTED_FIELDS_FIELDS_INVALID') {
+    if (error.code === 'ORDER_INVALID') {
+      showResult(`Please check your order: ${error.message}`, 'error');
+    } else if (error.code === 'HOSTED_FIELDS_FIELDS_INVALID') {
       showResult('Please check your card information and try again.', 'error');
     } else if (error.code === 'HOSTED_FIELDS_FIELDS_EMPTY') {
       showResult('Please fill out all required fields.', 'error');
+    } else if (error.code === 'THREEDS_CARDINAL_SDK_CANCELED') {
+      showResult('Card authentication was cancelled.', 'error');
     } else {
       showResult('Payment processing failed. Please try again.', 'error');
     }
@@ -274,6 +388,88 @@ form.addEventListener('submit', async event => {
   }
 });
 
+// Run 3D Secure on a tokenized card for an order, with the billing and
+// shipping details the issuer uses for risk checks. Resolves with the
+// verified nonce and liability shift.
+function verifyCard(tokenizeResponse, order) {
+  const billingAddress = getBillingAddress();
+  const shipping = order.destination || {};
+
+  return threeDSecureInstance.verifyCard({
+    amount: order.totalAmount,
+    nonce: tokenizeResponse.nonce,
+    bin: tokenizeResponse.details.bin,
+    email: emailInput.value.trim(),
+    billingAddress: {
+      givenName: billingAddress.firstName,
+      surname: billingAddress.lastName,
+      streetAddress: billingAddress.streetAddress,
+      locality: billingAddress.locality,
+      region: billingAddress.region,
+      countryCodeAlpha2: billingAddress.countryCodeAlpha2,
+    },
+    additionalInformation: {
+      deliveryEmail: emailInput.value.trim(),
+      shippingGivenName: shipping.firstName,
+      shippingSurname: shipping.lastName,
+      shippingAddress: {
+        streetAddress: shipping.streetAddress,
+        locality: shipping.locality,
+        region: shipping.region,
+        postalCode: shipping.postalCode,
+        countryCodeAlpha2: shipping.countryCodeAlpha2,
+      },
+    },
+    onLookupComplete: function (data, next) {
+      // Continue to the challenge (if the issuer requires one)
+      next();
+    },
+  });
+}
+
+// Billing address in the shape /api/sale passes to Braintree
+function getBillingAddress() {
+  const names = cardholderNameInput.value.trim().split(' ');
+
+  return {
+    firstName: names[0],
+    lastName: names.slice(1).join(' '),
+    streetAddress: billingStreetAddressInput.value.trim(),
+    locality: billingLocalityInput.value.trim(),
+    region: billingRegionInput.value.trim() || undefined,
+    countryCodeAlpha2: billingCountryInput.value,
+  };
+}
+
+// One line about the 3D Secure outcome for the result message
+function describeThreeDSecure(threeDSecure) {
+  if (!threeDSecure || !threeDSecure.status) {
+    return '3D Secure: not performed';
+  }
+
+  return `3D Secure: ${threeDSecure.status} (liability shifted: ${
+    threeDSecure.liabilityShifted ? 'yes' : 'no'
+  })`;
+}
+
+// Selected payment type: 'sale' charges now, 'authorize' only holds funds
+function getIntent() {
+  const selected = document.querySelector('input[name="intent"]:checked');
+  return selected ? selected.value : 'sale';
+}
+
+// PayPal's order intent for the selected payment type
+function getPayPalIntent() {
+  return getIntent() === 'authorize' ? 'authorize' : 'capture';
+}
+
+// Headline for a successful response, depending on whether it was captured
+function describeOutcome(result) {
+  return result.intent === 'authorize'
+    ? 'Payment authorized! Capture it once the order ships.'
+    : 'Payment successful!';
+}
+
 // Show result message
 function showResult(message, type) {
   if (message.includes('<')) {
@@ -334,8 +530,8 @@ function initializePayPal(clientInstance) {
 
       // Load the PayPal SDK
       return paypalCheckoutInstance.loadPayPalSDK({
-        currency: 'USD',
-        intent: 'capture',
+        currency: checkoutCurrency.code,
+        intent: getPayPalIntent(),
         commit: true, // Show the Pay Now button on PayPal review page
       });
     })
@@ -343,6 +539,9 @@ function initializePayPal(clientInstance) {
       // Create a function for the PayPal button that checks the vault checkbox state
       // This ensures we're only providing either createOrder OR createBillingAgreement, not both
       const getButtonConfig = function () {
+        // Order saved by createOrder, paid once the buyer approves
+        let paypalOrder = null;
+
         const config = {
           fundingSource: paypal.FUNDING.PAYPAL,
 
@@ -356,7 +555,7 @@ function initializePayPal(clientInstance) {
                 console.log('PayPal tokenize payload:', payload);
 
                 // Send the nonce to your server
-                return processPayment(payload.nonce, amountInput.value);
+                return processPayment(payload.nonce, paypalOrder);
               });
           },
           onCancel: function (data) {
@@ -374,39 +573,48 @@ function initializePayPal(clientInstance) {
         if (vaultCheckbox.checked) {
           // For Checkout with Vault flow - process a payment and vault at the same time
           config.createOrder = function () {
-            const amount = amountInput.value;
-            if (!amount || parseFloat(amount) <= 0) {
-              showResult('Please enter a valid amount.', 'error');
-              return;
-            }
-
-            return paypalCheckoutInstance.createPayment({
-              flow: 'checkout',
-              amount: parseFloat(amount).toFixed(2),
-              currency: 'USD',
-              intent: 'capture',
-              requestBillingAgreement: true, // This enables Checkout with Vault flow
-              billingAgreementDetails: {
-                description: 'Your payment method will be saved for future use',
-              },
-              useraction: 'commit', // Force PayPal to show the confirmation page
+            return placePayPalOrder().then(function (order) {
+              paypalOrder = order;
+              return paypalCheckoutInstance.createPayment({
+                flow: 'checkout',
+                amount: order.totalAmount,
+                currency: order.currency,
+                lineItems: paypalLineItems(order),
+                // Ship to the address entered on the page
+                enableShippingAddress: Boolean(order.destination),
+                shippingAddressEditable: false,
+                shippingAddressOverride: order.destination
+                  ? toPayPalShippingAddress(order.destination)
+                  : undefined,
+                intent: getPayPalIntent(),
+                requestBillingAgreement: true, // This enables Checkout with Vault flow
+                billingAgreementDetails: {
+                  description:
+                    'Your payment method will be saved for future use',
+                },
+                useraction: 'commit', // Force PayPal to show the confirmation page
+              });
             });
           };
         } else {
-          // For regular payments, use createOrder with intent=capture
+          // For regular payments, use createOrder with the selected intent
           config.createOrder = function () {
-            const amount = amountInput.value;
-            if (!amount || parseFloat(amount) <= 0) {
-              showResult('Please enter a valid amount.', 'error');
-              return;
-            }
-
-            return paypalCheckoutInstance.createPayment({
-              flow: 'checkout',
-              amount: parseFloat(amount).toFixed(2),
-              currency: 'USD',
-              intent: 'capture',
-              useraction: 'commit', // Force PayPal to show the confirmation page
+            return placePayPalOrder().then(function (order) {
+              paypalOrder = order;
+              return paypalCheckoutInstance.createPayment({
+                flow: 'checkout',
+                amount: order.totalAmount,
+                currency: order.currency,
+                lineItems: paypalLineItems(order),
+                // Ship to the address entered on the page
+                enableShippingAddress: Boolean(order.destination),
+                shippingAddressEditable: false,
+                shippingAddressOverride: order.destination
+                  ? toPayPalShippingAddress(order.destination)
+                  : undefined,
+                intent: getPayPalIntent(),
+                useraction: 'commit', // Force PayPal to show the confirmation page
+              });
             });
           };
         }
@@ -429,6 +637,22 @@ function initializePayPal(clientInstance) {
     });
 }
 
+// Save the cart as an order before opening PayPal. Errors are shown here,
+// since PayPal's onError only gets a generic failure.
+function placePayPalOrder() {
+  if (!cartQuote) {
+    showResult('Please add an item to your order.', 'error');
+    return Promise.reject(new Error('The cart is empty'));
+  }
+
+  return placeOrder().catch(function (error) {
+    if (error.code === 'ORDER_INVALID') {
+      showResult(`Please check your order: ${error.message}`, 'error');
+    }
+    throw error;
+  });
+}
+
 // Initialize Venmo
 async function initializeVenmo(clientInstance, useDesktopMode = true) {
   try {
@@ -475,9 +699,8 @@ async function initializeVenmo(clientInstance, useDesktopMode = true) {
 
     const venmoButton = document.getElementById('venmo-pay-button');
     venmoButton.onclick = function () {
-      const amount = amountInput.value;
-      if (!amount || parseFloat(amount) <= 0) {
-        showResult('Please enter a valid amount.', 'error');
+      if (!cartQuote) {
+        showResult('Please add an item to your order.', 'error');
         return;
       }
 
@@ -488,14 +711,17 @@ async function initializeVenmo(clientInstance, useDesktopMode = true) {
         Processing...
       `;
 
-      venmoInstance
-        .tokenize()
-        .then(function (payload) {
-          return processPayment(payload.nonce, amount);
+      placeOrder()
+        .then(function (order) {
+          return venmoInstance.tokenize().then(function (payload) {
+            return processPayment(payload.nonce, order);
+          });
         })
         .catch(function (error) {
           console.error('Venmo error:', error);
-          if (error.code === 'VENMO_CANCELLED') {
+          if (error.code === 'ORDER_INVALID') {
+            showResult(`Please check your order: ${error.message}`, 'error');
+          } else if (error.code === 'VENMO_CANCELLED') {
             showResult('Venmo payment was cancelled.', 'info');
           } else {
             showResult('Venmo payment failed. Please try again.', 'error');
@@ -552,22 +778,18 @@ function setupVenmoToggle() {
   });
 }
 
-// Process payment with any payment method
-async function processPayment(nonce, amount) {
+// Pay for a saved order with any payment method
+async function processPayment(nonce, order) {
   try {
     console.log('Processing payment with nonce:', nonce);
     console.log('Vault checkbox state:', vaultCheckbox.checked);
 
-    const response = await fetch('/api/sale', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        paymentMethodNonce: nonce,
-        amount: amount,
-        vaultPaymentMethod: vaultCheckbox.checked,
-      }),
+    const response = await postSale({
+      paymentMethodNonce: nonce,
+      orderId: order.id,
+      intent: getIntent(),
+      vaultPaymentMethod: vaultCheckbox.checked,
+      deviceData: getDeviceData(),
     });
 
     const result = await response.json();
@@ -576,25 +798,29 @@ async function processPayment(nonce, amount) {
     // Directly check for implicitly vaulted token in the response
     if (
       result.transaction &&
-      result.transaction.paypal &&
-      result.transaction.paypal.implicitlyVaultedPaymentMethodToken
+      result.transaction.paymentInstrument &&
+      result.transaction.paymentInstrument.implicitlyVaultedPaymentMethodToken
     ) {
       console.log(
         'Found implicitly vaulted token on client side:',
-        result.transaction.paypal.implicitlyVaultedPaymentMethodToken
+        result.transaction.paymentInstrument.implicitlyVaultedPaymentMethodToken
       );
     }
 
     if (result.success) {
-      let successMessage = `Payment successful! <br> Transaction ID: ${result.transaction.id} <br> Amount: $${result.transaction.amount}`;
+      let successMessage = `${describeOutcome(result)} <br> Transaction ID: ${
+        result.transaction.id
+      } <br> Amount: ${result.transaction.amount} ${
+        result.transaction.currencyIsoCode
+      }`;
 
       // Check for implicitly vaulted token and add it to the message
       if (
         result.transaction &&
-        result.transaction.paypal &&
-        result.transaction.paypal.implicitlyVaultedPaymentMethodToken
+        result.transaction.paymentInstrument &&
+        result.transaction.paymentInstrument.implicitlyVaultedPaymentMethodToken
       ) {
-        successMessage += `<br>Implicitly Vaulted Token: ${result.transaction.paypal.implicitlyVaultedPaymentMethodToken}`;
+        successMessage += `<br>Implicitly Vaulted Token: ${result.transaction.paymentInstrument.implicitlyVaultedPaymentMethodToken}`;
       }
 
       // Add vaulted payment method info if available
@@ -622,10 +848,11 @@ async function processPayment(nonce, amount) {
       }
 
       showResult(successMessage, 'success');
-      // Reset amount input
-      amountInput.value = '10.00';
+      // Start a new cart
+      orderPaid();
     } else {
-      showResult(`Payment failed: ${result.error}`, 'error');
+      showFieldErrors(result.fieldErrors, saleFieldInputs);
+      showResult(saleFailureMessage('Payment failed', result), 'error');
     }
   } catch (error) {
     console.error('Payment error:', error);
@@ -0,0 +1,327 @@
+// Shopping cart for the checkout pages. Products and shipping options come
+// from /api/catalog in the checkout currency, and the server prices the cart
+// (/api/orders/quote) whenever it changes. Paying saves the cart as an order
+// (/api/orders) and /api/sale charges that order's total by orderId, so the
+// page never decides the amount.
+
+// Products that start in the cart
+const DEFAULT_CART = { tshirt: 1 };
+
+// Latest priced cart from the server, or null while it can't be priced
+let cartQuote = null;
+
+// Order saved for the current cart. Reused if a payment fails, so the
+// customer can retry with another method; dropped when the cart changes.
+let placedOrder = null;
+// The cart placedOrder was saved from, as JSON, since wallets can ship it
+// somewhere other than the page's shipping address
+let placedOrderCart = null;
+
+let orderCartElements = null;
+let orderCartOptions = null;
+let cartQuoteRequests = 0;
+
+// Render the catalog into the cart elements
+// ({ products, shippingSelect, promoInput, summary }) and price the default
+// cart. `options.getDestination` returns the shipping address, which also
+// decides the tax, and `options.destinationInputs` maps its field errors
+// ('destination.locality', ...) to inputs. `options.onChange` is called
+// after every new quote.
+async function setupOrderCart(elements, options = {}) {
+  orderCartElements = elements;
+  orderCartOptions = options;
+
+  const response = await fetch(
+    `/api/catalog?currency=${encodeURIComponent(checkoutCurrency.code)}`
+  );
+  const catalog = await response.json();
+
+  if (!response.ok) {
+    throw new Error(catalog.error || 'Failed to load the catalog');
+  }
+
+  elements.products.innerHTML = '';
+  catalog.products.forEach(product => {
+    const row = document.createElement('div');
+    row.className = 'cart-product';
+    row.innerHTML = `
+      <div class="cart-product-info">
+        <strong></strong>
+        <small></small>
+      </div>
+      <span class="cart-product-price"></span>
+      <div class="cart-product-quantity">
+        <input type="number" min="0" max="99" step="1" aria-label="Quantity">
+      </div>
+    `;
+    row.querySelector('strong').textContent = product.name;
+    row.querySelector('small').textContent = product.description;
+    row.querySelector(
+      '.cart-product-price'
+    ).textContent = `${formatCurrencyAmount(product.price)} ${
+      checkoutCurrency.code
+    }`;
+
+    const quantityInput = row.querySelector('input');
+    quantityInput.dataset.productId = product.id;
+    quantityInput.value = DEFAULT_CART[product.id] || 0;
+    quantityInput.addEventListener('input', refreshCartQuote);
+
+    elements.products.appendChild(row);
+  });
+
+  elements.shippingSelect.innerHTML = '';
+  catalog.shippingOptions.forEach(shippingOption => {
+    const option = document.createElement('option');
+    option.value = shippingOption.id;
+    option.textContent =
+      parseFloat(shippingOption.price) > 0
+        ? `${shippingOption.name} - ${formatCurrencyAmount(
+            shippingOption.price
+          )} ${checkoutCurrency.code}`
+        : `${shippingOption.name} - Free`;
+    elements.shippingSelect.appendChild(option);
+  });
+
+  elements.shippingSelect.addEventListener('change', refreshCartQuote);
+  elements.promoInput.addEventListener('change', refreshCartQuote);
+
+  await refreshCartQuote();
+}
+
+// Cart in the shape /api/orders expects. `destination` replaces the page's
+// shipping address, e.g. with the one a wallet collected.
+function getCart(destination) {
+  const items = Array.from(
+    orderCartElements.products.querySelectorAll('input[data-product-id]')
+  )
+    .map(input => ({
+      productId: input.dataset.productId,
+      quantity: Number(input.value),
+    }))
+    .filter(item => item.quantity !== 0);
+
+  const cart = {
+    items,
+    shippingOption: orderCartElements.shippingSelect.value,
+    currency: checkoutCurrency.code,
+  };
+
+  const promoCode = orderCartElements.promoInput.value.trim();
+  if (promoCode) {
+    cart.promoCode = promoCode;
+  }
+
+  const shipTo =
+    destination ||
+    (orderCartOptions.getDestination
+      ? orderCartOptions.getDestination()
+      : undefined);
+  if (shipTo) {
+    cart.destination = shipTo;
+  }
+
+  return cart;
+}
+
+// Ask the server to price the cart and show the totals
+async function refreshCartQuote() {
+  const request = ++cartQuoteRequests;
+  const cart = getCart();
+  placedOrder = null;
+
+  if (cart.items.length === 0) {
+    cartQuote = null;
+    renderCartSummary('Add an item to your order.');
+    notifyCartChange();
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/orders/quote', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(cart),
+    });
+    const result = await response.json();
+
+    // A newer change has been made since this request was sent
+    if (request !== cartQuoteRequests) {
+      return;
+    }
+
+    if (result.success) {
+      clearFieldErrors();
+      cartQuote = result.order;
+      renderCartSummary();
+    } else {
+      showFieldErrors(result.fieldErrors, cartFieldInputs(cart));
+      cartQuote = null;
+      renderCartSummary(result.error);
+    }
+  } catch (error) {
+    console.error('Error pricing the cart:', error);
+    cartQuote = null;
+    renderCartSummary("Couldn't price your order. Please try again.");
+  }
+
+  notifyCartChange();
+}
+
+// Price the cart for another destination, such as the address picked in a
+// wallet's payment sheet, without changing the page. Rejects with code
+// ORDER_INVALID if the cart can't be shipped there.
+async function quoteCart(destination) {
+  const response = await fetch('/api/orders/quote', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(getCart(destination)),
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    const error = new Error(result.error);
+    error.code = 'ORDER_INVALID';
+    throw error;
+  }
+
+  return result.order;
+}
+
+// Save the priced cart as an order to pay for, shipped to `destination` if
+// given (a wallet's address) or the page's shipping address. Rejects with
+// code ORDER_INVALID (and the server's message) if the cart can't be ordered.
+async function placeOrder(destination) {
+  const cart = getCart(destination);
+  const cartKey = JSON.stringify(cart);
+
+  if (placedOrder && placedOrderCart === cartKey) {
+    return placedOrder;
+  }
+
+  const response = await fetch('/api/orders', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(cart),
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    // A wallet's address isn't on the page, so its errors are only listed
+    showFieldErrors(result.fieldErrors, cartFieldInputs(cart, !destination));
+    const error = new Error(result.error);
+    error.code = 'ORDER_INVALID';
+    throw error;
+  }
+
+  placedOrder = result.order;
+  placedOrderCart = cartKey;
+  return placedOrder;
+}
+
+// The order has been paid; start a new cart
+function orderPaid() {
+  placedOrder = null;
+  orderCartElements.products
+    .querySelectorAll('input[data-product-id]')
+    .forEach(input => {
+      input.value = DEFAULT_CART[input.dataset.productId] || 0;
+    });
+  orderCartElements.promoInput.value = '';
+  refreshCartQuote();
+}
+
+// Line items for paypalCheckoutInstance.createPayment. The products match
+// the transaction's line items; PayPal needs the lines to add up to the
+// amount, so the discount, shipping and tax are listed as lines too.
+function paypalLineItems(order) {
+  const lineItems = order.items.map(item => ({
+    kind: 'debit',
+    name: item.name,
+    productCode: item.productId,
+    quantity: String(item.quantity),
+    unitAmount: item.unitAmount,
+  }));
+
+  const adjustments = [
+    ['credit', order.promoDescription || 'Discount', order.discountAmount],
+    ['debit', order.shippingOption.name, order.shippingAmount],
+    ['debit', `Tax (${order.taxRate}%)`, order.taxAmount],
+  ];
+  adjustments
+    .filter(([, , amount]) => parseFloat(amount) > 0)
+    .forEach(([kind, name, amount]) => {
+      lineItems.push({ kind, name, quantity: '1', unitAmount: amount });
+    });
+
+  return lineItems;
+}
+
+// Inputs that order field errors are shown next to, including the shipping
+// form's unless `withDestination` is false
+function cartFieldInputs(cart, withDestination = true) {
+  const destinationInputs = withDestination
+    ? orderCartOptions.destinationInputs
+    : {};
+  const inputs = Object.assign({}, destinationInputs, {
+    promoCode: orderCartElements.promoInput,
+    shippingOption: orderCartElements.shippingSelect,
+  });
+
+  cart.items.forEach((item, index) => {
+    inputs[`items[${index}].quantity`] =
+      orderCartElements.products.querySelector(
+        `input[data-product-id="${item.productId}"]`
+      );
+  });
+
+  return inputs;
+}
+
+// Totals for the current quote, or `message` when there isn't one
+function renderCartSummary(message) {
+  const summary = orderCartElements.summary;
+  summary.innerHTML = '';
+
+  if (!cartQuote) {
+    const note = document.createElement('p');
+    note.className = 'cart-summary-note';
+    note.textContent = message;
+    summary.appendChild(note);
+    return;
+  }
+
+  const code = cartQuote.currency;
+  const rows = [['Subtotal', cartQuote.subtotalAmount]];
+
+  if (parseFloat(cartQuote.discountAmount) > 0) {
+    rows.push([
+      `Discount (${cartQuote.promoDescription})`,
+      `-${cartQuote.discountAmount}`,
+    ]);
+  }
+  rows.push(['Shipping', cartQuote.shippingAmount]);
+  rows.push([`Tax (${cartQuote.taxRate}%)`, cartQuote.taxAmount]);
+  rows.push(['Total', cartQuote.totalAmount]);
+
+  rows.forEach(([label, amount], index) => {
+    const row = document.createElement('div');
+    row.className =
+      index === rows.length - 1 ? 'cart-summary-row total' : 'cart-summary-row';
+
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const value = document.createElement('dd');
+    value.textContent = `${amount} ${code}`;
+
+    row.appendChild(term);
+    row.appendChild(value);
+    summary.appendChild(row);
+  });
+}
+
+function notifyCartChange() {
+  if (orderCartOptions.onChange) {
+    orderCartOptions.onChange(cartQuote);
+  }
+}
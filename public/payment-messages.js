@@ -0,0 +1,87 @@
+// Customer-facing text for failed payments. /api/sale explains failures in
+// `errorDetails` ({ category, code, retryable, processorResponseCode,
+// gatewayRejectionReason, fieldErrors }); the catalog below turns that into
+// something the customer can act on. Validation errors keep the server's
+// message, which already names the field to fix.
+
+// Issuer declines by processor response code
+const DECLINE_MESSAGES = {
+  2001: 'Your card has insufficient funds. Try another card or payment method.',
+  2002: "This payment is over your card's limit. Try another card or payment method.",
+  2003: "This payment is over your card's activity limit. Try another card or payment method.",
+  2004: 'Your card has expired. Check the expiration date or use another card.',
+  2005: 'Your bank says the card number is invalid. Check it or use another card.',
+  2006: 'The expiration date is invalid. Check it and try again.',
+  2007: 'Your bank has no account for this card. Use another card.',
+  2010: "The security code (CVV) doesn't match your card. Check it and try again.",
+  2014: 'Your bank declined this payment as suspected fraud. Contact your bank or use another card.',
+  2015: "Your bank doesn't allow this kind of payment on this card. Use another card.",
+  2044: 'Your bank asked you to call them about this payment. Contact them, then try again.',
+  2057: 'Your bank has restricted this card. Contact your bank or use another card.',
+  2099: 'Your bank needs you to verify this payment. Try again and complete the verification.',
+};
+
+// Gateway rejections by gatewayRejectionReason
+const REJECTION_MESSAGES = {
+  avs: "The billing address doesn't match your card. Check the street address and postal code.",
+  cvv: "The security code (CVV) doesn't match your card. Check it and try again.",
+  avs_and_cvv:
+    "The billing address and security code don't match your card. Check them and try again.",
+  three_d_secure:
+    'This card needs to be verified with your bank. Try again and complete the verification.',
+  duplicate:
+    "This looks like a repeat of a payment you just made, so it wasn't charged again.",
+  excessive_retry:
+    'This card has been tried too many times. Use another payment method.',
+  fraud: "We couldn't accept this payment. Use another payment method.",
+  risk_threshold:
+    "We couldn't accept this payment. Use another payment method.",
+};
+
+// Everything else, by errorDetails.code
+const FAILURE_MESSAGES = {
+  sign_in_required: 'Sign in to pay with a saved payment method.',
+  payment_method_not_found:
+    "That saved payment method couldn't be found. Choose another one.",
+  order_not_found:
+    "We couldn't find your order. Refresh the page and place it again.",
+  order_already_paid: 'This order has already been paid.',
+  order_processing:
+    'This order is already being paid. Wait a moment before trying again.',
+  processor_unavailable:
+    "Your card's network is temporarily unavailable. Try again in a moment.",
+  gateway_unavailable:
+    'The payment service is temporarily unavailable. Try again in a moment.',
+  gateway_timeout:
+    "We couldn't confirm whether your payment went through. Check your statement or email before trying again.",
+  server_error: 'Something went wrong on our side. Try again in a moment.',
+  network_error:
+    "We couldn't reach the server. Check your connection and try again.",
+};
+
+// Text for a failed /api/sale response
+function paymentErrorMessage(result) {
+  const details = result.errorDetails;
+
+  if (!details) {
+    return result.error || FAILURE_MESSAGES.server_error;
+  }
+
+  if (details.category === 'processor_declined') {
+    return (
+      DECLINE_MESSAGES[details.processorResponseCode] ||
+      (details.retryable
+        ? 'Your bank declined this payment. Try again later, or use another card.'
+        : 'Your bank declined this payment. Use another card or payment method.')
+    );
+  }
+
+  if (details.category === 'gateway_rejected') {
+    return (
+      REJECTION_MESSAGES[details.gatewayRejectionReason] ||
+      "We couldn't accept this payment. Use another payment method."
+    );
+  }
+
+  return FAILURE_MESSAGES[details.code] || result.error;
+}
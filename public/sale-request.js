@@ -0,0 +1,106 @@
+// Sends /api/sale requests for the checkout pages with an Idempotency-Key.
+// One key covers a whole checkout attempt: double submits and network
+// retries reuse it, so the server replays the first outcome instead of
+// charging twice. A new key is generated once the server has answered.
+// Field errors from a rejected request are shown next to the page's inputs.
+
+// Wait before each automatic retry after a network error
+const SALE_RETRY_DELAYS_MS = [500, 1500];
+
+let checkoutAttemptKey = null;
+
+async function postSale(requestData) {
+  if (!checkoutAttemptKey) {
+    checkoutAttemptKey = newIdempotencyKey();
+  }
+  const key = checkoutAttemptKey;
+  clearFieldErrors();
+
+  for (let retry = 0; ; retry++) {
+    try {
+      const response = await fetch('/api/sale', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': key,
+        },
+        body: JSON.stringify(requestData),
+      });
+
+      // 409 means the first request with this key is still running, so the
+      // attempt isn't over yet
+      if (response.status !== 409 && checkoutAttemptKey === key) {
+        checkoutAttemptKey = null;
+      }
+
+      return response;
+    } catch (error) {
+      // The sale may or may not have reached the server; retrying with the
+      // same key is safe. If all retries fail, the key is kept for the next
+      // submit.
+      if (retry >= SALE_RETRY_DELAYS_MS.length) {
+        throw error;
+      }
+      console.warn('Network error, retrying payment request:', error);
+      await new Promise(resolve =>
+        setTimeout(resolve, SALE_RETRY_DELAYS_MS[retry])
+      );
+    }
+  }
+}
+
+function newIdempotencyKey() {
+  if (crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  // randomUUID needs a secure context (HTTPS or localhost)
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+}
+
+// Whether the server turned a request away because of its rate limits or
+// blocklist (code 'rate_limited' or 'blocked'). The error already says what
+// to do, such as how long to wait, so it is shown on its own.
+function isThrottled(result) {
+  return result.code === 'rate_limited' || result.code === 'blocked';
+}
+
+// "<prefix>: <reason>" for a failed sale, with the reason from the payment
+// message catalog, or the error alone when throttled
+function saleFailureMessage(prefix, result) {
+  return isThrottled(result)
+    ? result.error
+    : `${prefix}: ${paymentErrorMessage(result)}`;
+}
+
+// Shows the fieldErrors from a rejected /api/sale request next to the inputs
+// they belong to. `inputsByField` maps request fields (e.g.
+// 'billingAddress.locality') to inputs; errors for fields without an input on
+// the page are left to the general result message.
+function showFieldErrors(fieldErrors, inputsByField) {
+  clearFieldErrors();
+
+  (fieldErrors || []).forEach(fieldError => {
+    const input = inputsByField[fieldError.field];
+    if (!input) {
+      return;
+    }
+
+    const message = document.createElement('small');
+    message.className = 'field-error';
+    message.textContent = fieldError.message;
+    input.classList.add('field-invalid');
+    input.insertAdjacentElement('afterend', message);
+  });
+}
+
+function clearFieldErrors() {
+  document.querySelectorAll('.field-error').forEach(message => {
+    message.remove();
+  });
+  document.querySelectorAll('.field-invalid').forEach(input => {
+    input.classList.remove('field-invalid');
+  });
+}
@@ -0,0 +1,130 @@
+// Shipping addresses for the checkout pages. Card payments use a shipping
+// form; wallets collect the address themselves and return it in their own
+// format. Everything is converted to the shape /api/sale takes for
+// `shipping` (Braintree's address fields), which is also an order's
+// `destination` and which the server then normalizes.
+
+// Address from a shipping form. `inputs` maps name, streetAddress,
+// extendedAddress, locality, region, postalCode and countryCodeAlpha2 to the
+// form's inputs; missing inputs are skipped.
+function readShippingForm(inputs) {
+  const value = field => (inputs[field] ? inputs[field].value.trim() : '');
+  const names = value('name').split(' ');
+
+  return compactAddress({
+    firstName: names[0],
+    lastName: names.slice(1).join(' '),
+    streetAddress: value('streetAddress'),
+    extendedAddress: value('extendedAddress'),
+    locality: value('locality'),
+    region: value('region'),
+    postalCode: value('postalCode'),
+    countryCodeAlpha2: value('countryCodeAlpha2'),
+  });
+}
+
+// Inputs that shipping field errors are shown next to, for field paths like
+// 'shipping.locality'
+function shippingFieldInputs(prefix, inputs) {
+  const fields = {
+    firstName: inputs.name,
+    lastName: inputs.name,
+    streetAddress: inputs.streetAddress,
+    extendedAddress: inputs.extendedAddress,
+    locality: inputs.locality,
+    region: inputs.region,
+    postalCode: inputs.postalCode,
+    countryCodeAlpha2: inputs.countryCodeAlpha2,
+  };
+
+  return Object.keys(fields).reduce((byField, field) => {
+    if (fields[field]) {
+      byField[`${prefix}.${field}`] = fields[field];
+    }
+    return byField;
+  }, {});
+}
+
+// PayPal's shippingAddress (from tokenizePayment's payload.details)
+function shippingFromPayPal(address) {
+  if (!address) {
+    return undefined;
+  }
+
+  const names = (address.recipientName || '').split(' ');
+  return compactAddress({
+    firstName: names[0],
+    lastName: names.slice(1).join(' '),
+    streetAddress: address.line1,
+    extendedAddress: address.line2,
+    locality: address.city,
+    region: address.state,
+    postalCode: address.postalCode,
+    countryCodeAlpha2: address.countryCode,
+  });
+}
+
+// Google Pay's paymentData.shippingAddress
+function shippingFromGooglePay(address) {
+  if (!address) {
+    return undefined;
+  }
+
+  const names = (address.name || '').split(' ');
+  return compactAddress({
+    firstName: names[0],
+    lastName: names.slice(1).join(' '),
+    streetAddress: address.address1,
+    extendedAddress: [address.address2, address.address3]
+      .filter(Boolean)
+      .join(', '),
+    locality: address.locality,
+    region: address.administrativeArea,
+    postalCode: address.postalCode,
+    countryCodeAlpha2: address.countryCode,
+  });
+}
+
+// Apple Pay's payment.shippingContact
+function shippingFromApplePay(contact) {
+  if (!contact) {
+    return undefined;
+  }
+
+  const lines = contact.addressLines || [];
+  return compactAddress({
+    firstName: contact.givenName,
+    lastName: contact.familyName,
+    streetAddress: lines[0],
+    extendedAddress: lines.slice(1).join(', '),
+    locality: contact.locality,
+    region: contact.administrativeArea,
+    postalCode: contact.postalCode,
+    countryCodeAlpha2: contact.countryCode,
+  });
+}
+
+// PayPal's shippingAddressOverride for an address in /api/sale's shape
+function toPayPalShippingAddress(address) {
+  return {
+    recipientName: [address.firstName, address.lastName]
+      .filter(Boolean)
+      .join(' '),
+    line1: address.streetAddress,
+    line2: address.extendedAddress,
+    city: address.locality,
+    state: address.region,
+    postalCode: address.postalCode,
+    countryCode: address.countryCodeAlpha2,
+  };
+}
+
+// Drops empty fields, which /api/sale would otherwise have to ignore
+function compactAddress(address) {
+  return Object.keys(address).reduce((compacted, field) => {
+    if (address[field]) {
+      compacted[field] = address[field];
+    }
+    return compacted;
+  }, {});
+}
@@ -0,0 +1,529 @@
+// DOM elements
+const form = document.getElementById('payment-form');
+const submitButton = document.getElementById('submit-button');
+const resultDiv = document.getElementById('result');
+const cardholderNameInput = document.getElementById('cardholder-name');
+const plansContainer = document.getElementById('plans');
+
+// Saved payment method elements
+const savedMethodsSection = document.getElementById('saved-methods-section');
+const savedMethodsList = document.getElementById('saved-methods');
+
+// Subscription list elements
+const subscriptionsSection = document.getElementById('subscriptions-section');
+const subscriptionsList = document.getElementById('subscriptions');
+
+let hostedFieldsInstance;
+let clientInstance;
+let plans = [];
+let selectedPlanId = null;
+
+// Initialize Braintree when page loads
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadPlans();
+  loadSavedMethods();
+  loadSubscriptions();
+
+  try {
+    await initializeBraintree();
+  } catch (error) {
+    console.error('Failed to initialize Braintree:', error);
+    // Rate limited or blocked requests say when to try again instead
+    showResult(
+      error.code === 'rate_limited' || error.code === 'blocked'
+        ? error.message
+        : 'Failed to initialize payment system. Please refresh the page.',
+      'error'
+    );
+  }
+});
+
+// Initialize Braintree Client and Hosted Fields
+async function initializeBraintree() {
+  // Get client token from server
+  const tokenResponse = await fetch('/client_token');
+  const tokenData = await tokenResponse.json();
+
+  if (!tokenData.clientToken) {
+    const error = new Error(tokenData.error || 'Failed to get client token');
+    error.code = tokenData.code;
+    throw error;
+  }
+
+  // Create Braintree client
+  clientInstance = await braintree.client.create({
+    authorization: tokenData.clientToken,
+  });
+
+  // Create Hosted Fields
+  hostedFieldsInstance = await braintree.hostedFields.create({
+    client: clientInstance,
+    styles: {
+      input: {
+        'font-size': '16px',
+        'font-family':
+          '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, sans-serif',
+        color: '#333',
+      },
+      'input.invalid': {
+        color: '#dc3545',
+      },
+      'input.valid': {
+        color: '#28a745',
+      },
+      ':focus': {
+        color: '#333',
+      },
+    },
+    fields: {
+      number: {
+        selector: '#card-number',
+        placeholder: '4111 1111 1111 1111',
+      },
+      cvv: {
+        selector: '#cvv',
+        placeholder: '123',
+      },
+      expirationDate: {
+        selector: '#expiration-date',
+        placeholder: 'MM/YY',
+      },
+      postalCode: {
+        selector: '#postal-code',
+        placeholder: '12345',
+      },
+    },
+  });
+
+  // Keep the submit button in sync with field validity
+  hostedFieldsInstance.on('validityChange', refreshSubmitButton);
+  hostedFieldsInstance.on('empty', refreshSubmitButton);
+
+  console.log('Braintree initialized successfully');
+}
+
+// Enable the submit button once a plan is chosen and the card is valid
+function refreshSubmitButton() {
+  if (!hostedFieldsInstance) {
+    submitButton.disabled = true;
+    return;
+  }
+
+  const fields = hostedFieldsInstance.getState().fields;
+  const allFieldsValid = Object.keys(fields).every(
+    fieldName => fields[fieldName].isValid
+  );
+
+  submitButton.disabled = !(
+    allFieldsValid &&
+    selectedPlanId &&
+    cardholderNameInput.value.trim()
+  );
+}
+
+cardholderNameInput.addEventListener('input', refreshSubmitButton);
+
+// Load the plans and render them as choices
+async function loadPlans() {
+  try {
+    const response = await fetch('/api/plans');
+    const data = await response.json();
+
+    if (!data.plans) {
+      throw new Error(data.error || 'Failed to load plans');
+    }
+
+    plans = data.plans;
+    plansContainer.innerHTML = '';
+
+    plans.forEach((plan, index) => {
+      const option = document.createElement('label');
+      option.className = 'plan-option';
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'plan';
+      radio.value = plan.id;
+      radio.addEventListener('change', () => selectPlan(plan.id));
+
+      const details = document.createElement('div');
+
+      const name = document.createElement('div');
+      name.className = 'plan-name';
+      name.textContent = plan.name;
+
+      const price = document.createElement('div');
+      price.className = 'plan-price';
+      price.textContent = describePlanPrice(plan);
+
+      const description = document.createElement('div');
+      description.className = 'plan-description';
+      description.textContent = plan.description;
+
+      details.appendChild(name);
+      details.appendChild(price);
+      details.appendChild(description);
+      option.appendChild(radio);
+      option.appendChild(details);
+      plansContainer.appendChild(option);
+
+      // Preselect the first plan
+      if (index === 0) {
+        radio.checked = true;
+        selectPlan(plan.id);
+      }
+    });
+  } catch (error) {
+    console.error('Error loading plans:', error);
+    showResult('Could not load plans. Please refresh the page.', 'error');
+  }
+}
+
+function selectPlan(planId) {
+  selectedPlanId = planId;
+
+  plansContainer.querySelectorAll('.plan-option').forEach(option => {
+    const radio = option.querySelector('input');
+    option.classList.toggle('selected', radio.value === planId);
+  });
+
+  refreshSubmitButton();
+}
+
+// "$9.99 / month, 14-day free trial"
+function describePlanPrice(plan) {
+  const period =
+    plan.billingFrequency === 1
+      ? 'month'
+      : plan.billingFrequency === 12
+      ? 'year'
+      : `${plan.billingFrequency} months`;
+  let text = `$${plan.price} / ${period}`;
+
+  if (plan.trialPeriod) {
+    text += `, ${plan.trialDuration}-${plan.trialDurationUnit} free trial`;
+  }
+
+  return text;
+}
+
+function planName(planId) {
+  const plan = plans.find(p => p.id === planId);
+  return plan ? plan.name : planId;
+}
+
+// Handle form submission (Hosted Fields)
+form.addEventListener('submit', async event => {
+  event.preventDefault();
+
+  if (!hostedFieldsInstance) {
+    showResult(
+      'Payment system not initialized. Please refresh the page.',
+      'error'
+    );
+    return;
+  }
+
+  if (!selectedPlanId) {
+    showResult('Please choose a plan.', 'error');
+    return;
+  }
+
+  setLoading(true);
+
+  try {
+    const { nonce } = await hostedFieldsInstance.tokenize({
+      cardholderName: cardholderNameInput.value.trim(),
+    });
+
+    await subscribe({ paymentMethodNonce: nonce });
+  } catch (error) {
+    console.error('Subscription error:', error);
+
+    if (error.code === 'HOSTED_FIELDS_FIELDS_INVALID') {
+      showResult('Please check your card information and try again.', 'error');
+    } else if (error.code === 'HOSTED_FIELDS_FIELDS_EMPTY') {
+      showResult('Please fill out all required fields.', 'error');
+    } else {
+      showResult('Subscription failed. Please try again.', 'error');
+    }
+  } finally {
+    setLoading(false);
+  }
+});
+
+// Create a subscription to the selected plan with a nonce or saved token
+async function subscribe(paymentMethod) {
+  const response = await fetch('/api/subscriptions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(
+      Object.assign({ planId: selectedPlanId }, paymentMethod)
+    ),
+  });
+
+  const result = await response.json();
+  console.log('Server response:', result);
+
+  if (result.success) {
+    const subscription = result.subscription;
+    let successMessage = `Subscribed to ${planName(
+      subscription.planId
+    )}! <br><br>`;
+    successMessage += `Subscription ID: ${subscription.id}<br>`;
+    successMessage += `Price: $${subscription.price}<br>`;
+    successMessage += `Next billing date: ${subscription.nextBillingDate}`;
+    showResult(successMessage, 'success');
+
+    if (paymentMethod.paymentMethodNonce) {
+      hostedFieldsInstance.clear('number');
+      hostedFieldsInstance.clear('cvv');
+      hostedFieldsInstance.clear('expirationDate');
+      hostedFieldsInstance.clear('postalCode');
+    }
+
+    loadSavedMethods();
+    loadSubscriptions();
+  } else {
+    showResult(`Subscription failed: ${result.error}`, 'error');
+  }
+}
+
+// Load the payment methods saved for the current customer session
+async function loadSavedMethods() {
+  try {
+    const response = await fetch('/api/customer/payment-methods');
+    if (response.status === 401) {
+      // Nothing has been saved in this browser yet
+      savedMethodsSection.style.display = 'none';
+      return;
+    }
+
+    const data = await response.json();
+    savedMethodsList.innerHTML = '';
+
+    if (!data.paymentMethods || data.paymentMethods.length === 0) {
+      savedMethodsSection.style.display = 'none';
+      return;
+    }
+
+    data.paymentMethods.forEach(method => {
+      const item = document.createElement('li');
+      item.className = 'saved-method';
+
+      const label = document.createElement('span');
+      label.textContent = `${method.paymentType}: ${method.description}`;
+
+      const subscribeButton = document.createElement('button');
+      subscribeButton.type = 'button';
+      subscribeButton.className = 'pay-again-button';
+      subscribeButton.textContent = 'Subscribe with this method';
+      subscribeButton.addEventListener('click', async () => {
+        subscribeButton.disabled = true;
+        try {
+          await subscribe({ paymentMethodToken: method.token });
+        } catch (error) {
+          console.error('Subscription error:', error);
+          showResult('Subscription failed. Please try again.', 'error');
+        } finally {
+          subscribeButton.disabled = false;
+        }
+      });
+
+      item.appendChild(label);
+      item.appendChild(subscribeButton);
+      savedMethodsList.appendChild(item);
+    });
+
+    savedMethodsSection.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading saved payment methods:', error);
+  }
+}
+
+// Load the current customer's subscriptions with their actions
+async function loadSubscriptions() {
+  try {
+    const response = await fetch('/api/subscriptions');
+    if (response.status === 401) {
+      subscriptionsSection.style.display = 'none';
+      return;
+    }
+
+    const data = await response.json();
+    subscriptionsList.innerHTML = '';
+
+    if (!data.subscriptions || data.subscriptions.length === 0) {
+      subscriptionsSection.style.display = 'none';
+      return;
+    }
+
+    data.subscriptions.forEach(subscription => {
+      subscriptionsList.appendChild(renderSubscription(subscription));
+    });
+
+    subscriptionsSection.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading subscriptions:', error);
+  }
+}
+
+function renderSubscription(subscription) {
+  const item = document.createElement('li');
+  item.className = 'subscription';
+
+  const title = document.createElement('strong');
+  title.textContent = `${planName(subscription.planId)} - $${
+    subscription.price
+  }`;
+
+  const status = document.createElement('span');
+  status.className = `subscription-status ${subscription.status
+    .toLowerCase()
+    .replace(' ', '-')}`;
+  status.textContent = subscription.status;
+
+  const details = document.createElement('div');
+  details.className = 'subscription-details';
+  if (subscription.status === 'Past Due') {
+    details.textContent = `Balance due: $${subscription.balance} (${subscription.daysPastDue} days past due)`;
+  } else if (subscription.nextBillingDate) {
+    details.textContent = `Next billing: ${subscription.nextBillingDate}`;
+  } else {
+    details.textContent = `Subscription ID: ${subscription.id}`;
+  }
+
+  item.appendChild(title);
+  item.appendChild(status);
+  item.appendChild(details);
+
+  if (['Canceled', 'Expired'].includes(subscription.status)) {
+    return item;
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'subscription-actions';
+
+  // Switch to another plan
+  const planSelect = document.createElement('select');
+  plans
+    .filter(plan => plan.id !== subscription.planId)
+    .forEach(plan => {
+      const option = document.createElement('option');
+      option.value = plan.id;
+      option.textContent = `${plan.name} (${describePlanPrice(plan)})`;
+      planSelect.appendChild(option);
+    });
+
+  const changeButton = actionButton('Change plan', () =>
+    manageSubscription(
+      `/api/subscriptions/${subscription.id}`,
+      'PUT',
+      { planId: planSelect.value },
+      'Plan changed.'
+    )
+  );
+
+  if (planSelect.options.length > 0) {
+    actions.appendChild(planSelect);
+    actions.appendChild(changeButton);
+  }
+
+  if (subscription.status === 'Past Due') {
+    actions.appendChild(
+      actionButton('Retry payment', () =>
+        manageSubscription(
+          `/api/subscriptions/${subscription.id}/retry`,
+          'POST',
+          {},
+          'Payment succeeded. Your subscription is active again.'
+        )
+      )
+    );
+  }
+
+  const cancelButton = actionButton('Cancel', () => {
+    if (confirm('Cancel this subscription?')) {
+      manageSubscription(
+        `/api/subscriptions/${subscription.id}/cancel`,
+        'POST',
+        {},
+        'Subscription canceled.'
+      );
+    }
+  });
+  cancelButton.classList.add('cancel-button');
+  actions.appendChild(cancelButton);
+
+  item.appendChild(actions);
+  return item;
+}
+
+function actionButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'pay-again-button';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Send a change/cancel/retry request and refresh the list
+async function manageSubscription(url, method, body, successMessage) {
+  try {
+    const response = await fetch(url, {
+      method: method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    const result = await response.json();
+
+    if (result.success) {
+      showResult(successMessage, 'success');
+    } else {
+      showResult(result.error || 'Request failed.', 'error');
+    }
+  } catch (error) {
+    console.error('Error managing subscription:', error);
+    showResult('Request failed. Please try again.', 'error');
+  } finally {
+    loadSubscriptions();
+  }
+}
+
+// Show result message
+function showResult(message, type) {
+  if (message.includes('<')) {
+    resultDiv.innerHTML = message;
+  } else {
+    resultDiv.textContent = message;
+  }
+  resultDiv.className = `result ${type}`;
+  resultDiv.style.display = 'block';
+
+  // Scroll to result for better UX
+  resultDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Set loading state
+function setLoading(loading) {
+  const paymentForm = document.querySelector('.payment-form');
+
+  if (loading) {
+    submitButton.classList.add('loading');
+    submitButton.disabled = true;
+    paymentForm.classList.add('loading');
+    document.querySelector('.button-text').style.display = 'none';
+    document.querySelector('.loading-spinner').style.display = 'inline';
+  } else {
+    submitButton.classList.remove('loading');
+    paymentForm.classList.remove('loading');
+    document.querySelector('.button-text').style.display = 'inline';
+    document.querySelector('.loading-spinner').style.display = 'none';
+    refreshSubmitButton();
+  }
+}
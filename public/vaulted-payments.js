@@ -1,9 +1,17 @@
 // DOM elements
 const form = document.getElementById('payment-form');
 const submitButton = document.getElementById('submit-button');
-const amountInput = document.getElementById('amount');
+const currencySelect = document.getElementById('currency');
 const resultDiv = document.getElementById('result');
 
+// Order cart
+const cartElements = {
+  products: document.getElementById('cart-products'),
+  shippingSelect: document.getElementById('shipping-option'),
+  promoInput: document.getElementById('promo-code'),
+  summary: document.getElementById('cart-summary'),
+};
+
 // Billing address fields
 const cardholderNameInput = document.getElementById('cardholder-name');
 const billingStreetAddressInput = document.getElementById(
@@ -16,21 +24,58 @@ const billingLocalityInput = document.getElementById('billing-locality');
 const billingRegionInput = document.getElementById('billing-region');
 const billingCountryInput = document.getElementById('billing-country');
 
+// Shipping address, sent as the order's destination for cards, Venmo and
+// saved methods; PayPal, Google Pay and Apple Pay collect their own
+const shippingInputs = {
+  name: document.getElementById('shipping-name'),
+  streetAddress: document.getElementById('shipping-street-address'),
+  extendedAddress: document.getElementById('shipping-extended-address'),
+  locality: document.getElementById('shipping-locality'),
+  region: document.getElementById('shipping-region'),
+  postalCode: document.getElementById('shipping-postal-code'),
+  countryCodeAlpha2: document.getElementById('shipping-country'),
+};
+
+// Inputs that /api/sale field errors are shown next to
+const saleFieldInputs = {
+  cardholderName: cardholderNameInput,
+  'billingAddress.firstName': cardholderNameInput,
+  'billingAddress.lastName': cardholderNameInput,
+  'billingAddress.streetAddress': billingStreetAddressInput,
+  'billingAddress.extendedAddress': billingExtendedAddressInput,
+  'billingAddress.locality': billingLocalityInput,
+  'billingAddress.region': billingRegionInput,
+  'billingAddress.countryCodeAlpha2': billingCountryInput,
+};
+
+// Saved payment method elements
+const savedMethodsSection = document.getElementById('saved-methods-section');
+const savedMethodsList = document.getElementById('saved-methods');
+const transactionSourceSelect = document.getElementById('transaction-source');
+
 let hostedFieldsInstance;
 let paypalCheckoutInstance;
 let venmoInstance;
 let googlePaymentInstance;
 let applePayInstance;
 let clientInstance;
+let dataCollectorInstance;
 
 // Initialize Braintree when page loads
 document.addEventListener('DOMContentLoaded', async () => {
+  loadSavedMethods();
+
+  // Client tokens are per currency, so switching reloads the page
+  setupCurrencyPicker(currencySelect, () => window.location.reload());
+
   try {
     await initializeBraintree();
   } catch (error) {
     console.error('Failed to initialize Braintree:', error);
     showResult(
-      'Failed to initialize payment system. Please refresh the page.',
+      isThrottled(error)
+        ? error.message
+        : 'Failed to initialize payment system. Please refresh the page.',
       'error'
     );
   }
@@ -40,12 +85,19 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function initializeBraintree() {
   try {
     // Get client token from server
-    const tokenResponse = await fetch('/client_token');
-    const tokenData = await tokenResponse.json();
+    const tokenData = await fetchClientToken();
 
-    if (!tokenData.clientToken) {
-      throw new Error('Failed to get client token');
-    }
+    useCheckoutCurrency(tokenData.currency);
+
+    // The order ships to, and is taxed for, the shipping address
+    await setupOrderCart(cartElements, {
+      getDestination: () => readShippingForm(shippingInputs),
+      destinationInputs: shippingFieldInputs('destination', shippingInputs),
+      onChange: refreshSubmitButton,
+    });
+    Object.values(shippingInputs).forEach(input => {
+      input.addEventListener('change', refreshCartQuote);
+    });
 
     // Create Braintree client
     clientInstance = await braintree.client.create({
@@ -92,6 +144,9 @@ async function initializeBraintree() {
       },
     });
 
+    // Collect device data for fraud screening
+    await initializeDataCollector(clientInstance);
+
     // Set up event listeners for Hosted Fields
     setupHostedFieldsListeners();
 
@@ -114,6 +169,24 @@ async function initializeBraintree() {
   }
 }
 
+// Collect device data for Advanced Fraud Tools (also covers PayPal).
+// Payments still go through if it can't be collected.
+async function initializeDataCollector(clientInstance) {
+  try {
+    dataCollectorInstance = await braintree.dataCollector.create({
+      client: clientInstance,
+      paypal: true,
+    });
+  } catch (error) {
+    console.warn('Device data collection unavailable:', error);
+  }
+}
+
+// Device data string to send with each sale
+function getDeviceData() {
+  return dataCollectorInstance ? dataCollectorInstance.deviceData : undefined;
+}
+
 // Set up event listeners for Hosted Fields
 function setupHostedFieldsListeners() {
   let fieldsState = {
@@ -162,7 +235,6 @@ function updateSubmitButton(fieldsState) {
   const allFieldsValid = Object.values(fieldsState).every(
     field => field.isValid
   );
-  const amountValid = amountInput.value && parseFloat(amountInput.value) > 0;
 
   // Check required billing address fields
   const requiredFieldsValid =
@@ -172,16 +244,11 @@ function updateSubmitButton(fieldsState) {
     billingRegionInput.value.trim() &&
     billingCountryInput.value.trim();
 
-  submitButton.disabled = !(
-    allFieldsValid &&
-    amountValid &&
-    requiredFieldsValid
-  );
+  submitButton.disabled = !(allFieldsValid && cartQuote && requiredFieldsValid);
 }
 
-// Handle amount input changes
-amountInput.addEventListener('input', () => {
-  // Trigger validation check
+// Re-check the submit button when the cart is priced
+function refreshSubmitButton() {
   if (hostedFieldsInstance) {
     // Get current fields state and update button
     const fieldsState = Object.keys(
@@ -193,7 +260,7 @@ amountInput.addEventListener('input', () => {
     }, {});
     updateSubmitButton(fieldsState);
   }
-});
+}
 
 // Handle billing address field changes
 [
@@ -245,9 +312,8 @@ form.addEventListener('submit', async event => {
     return;
   }
 
-  const amount = amountInput.value;
-  if (!amount || parseFloat(amount) <= 0) {
-    showResult('Please enter a valid amount.', 'error');
+  if (!cartQuote) {
+    showResult('Please add an item to your order.', 'error');
     return;
   }
 
@@ -255,6 +321,9 @@ form.addEventListener('submit', async event => {
   setLoading(true);
 
   try {
+    // Save the cart as an order; the server charges its total
+    const order = await placeOrder();
+
     // Tokenize the card data
     const tokenizeResponse = await hostedFieldsInstance.tokenize();
 
@@ -271,18 +340,13 @@ form.addEventListener('submit', async event => {
     console.log('Billing address:', billingAddress);
 
     // Send payment data to server (with vault enabled)
-    const response = await fetch('/api/sale', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        paymentMethodNonce: nonce,
-        amount: amount,
-        vaultPaymentMethod: true, // Always vault in this demo
-        billingAddress: billingAddress,
-        cardholderName: cardholderNameInput.value.trim(),
-      }),
+    const response = await postSale({
+      paymentMethodNonce: nonce,
+      orderId: order.id,
+      vaultPaymentMethod: true, // Always vault in this demo
+      billingAddress: billingAddress,
+      cardholderName: cardholderNameInput.value.trim(),
+      deviceData: getDeviceData(),
     });
 
     const result = await response.json();
@@ -291,7 +355,7 @@ form.addEventListener('submit', async event => {
       let successMessage = `Payment successful and card saved! <br><br>`;
       successMessage += `<strong>Transaction Details:</strong><br>`;
       successMessage += `Transaction ID: ${result.transaction.id}<br>`;
-      successMessage += `Amount: $${result.transaction.amount}<br><br>`;
+      successMessage += `Amount: ${result.transaction.amount} ${result.transaction.currencyIsoCode}<br><br>`;
 
       // Add vaulted payment method info
       if (result.vaultedPaymentMethod) {
@@ -307,12 +371,13 @@ form.addEventListener('submit', async event => {
         }
 
         successMessage += `<br><em>This payment method can now be used for future payments without re-entering card details.</em>`;
+        loadSavedMethods();
       }
 
       showResult(successMessage, 'success');
-      // Reset form but keep prefilled values
+      // Reset form but keep prefilled values, and start a new cart
       form.reset();
-      amountInput.value = '25.00';
+      orderPaid();
       // Restore prefilled values
       cardholderNameInput.value = 'John Doe';
       billingStreetAddressInput.value = '123 Main St';
@@ -320,12 +385,15 @@ form.addEventListener('submit', async event => {
       billingRegionInput.value = 'IL';
       billingCountryInput.value = 'US';
     } else {
-      showResult(`Payment failed: ${result.error}`, 'error');
+      showFieldErrors(result.fieldErrors, saleFieldInputs);
+      showResult(saleFailureMessage('Payment failed', result), 'error');
     }
   } catch (error) {
     console.error('Payment error:', error);
 
-    if (error.code === 'HOSTED_FIELDS_FIELDS_INVALID') {
+    if (error.code === 'ORDER_INVALID') {
+      showResult(`Please check your order: ${error.message}`, 'error');
+    } else if (error.code === 'HOSTED_FIELDS_FIELDS_INVALID') {
       showResult('Please check your card information and try again.', 'error');
     } else if (error.code === 'HOSTED_FIELDS_FIELDS_EMPTY') {
       showResult('Please fill out all required fields.', 'error');
@@ -357,7 +425,7 @@ function initializePayPalVault(clientInstance) {
       // Load the PayPal SDK for vault flow
       return paypalCheckoutInstance.loadPayPalSDK({
         vault: true, // Enable vault flow
-        currency: 'USD',
+        currency: checkoutCurrency.code,
       });
     })
     .then(function () {
@@ -369,11 +437,18 @@ function initializePayPalVault(clientInstance) {
         createBillingAgreement: function () {
           console.log('Creating PayPal billing agreement...');
 
+          if (!cartQuote) {
+            showResult('Please add an item to your order.', 'error');
+            return Promise.reject(new Error('The cart is empty'));
+          }
+
           return paypalCheckoutInstance.createPayment({
             flow: 'vault', // Required for vault flow
             billingAgreementDescription:
               'Secure payment method for future purchases',
-            enableShippingAddress: false, // We don't need shipping for this demo
+            enableShippingAddress: true,
+            shippingAddressEditable: true,
+            lineItems: paypalLineItems(cartQuote),
           });
         },
 
@@ -391,8 +466,19 @@ function initializePayPalVault(clientInstance) {
             .then(function (payload) {
               console.log('PayPal vault tokenize payload:', payload);
 
-              // Process the initial payment using the vaulted PayPal method
-              return processVaultedPayment(payload.nonce, amountInput.value);
+              // The order ships to, and is taxed for, the address picked in
+              // PayPal; then the initial payment uses the vaulted method
+              return placePayPalOrder(
+                shippingFromPayPal(payload.details.shippingAddress)
+              ).then(function (order) {
+                return processVaultedPayment(payload.nonce, order, 'PayPal');
+              });
+            })
+            .catch(function (error) {
+              // Already shown by placePayPalOrder
+              if (error.code !== 'ORDER_INVALID') {
+                throw error;
+              }
             });
         },
 
@@ -420,10 +506,21 @@ function initializePayPalVault(clientInstance) {
     });
 }
 
-// Process vaulted payment
+// Save the cart as an order shipped to the address picked in PayPal. Errors
+// are shown here, since PayPal's onError only gets a generic failure.
+function placePayPalOrder(shipping) {
+  return placeOrder(shipping).catch(function (error) {
+    if (error.code === 'ORDER_INVALID') {
+      showResult(`Please check your order: ${error.message}`, 'error');
+    }
+    throw error;
+  });
+}
+
+// Pay for an order with a wallet's nonce and vault the payment method
 async function processVaultedPayment(
   nonce,
-  amount,
+  order,
   paymentMethodType = 'PayPal'
 ) {
   try {
@@ -459,18 +556,13 @@ async function processVaultedPayment(
       };
     }
 
-    const response = await fetch('/api/sale', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        paymentMethodNonce: nonce,
-        amount: amount,
-        vaultPaymentMethod: true, // Always vault in this demo
-        billingAddress: billingAddress,
-        paymentMethodType: paymentMethodType,
-      }),
+    const response = await postSale({
+      paymentMethodNonce: nonce,
+      orderId: order.id,
+      vaultPaymentMethod: true, // Always vault in this demo
+      billingAddress: billingAddress,
+      paymentMethodType: paymentMethodType,
+      deviceData: getDeviceData(),
     });
 
     const result = await response.json();
@@ -480,7 +572,7 @@ async function processVaultedPayment(
       let successMessage = `${paymentMethodType} payment successful and payment method vaulted! <br><br>`;
       successMessage += `<strong>Transaction Details:</strong><br>`;
       successMessage += `Transaction ID: ${result.transaction.id}<br>`;
-      successMessage += `Amount: $${result.transaction.amount}<br><br>`;
+      successMessage += `Amount: ${result.transaction.amount} ${result.transaction.currencyIsoCode}<br><br>`;
 
       // Add vaulted payment method info
       if (result.vaultedPaymentMethod) {
@@ -506,24 +598,26 @@ async function processVaultedPayment(
         }
 
         successMessage += `<br><em>This ${paymentMethodType} payment method can now be used for future payments without re-authentication.</em>`;
+        loadSavedMethods();
       }
 
       // Check for implicitly vaulted token as well
       if (
         result.transaction &&
-        result.transaction.paypal &&
-        result.transaction.paypal.implicitlyVaultedPaymentMethodToken
+        result.transaction.paymentInstrument &&
+        result.transaction.paymentInstrument.implicitlyVaultedPaymentMethodToken
       ) {
         successMessage += `<br><strong>Additional Info:</strong><br>`;
-        successMessage += `Implicitly Vaulted Token: ${result.transaction.paypal.implicitlyVaultedPaymentMethodToken}`;
+        successMessage += `Implicitly Vaulted Token: ${result.transaction.paymentInstrument.implicitlyVaultedPaymentMethodToken}`;
       }
 
       showResult(successMessage, 'success');
-      // Reset amount input
-      amountInput.value = '25.00';
+      // Start a new cart
+      orderPaid();
     } else {
+      showFieldErrors(result.fieldErrors, saleFieldInputs);
       showResult(
-        `${paymentMethodType} payment failed: ${result.error}`,
+        saleFailureMessage(`${paymentMethodType} payment failed`, result),
         'error'
       );
     }
@@ -536,6 +630,107 @@ async function processVaultedPayment(
   }
 }
 
+// Load the payment methods saved for the current customer session
+async function loadSavedMethods() {
+  try {
+    const response = await fetch('/api/customer/payment-methods');
+    if (response.status === 401) {
+      // Nothing has been saved in this browser yet
+      savedMethodsSection.style.display = 'none';
+      return;
+    }
+
+    const data = await response.json();
+    savedMethodsList.innerHTML = '';
+
+    if (!data.paymentMethods || data.paymentMethods.length === 0) {
+      savedMethodsSection.style.display = 'none';
+      return;
+    }
+
+    data.paymentMethods.forEach(method => {
+      const item = document.createElement('li');
+      item.className = 'saved-method';
+
+      const label = document.createElement('span');
+      label.textContent = `${method.paymentType}: ${method.description}`;
+
+      const payButton = document.createElement('button');
+      payButton.type = 'button';
+      payButton.className = 'pay-again-button';
+      payButton.textContent = 'Pay again with saved method';
+      payButton.addEventListener('click', () =>
+        payWithSavedMethod(method, payButton)
+      );
+
+      item.appendChild(label);
+      item.appendChild(payButton);
+      savedMethodsList.appendChild(item);
+    });
+
+    savedMethodsSection.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading saved payment methods:', error);
+  }
+}
+
+// Pay for the order with a saved payment method's vault token
+async function payWithSavedMethod(method, payButton) {
+  if (!cartQuote) {
+    showResult('Please add an item to your order.', 'error');
+    return;
+  }
+
+  payButton.disabled = true;
+  payButton.textContent = 'Processing...';
+
+  try {
+    const order = await placeOrder();
+    const requestData = {
+      paymentMethodToken: method.token,
+      orderId: order.id,
+      deviceData: getDeviceData(),
+    };
+
+    if (transactionSourceSelect.value) {
+      requestData.transactionSource = transactionSourceSelect.value;
+    }
+
+    const response = await postSale(requestData);
+
+    const result = await response.json();
+    console.log('Server response:', result);
+
+    if (result.success) {
+      let successMessage = `Payment with saved ${method.paymentType} successful! <br><br>`;
+      successMessage += `<strong>Transaction Details:</strong><br>`;
+      successMessage += `Transaction ID: ${result.transaction.id}<br>`;
+      successMessage += `Amount: ${result.transaction.amount} ${result.transaction.currencyIsoCode}<br>`;
+      successMessage += `Payment Method: ${method.description}<br>`;
+      successMessage += `Payment Method Token: ${method.token}`;
+      showResult(successMessage, 'success');
+      orderPaid();
+    } else {
+      showFieldErrors(result.fieldErrors, saleFieldInputs);
+      showResult(
+        saleFailureMessage('Payment with saved method failed', result),
+        'error'
+      );
+    }
+  } catch (error) {
+    console.error('Saved payment method error:', error);
+    showResult(
+      error.code === 'ORDER_INVALID'
+        ? `Please check your order: ${error.message}`
+        : 'Payment processing failed. Please try again.',
+      'error'
+    );
+  } finally {
+    payButton.disabled = false;
+    payButton.textContent = 'Pay again with saved method';
+  }
+}
+
 // Show result message
 function showResult(message, type) {
   if (message.includes('<')) {
@@ -627,9 +822,8 @@ async function initializeVenmo(clientInstance) {
 
     const venmoButton = document.getElementById('venmo-pay-button');
     venmoButton.onclick = function () {
-      const amount = amountInput.value;
-      if (!amount || parseFloat(amount) <= 0) {
-        showResult('Please enter a valid amount.', 'error');
+      if (!cartQuote) {
+        showResult('Please add an item to your order.', 'error');
         return;
       }
 
@@ -640,15 +834,18 @@ async function initializeVenmo(clientInstance) {
         Processing...
       `;
 
-      venmoInstance
-        .tokenize()
-        .then(function (payload) {
-          console.log('Venmo tokenize payload:', payload);
-          return processVaultedPayment(payload.nonce, amount, 'Venmo');
+      placeOrder()
+        .then(function (order) {
+          return venmoInstance.tokenize().then(function (payload) {
+            console.log('Venmo tokenize payload:', payload);
+            return processVaultedPayment(payload.nonce, order, 'Venmo');
+          });
         })
         .catch(function (error) {
           console.error('Venmo error:', error);
-          if (error.code === 'VENMO_CANCELLED') {
+          if (error.code === 'ORDER_INVALID') {
+            showResult(`Please check your order: ${error.message}`, 'error');
+          } else if (error.code === 'VENMO_CANCELLED') {
             showResult('Venmo payment was cancelled.', 'info');
           } else {
             showResult('Venmo payment failed. Please try again.', 'error');
@@ -685,6 +882,9 @@ async function initializeGooglePay(clientInstance) {
 
     const paymentsClient = new google.payments.api.PaymentsClient({
       environment: 'TEST', // Change to 'PRODUCTION' for live
+      paymentDataCallbacks: {
+        onPaymentDataChanged: googlePayShippingChanged,
+      },
     });
 
     // Check if Google Pay is ready with basic payment request
@@ -709,39 +909,50 @@ async function initializeGooglePay(clientInstance) {
           // Create Google Pay button
           const googlePayButton = paymentsClient.createButton({
             onClick: function () {
-              const amount = amountInput.value;
-              if (!amount || parseFloat(amount) <= 0) {
-                showResult('Please enter a valid amount.', 'error');
+              if (!cartQuote) {
+                showResult('Please add an item to your order.', 'error');
                 return;
               }
 
-              // Create proper payment data request
+              // The sheet opens with the quoted total, which is priced again
+              // for the shipping address the buyer picks
               const paymentDataRequest =
                 googlePaymentInstance.createPaymentDataRequest({
-                  transactionInfo: {
-                    currencyCode: 'USD',
-                    totalPriceStatus: 'FINAL',
-                    totalPrice: parseFloat(amount).toFixed(2),
+                  transactionInfo: googlePayTransactionInfo(cartQuote),
+                  shippingAddressRequired: true,
+                  shippingAddressParameters: {
+                    phoneNumberRequired: false,
                   },
+                  callbackIntents: ['SHIPPING_ADDRESS'],
                 });
 
               paymentsClient
                 .loadPaymentData(paymentDataRequest)
                 .then(function (paymentData) {
                   console.log('Google Pay payment data:', paymentData);
-                  return googlePaymentInstance.parseResponse(paymentData);
-                })
-                .then(function (result) {
-                  console.log('Google Pay tokenize result:', result);
-                  return processVaultedPayment(
-                    result.nonce,
-                    amount,
-                    'Google Pay'
-                  );
+                  return googlePaymentInstance
+                    .parseResponse(paymentData)
+                    .then(function (result) {
+                      console.log('Google Pay tokenize result:', result);
+                      return placeOrder(
+                        shippingFromGooglePay(paymentData.shippingAddress)
+                      ).then(function (order) {
+                        return processVaultedPayment(
+                          result.nonce,
+                          order,
+                          'Google Pay'
+                        );
+                      });
+                    });
                 })
                 .catch(function (error) {
                   console.error('Google Pay error:', error);
-                  if (error.statusCode !== 'CANCELED') {
+                  if (error.code === 'ORDER_INVALID') {
+                    showResult(
+                      `Please check your order: ${error.message}`,
+                      'error'
+                    );
+                  } else if (error.statusCode !== 'CANCELED') {
                     showResult(
                       'Google Pay payment failed. Please try again.',
                       'error'
@@ -775,6 +986,39 @@ async function initializeGooglePay(clientInstance) {
   }
 }
 
+// Google Pay's transactionInfo for a priced cart
+function googlePayTransactionInfo(quote) {
+  return {
+    currencyCode: quote.currency,
+    totalPriceStatus: 'FINAL',
+    totalPrice: quote.totalAmount,
+  };
+}
+
+// Google Pay's onPaymentDataChanged: the total for the shipping address
+// picked in the sheet, since the tax depends on it. Google Pay only shares
+// the city, region, postal code and country until the buyer pays.
+function googlePayShippingChanged(intermediatePaymentData) {
+  return quoteCart(
+    shippingFromGooglePay(intermediatePaymentData.shippingAddress)
+  )
+    .then(function (quote) {
+      return { newTransactionInfo: googlePayTransactionInfo(quote) };
+    })
+    .catch(function (error) {
+      return {
+        error: {
+          reason: 'SHIPPING_ADDRESS_UNSERVICEABLE',
+          message:
+            error.code === 'ORDER_INVALID'
+              ? error.message
+              : "Couldn't price your order for this address",
+          intent: 'SHIPPING_ADDRESS',
+        },
+      };
+    });
+}
+
 // Initialize Apple Pay
 async function initializeApplePay(clientInstance) {
   try {
@@ -800,9 +1044,8 @@ async function initializeApplePay(clientInstance) {
 
     const applePayButton = document.getElementById('apple-pay-button');
     applePayButton.onclick = async function () {
-      const amount = amountInput.value;
-      if (!amount || parseFloat(amount) <= 0) {
-        showResult('Please enter a valid amount.', 'error');
+      if (!cartQuote) {
+        showResult('Please add an item to your order.', 'error');
         return;
       }
 
@@ -814,14 +1057,13 @@ async function initializeApplePay(clientInstance) {
           Processing...
         `;
 
-        // Create payment request
+        // The sheet opens with the quoted total, which is priced again for
+        // the shipping contact the buyer picks
         const paymentRequest = applePayInstance.createPaymentRequest({
-          total: {
-            label: 'Vaulted Payment Demo',
-            amount: parseFloat(amount).toFixed(2),
-          },
+          currencyCode: cartQuote.currency,
+          total: applePayTotal(cartQuote),
           requiredBillingContactFields: ['postalAddress'],
-          requiredShippingContactFields: [],
+          requiredShippingContactFields: ['postalAddress', 'name'],
         });
 
         console.log('Apple Pay payment request:', paymentRequest);
@@ -849,6 +1091,31 @@ async function initializeApplePay(clientInstance) {
             });
         };
 
+        // Apple Pay only shares the city, region, postal code and country
+        // until the buyer pays, which is enough to work out the tax
+        session.onshippingcontactselected = function (event) {
+          quoteCart(shippingFromApplePay(event.shippingContact))
+            .then(function (quote) {
+              session.completeShippingContactSelection({
+                newTotal: applePayTotal(quote),
+              });
+            })
+            .catch(function (error) {
+              session.completeShippingContactSelection({
+                newTotal: applePayTotal(cartQuote),
+                errors: [
+                  new ApplePayError(
+                    'addressUnserviceable',
+                    undefined,
+                    error.code === 'ORDER_INVALID'
+                      ? error.message
+                      : "Couldn't price your order for this address"
+                  ),
+                ],
+              });
+            });
+        };
+
         session.onpaymentauthorized = function (event) {
           console.log('Apple Pay payment authorized:', event);
           applePayInstance
@@ -857,14 +1124,20 @@ async function initializeApplePay(clientInstance) {
             })
             .then(function (payload) {
               console.log('Apple Pay tokenize payload:', payload);
-              session.completePayment(ApplePaySession.STATUS_SUCCESS);
-              return processVaultedPayment(payload.nonce, amount, 'Apple Pay');
+              return placeOrder(
+                shippingFromApplePay(event.payment.shippingContact)
+              ).then(function (order) {
+                session.completePayment(ApplePaySession.STATUS_SUCCESS);
+                return processVaultedPayment(payload.nonce, order, 'Apple Pay');
+              });
             })
             .catch(function (error) {
               console.error('Apple Pay tokenization failed:', error);
               session.completePayment(ApplePaySession.STATUS_FAILURE);
               showResult(
-                'Apple Pay payment failed. Please try again.',
+                error.code === 'ORDER_INVALID'
+                  ? `Please check your order: ${error.message}`
+                  : 'Apple Pay payment failed. Please try again.',
                 'error'
               );
             });
@@ -894,3 +1167,11 @@ async function initializeApplePay(clientInstance) {
       '<div class="error-message">Failed to initialize Apple Pay.</div>';
   }
 }
+
+// Apple Pay's total line for a priced cart
+function applePayTotal(quote) {
+  return {
+    label: 'Vaulted Payment Demo',
+    amount: quote.totalAmount,
+  };
+}
@@ -1,257 +1,2193 @@
 const express = require('express');
 const braintree = require('braintree');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 require('dotenv').config();
+const {
+  configureMerchantAccounts,
+  createGateway,
+  isMockEnvironment,
+  isProductionEnvironment,
+} = require('./lib/gateway');
+const {
+  CURRENCIES,
+  describePrecision,
+  formatAmount,
+  hasValidPrecision,
+} = require('./lib/currencies');
+const customerSession = require('./lib/customer-session');
+const { isAdminRequest, requireAdmin } = require('./lib/admin-auth');
+const { normalizeTransaction } = require('./lib/transaction-view');
+const { normalizeDispute, normalizeEvidence } = require('./lib/dispute-view');
+const { WebhookStore } = require('./lib/webhook-store');
+const { IdempotencyStore, idempotent } = require('./lib/idempotency-store');
+const {
+  OUTCOMES: SALE_OUTCOMES,
+  SaleLedger,
+  recordSaleAttempts,
+} = require('./lib/sale-ledger');
+const {
+  normalizeAddress,
+  validateSaleRequest,
+} = require('./lib/sale-validation');
+const { PRODUCTS, SHIPPING_OPTIONS } = require('./lib/catalog');
+const { orderLineItems, priceOrder } = require('./lib/order-pricing');
+const { OrderStore } = require('./lib/order-store');
+const {
+  failedBeforeCharge,
+  saleFailure,
+  thrownFailure,
+  transactionFailure,
+} = require('./lib/sale-errors');
+const { logGatewayCalls, logger, requestLogging } = require('./lib/logger');
+const { DeclineBackoff, RateLimiter, rateLimit } = require('./lib/rate-limit');
+const {
+  Blocklist,
+  ENTRY_TYPES: BLOCKLIST_ENTRY_TYPES,
+  rejectBlocked,
+} = require('./lib/blocklist');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer or proxy, req.ip is only the client's address if
+// Express trusts its X-Forwarded-For header (e.g. TRUST_PROXY=1 for one hop)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
+app.use(requestLogging());
+
+// Configure Braintree (BRAINTREE_ENVIRONMENT=mock runs against the offline
+// mock). Every gateway call is logged with its latency and outcome.
+const gateway = logGatewayCalls(createGateway());
+
+// Verified webhook notifications received from Braintree
+const webhookStore = new WebhookStore({
+  dataFile: process.env.WEBHOOK_STORE_FILE,
+});
+
+// Outcomes of /api/sale requests sent with an Idempotency-Key header
+const idempotencyStore = new IdempotencyStore({
+  dataFile: process.env.IDEMPOTENCY_STORE_FILE,
+});
+
+// Keys are per customer, or per checkout session for guests, so one
+// shopper's key can't replay another's
+const saleIdempotency = idempotent(idempotencyStore, checkoutSessionKey, {
+  release: failedBeforeCharge,
+});
+
+// Every /api/sale attempt, kept as our own system of record
+const saleLedger = new SaleLedger({ dataFile: process.env.SALE_LEDGER_FILE });
+const recordSale = recordSaleAttempts(saleLedger, req =>
+  customerSession.getCustomerId(req)
+);
+
+// Orders priced on the server, charged by /api/sale with an orderId
+const orderStore = new OrderStore({ dataFile: process.env.ORDER_STORE_FILE });
+
+// Limits on /client_token and /api/sale against card testing, per IP and
+// per checkout session, within RATE_LIMIT_WINDOW_SECONDS. 0 turns a limit off.
+const rateLimiter = new RateLimiter({
+  windowSeconds: envInteger('RATE_LIMIT_WINDOW_SECONDS', 60),
+});
+
+// Repeatedly declined IPs and sessions wait longer and longer between sales
+const declineBackoff = new DeclineBackoff({
+  threshold: envInteger('DECLINE_BACKOFF_THRESHOLD', 3),
+  baseSeconds: envInteger('DECLINE_BACKOFF_SECONDS', 30),
+  maxSeconds: envInteger('DECLINE_BACKOFF_MAX_SECONDS', 900),
+  windowSeconds: envInteger('DECLINE_BACKOFF_WINDOW_SECONDS', 3600),
+});
+
+// Signed-in customers are identified as themselves; guests by their
+// checkout session cookie
+function checkoutSessionKey(req, res) {
+  const customerId = customerSession.getCustomerId(req);
+  return customerId
+    ? `customer:${customerId}`
+    : `session:${customerSession.checkoutSessionId(req, res)}`;
+}
+
+const clientTokenRateLimit = rateLimit(rateLimiter, {
+  name: 'client_token',
+  perIp: envInteger('CLIENT_TOKEN_RATE_LIMIT_PER_IP', 60),
+  perSession: envInteger('CLIENT_TOKEN_RATE_LIMIT_PER_SESSION', 30),
+  getSessionKey: checkoutSessionKey,
+  message: 'Too many checkout requests',
+});
+
+const saleRateLimit = rateLimit(rateLimiter, {
+  name: 'sale',
+  perIp: envInteger('SALE_RATE_LIMIT_PER_IP', 20),
+  perSession: envInteger('SALE_RATE_LIMIT_PER_SESSION', 10),
+  getSessionKey: checkoutSessionKey,
+  backoff: declineBackoff,
+  message: 'Too many payment attempts',
+});
+
+// IPs and customers shut out of the checkout endpoints
+const blocklist = new Blocklist({ dataFile: process.env.BLOCKLIST_FILE });
+const checkBlocklist = rejectBlocked(blocklist, req =>
+  customerSession.getCustomerId(req)
+);
+
+// Vault options for client tokens generated for a signed-in customer
+const vaultOptions = {
+  verifyCard: process.env.VAULT_VERIFY_CARD !== 'false',
+  failOnDuplicatePaymentMethod: process.env.VAULT_FAIL_ON_DUPLICATE === 'true',
+};
+
+// How long login tokens from POST /api/session/login-tokens can be exchanged
+// for a session
+const LOGIN_TOKEN_TTL_SECONDS = envInteger('LOGIN_TOKEN_TTL_SECONDS', 300);
+
+// Card payments must pass 3D Secure when required (3DS has to be enabled on
+// the merchant account)
+const threeDSecureOptions = {
+  required: process.env.THREE_D_SECURE_REQUIRED === 'true',
+};
+
+// Checkout currencies, each charged to its own merchant account
+const merchantAccounts = configureMerchantAccounts();
+const DEFAULT_CURRENCY =
+  process.env.DEFAULT_CURRENCY || Object.keys(merchantAccounts)[0];
+
+if (!isCheckoutCurrency(DEFAULT_CURRENCY)) {
+  throw new Error(
+    `DEFAULT_CURRENCY ${DEFAULT_CURRENCY} has no merchant account in BRAINTREE_MERCHANT_ACCOUNTS`
+  );
+}
+
+const checkoutCurrencies = Object.keys(merchantAccounts).reduce(
+  (currencies, currencyIsoCode) => {
+    currencies[currencyIsoCode] = CURRENCIES[currencyIsoCode];
+    return currencies;
+  },
+  {}
+);
+
+// Rules for /api/sale requests. Sales pay a server-priced orderId unless
+// REQUIRE_ORDER_FOR_SALE=false, which lets them name their own amount; then
+// MAX_SALE_AMOUNT overrides the per-currency limit for every currency.
+const saleValidationOptions = {
+  currencies: checkoutCurrencies,
+  defaultCurrency: DEFAULT_CURRENCY,
+  maxAmount: process.env.MAX_SALE_AMOUNT,
+  requireOrder: process.env.REQUIRE_ORDER_FOR_SALE !== 'false',
+};
+
+const orderPricingOptions = {
+  currencies: checkoutCurrencies,
+  defaultCurrency: DEFAULT_CURRENCY,
+};
+
+// Transactions that can still be voided, and those that need a refund instead
+const VOIDABLE_STATUSES = [
+  'authorized',
+  'submitted_for_settlement',
+  'settlement_pending',
+];
+const REFUNDABLE_STATUSES = ['settled', 'settling'];
+const CAPTURED_STATUSES = [
+  'submitted_for_settlement',
+  'settlement_pending',
+  'settling',
+  'settled',
+];
+
+const DISPUTE_STATUSES = Object.values(braintree.Dispute.Status);
+
+// Evidence documents are sent as the raw request body. Braintree accepts
+// PDF, PNG and JPEG files up to 4 MB.
+const EVIDENCE_FILE_TYPES = {
+  'application/pdf': '.pdf',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+};
+// DocumentUpload.Kind.EvidenceDocument, which the SDK doesn't export
+const EVIDENCE_DOCUMENT_KIND = 'evidence_document';
+const evidenceFileParser = express.raw({
+  type: Object.keys(EVIDENCE_FILE_TYPES),
+  limit: '4mb',
+});
+
+// Refunds that failed or were voided don't count against the settled total
+const INACTIVE_REFUND_STATUSES = [
+  'voided',
+  'failed',
+  'gateway_rejected',
+  'processor_declined',
+];
+
+// Whole-number setting from the environment, or the default when unset
+function envInteger(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a whole number`);
+  }
+  return parsed;
+}
+
+// TRUST_PROXY as Express's "trust proxy" setting: true, a hop count, or
+// addresses / subnets to trust
+function trustProxySetting(value) {
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function fromCents(cents, currencyIsoCode) {
+  return formatAmount(cents / 100, currencyIsoCode);
+}
+
+function isCheckoutCurrency(currencyIsoCode) {
+  return (
+    typeof currencyIsoCode === 'string' &&
+    Object.prototype.hasOwnProperty.call(merchantAccounts, currencyIsoCode)
+  );
+}
+
+// Order ID, line items and totals for charging a saved order
+function orderDetails(order) {
+  return {
+    orderId: order.id,
+    lineItems: orderLineItems(order),
+    taxAmount: order.taxAmount,
+    shippingAmount: order.shippingAmount,
+    discountAmount: order.discountAmount,
+  };
+}
+
+// Line items and totals sent with a custom amount (already validated)
+function requestOrderDetails(body, currency) {
+  const details = {};
+
+  ['taxAmount', 'shippingAmount', 'discountAmount']
+    .filter(field => body[field] !== undefined)
+    .forEach(field => {
+      details[field] = formatAmount(body[field], currency);
+    });
+
+  if (body.lineItems) {
+    details.lineItems = body.lineItems.map(item =>
+      Object.assign({}, item, {
+        quantity: String(item.quantity),
+        unitAmount: String(item.unitAmount),
+        totalAmount: formatAmount(item.totalAmount, currency),
+      })
+    );
+  }
+
+  return details;
+}
+
+// Orders placed while signed in belong to that customer; guest orders are
+// reachable by anyone holding their ID
+function canAccessOrder(order, req) {
+  return (
+    !order.customerId || order.customerId === customerSession.getCustomerId(req)
+  );
+}
+
+// Currency details the checkout pages need to format amounts
+function describeCurrency(currencyIsoCode) {
+  return {
+    code: currencyIsoCode,
+    minorUnits: CURRENCIES[currencyIsoCode].minorUnits,
+  };
+}
+
+// Amounts for captures and refunds are optional, but must be well-formed.
+// Their decimal places depend on the transaction's currency, so they're
+// checked with hasValidPrecision once the transaction has been found.
+function isValidOptionalAmount(amount) {
+  return (
+    amount === undefined ||
+    (!isNaN(amount) &&
+      parseFloat(amount) > 0 &&
+      /^\d+(\.\d+)?$/.test(String(amount)))
+  );
+}
+
+// Find a Braintree customer, creating it the first time the ID is used
+async function findOrCreateCustomer(customerId) {
+  try {
+    return await gateway.customer.find(customerId);
+  } catch (error) {
+    if (error.type !== braintree.errorTypes.notFoundError) {
+      throw error;
+    }
+  }
+
+  const result = await gateway.customer.create({ id: customerId });
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+
+  logger.info('Created Braintree customer', { customerId });
+  return result.customer;
+}
+
+// Look up a vaulted payment method, or null unless the customer owns it
+async function findOwnedPaymentMethod(token, customerId) {
+  try {
+    const paymentMethod = await gateway.paymentMethod.find(token);
+    return paymentMethod.customerId === customerId ? paymentMethod : null;
+  } catch (error) {
+    if (error.type === braintree.errorTypes.notFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// 3D Secure outcome of a sale: whether it was required, and whether
+// liability for fraud chargebacks shifted to the card issuer. Only card
+// payments go through 3DS.
+function describeThreeDSecure(transactionView, required) {
+  return Object.assign(
+    {
+      required:
+        required && transactionView.paymentInstrument.type === 'credit_card',
+      status: null,
+      liabilityShifted: false,
+      liabilityShiftPossible: false,
+    },
+    transactionView.threeDSecure
+  );
+}
+
+// Summarize a vaulted payment method for display
+function describePaymentMethod(method, paymentType) {
+  const summary = {
+    token: method.token,
+    paymentType: paymentType,
+    default: Boolean(method.default),
+    imageUrl: method.imageUrl || null,
+  };
+
+  if (paymentType === 'PayPal') {
+    summary.description = method.email;
+  } else if (paymentType === 'Venmo') {
+    summary.description = method.username;
+  } else {
+    summary.description = `${method.cardType} ending in ${method.last4}`;
+    summary.expirationDate = method.expirationDate || null;
+  }
+
+  return summary;
+}
+
+// Summarize a Braintree plan for display
+function describePlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    description: plan.description || '',
+    price: plan.price,
+    currencyIsoCode: plan.currencyIsoCode,
+    billingFrequency: plan.billingFrequency,
+    trialPeriod: Boolean(plan.trialPeriod),
+    trialDuration: plan.trialDuration || null,
+    trialDurationUnit: plan.trialDurationUnit || null,
+  };
+}
+
+// Summarize a subscription and its billing state for display
+function describeSubscription(subscription) {
+  return {
+    id: subscription.id,
+    planId: subscription.planId,
+    status: subscription.status,
+    price: subscription.price,
+    balance: subscription.balance,
+    currencyIsoCode: subscription.currencyIsoCode || null,
+    paymentMethodToken: subscription.paymentMethodToken,
+    firstBillingDate: subscription.firstBillingDate || null,
+    nextBillingDate: subscription.nextBillingDate || null,
+    nextBillAmount: subscription.nextBillAmount || null,
+    paidThroughDate: subscription.paidThroughDate || null,
+    currentBillingCycle: subscription.currentBillingCycle || 0,
+    failureCount: subscription.failureCount || 0,
+    daysPastDue: subscription.daysPastDue || null,
+    trialPeriod: Boolean(subscription.trialPeriod),
+    createdAt: subscription.createdAt || null,
+    transactions: (subscription.transactions || []).map(transaction => ({
+      id: transaction.id,
+      status: transaction.status,
+      amount: transaction.amount,
+      createdAt: transaction.createdAt,
+    })),
+  };
+}
+
+// Find a plan by ID, or null if Braintree doesn't have it
+async function findPlan(planId) {
+  const response = await gateway.plan.all();
+  return response.plans.find(plan => plan.id === planId) || null;
+}
+
+// Look up a subscription the request may manage, or null. Admins can manage
+// any subscription; customers only those billed to their own payment methods.
+async function findManageableSubscription(req, subscriptionId) {
+  let subscription;
+
+  try {
+    subscription = await gateway.subscription.find(subscriptionId);
+  } catch (error) {
+    if (error.type === braintree.errorTypes.notFoundError) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (isAdminRequest(req)) {
+    return subscription;
+  }
+
+  const customerId = customerSession.getCustomerId(req);
+  const paymentMethod =
+    customerId &&
+    (await findOwnedPaymentMethod(subscription.paymentMethodToken, customerId));
+
+  return paymentMethod ? subscription : null;
+}
+
+// Custom prices are a merchant decision, so only admins may set one.
+// Returns the status and error to respond with, or null if the price is OK.
+function checkSubscriptionPrice(req, price) {
+  if (price === undefined) {
+    return null;
+  }
+  if (!isAdminRequest(req)) {
+    return {
+      status: 403,
+      error: 'Only admins can set a custom subscription price',
+    };
+  }
+  if (isNaN(price) || !/^\d+(\.\d{1,2})?$/.test(String(price))) {
+    return {
+      status: 400,
+      error: 'Price must be a positive value with up to 2 decimals',
+    };
+  }
+  return null;
+}
+
+// Total up a transaction's refunds and what can still be refunded
+async function getRefundSummary(transaction) {
+  const refunds = await Promise.all(
+    (transaction.refundIds || []).map(id => gateway.transaction.find(id))
+  );
+  const refundableCents = REFUNDABLE_STATUSES.includes(transaction.status)
+    ? toCents(transaction.amount)
+    : 0;
+  const refundedCents = refunds
+    .filter(refund => !INACTIVE_REFUND_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + toCents(refund.amount), 0);
+
+  return {
+    refundIds: refunds.map(refund => refund.id),
+    refundedAmount: fromCents(refundedCents, transaction.currencyIsoCode),
+    refundableAmount: fromCents(
+      Math.max(refundableCents - refundedCents, 0),
+      transaction.currencyIsoCode
+    ),
+  };
+}
+
+// Total up what has been captured from an authorization and what is left
+async function getCaptureSummary(transaction) {
+  const captures = await Promise.all(
+    (transaction.partialSettlementTransactionIds || []).map(id =>
+      gateway.transaction.find(id)
+    )
+  );
+  let capturedCents = captures
+    .filter(capture => capture.status !== 'voided')
+    .reduce((sum, capture) => sum + toCents(capture.amount), 0);
+
+  // Without partial captures the transaction itself is the capture
+  if (captures.length === 0 && CAPTURED_STATUSES.includes(transaction.status)) {
+    capturedCents = toCents(transaction.amount);
+  }
+
+  const capturableCents =
+    transaction.status === 'authorized'
+      ? toCents(transaction.amount) - capturedCents
+      : 0;
+
+  return {
+    captureIds: captures.map(capture => capture.id),
+    capturedAmount: fromCents(capturedCents, transaction.currencyIsoCode),
+    capturableAmount: fromCents(
+      Math.max(capturableCents, 0),
+      transaction.currencyIsoCode
+    ),
+  };
+}
+
+// Void an unsettled transaction or refund a settled one, whichever its
+// status allows, so callers don't need to know where it is in settlement
+async function reverseTransaction(res, id, amount) {
+  if (!isValidOptionalAmount(amount)) {
+    return res.status(400).json({ error: 'Amount must be a positive number' });
+  }
+
+  try {
+    const transaction = await gateway.transaction.find(id);
+
+    if (
+      amount !== undefined &&
+      !hasValidPrecision(amount, transaction.currencyIsoCode)
+    ) {
+      return res.status(400).json({
+        error: describePrecision(transaction.currencyIsoCode),
+      });
+    }
+
+    if (transaction.type !== 'sale') {
+      return res.status(422).json({
+        success: false,
+        error: 'Only sale transactions can be reversed',
+      });
+    }
+
+    // Each partial capture is its own transaction with its own settlement
+    if ((transaction.partialSettlementTransactionIds || []).length > 0) {
+      return res.status(422).json({
+        success: false,
+        error:
+          'Transaction has partial captures; refund or void each capture instead',
+        captureIds: transaction.partialSettlementTransactionIds,
+      });
+    }
+
+    let action;
+    let result;
+
+    if (VOIDABLE_STATUSES.includes(transaction.status)) {
+      // Unsettled funds are released in full; there is no partial void
+      if (
+        amount !== undefined &&
+        toCents(amount) !== toCents(transaction.amount)
+      ) {
+        return res.status(422).json({
+          success: false,
+          error: `Transaction is ${transaction.status} and can only be voided in full`,
+        });
+      }
+
+      action = 'void';
+      result = await gateway.transaction.void(transaction.id);
+    } else if (REFUNDABLE_STATUSES.includes(transaction.status)) {
+      const { refundableAmount } = await getRefundSummary(transaction);
+      const refundAmount =
+        amount !== undefined
+          ? formatAmount(amount, transaction.currencyIsoCode)
+          : refundableAmount;
+
+      if (toCents(refundAmount) > toCents(refundableAmount)) {
+        return res.status(422).json({
+          success: false,
+          error: `Refund amount exceeds the refundable balance of ${refundableAmount}`,
+        });
+      }
+
+      action = 'refund';
+      result = await gateway.transaction.refund(transaction.id, refundAmount);
+    } else {
+      return res.status(422).json({
+        success: false,
+        error: `Transaction is ${transaction.status} and cannot be voided or refunded`,
+      });
+    }
+
+    if (!result.success) {
+      logger.warn(`Transaction ${action} failed`, {
+        transactionId: transaction.id,
+        reason: result.message,
+      });
+      return res.status(422).json({ success: false, error: result.message });
+    }
+
+    logger.info(`Transaction ${action} successful`, {
+      transactionId: transaction.id,
+    });
+
+    const original =
+      action === 'void'
+        ? result.transaction
+        : await gateway.transaction.find(transaction.id);
+    const response = {
+      success: true,
+      action: action,
+      transaction: {
+        id: original.id,
+        status: original.status,
+        amount: original.amount,
+      },
+    };
+
+    if (action === 'refund') {
+      response.refund = {
+        id: result.transaction.id,
+        status: result.transaction.status,
+        amount: result.transaction.amount,
+      };
+    }
+
+    res.json(Object.assign(response, await getRefundSummary(original)));
+  } catch (error) {
+    if (error.type === braintree.errorTypes.notFoundError) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    logger.error('Error reversing transaction', { error });
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to reverse transaction' });
+  }
+}
+
+// All disputes matching the search, as an array
+function searchDisputes(buildSearch) {
+  return new Promise((resolve, reject) => {
+    gateway.dispute.search(buildSearch, (error, disputes) =>
+      error ? reject(error) : resolve(disputes)
+    );
+  });
+}
+
+// Accept or finalize a dispute, or remove evidence from it, then answer with
+// the updated dispute. Braintree only allows these while the dispute is open.
+async function updateDispute(res, id, action, update, notFound) {
+  try {
+    const result = await update();
+
+    if (!result.success) {
+      logger.warn('Dispute update failed', {
+        disputeId: id,
+        action,
+        reason: result.message,
+      });
+      return res.status(422).json({ success: false, error: result.message });
+    }
+
+    logger.info('Dispute updated', { disputeId: id, action });
+
+    const { dispute } = await gateway.dispute.find(id);
+    res.json({ success: true, dispute: normalizeDispute(dispute) });
+  } catch (error) {
+    disputeFailure(res, error, `Failed to ${action} dispute`, notFound);
+  }
+}
+
+function disputeFailure(res, error, message, notFound = 'Dispute not found') {
+  if (error.type === braintree.errorTypes.notFoundError) {
+    return res.status(404).json({ error: notFound });
+  }
+  // The SDK checks evidence requests before sending them
+  if (error.type === braintree.errorTypes.invalidKeysError) {
+    return res.status(400).json({ error: error.message });
+  }
+  logger.error(message, { error });
+  res.status(500).json({ success: false, error: message });
+}
+
+// Reads an evidence document into req.body, answering 413 when it's over
+// Braintree's limit
+function readEvidenceFile(req, res, next) {
+  evidenceFileParser(req, res, error => {
+    if (error && error.type === 'entity.too.large') {
+      return res
+        .status(413)
+        .json({ error: 'Evidence files can be up to 4 MB' });
+    }
+    next(error);
+  });
+}
+
+// Routes
+
+// Serve the main page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Apple Pay domain association file
+app.get(
+  '/.well-known/apple-developer-merchantid-domain-association',
+  (req, res) => {
+    res.sendFile(
+      path.join(
+        __dirname,
+        'public',
+        '.well-known',
+        'apple-developer-merchantid-domain-association'
+      )
+    );
+  }
+);
+
+// Sign in as a customer so their vaulted payment methods can be used. The
+// browser sends a login token issued after the user authenticated. Signing
+// in by bare customer ID is a shortcut for trying the samples: it needs the
+// admin key, and is never allowed against the production gateway.
+app.post('/api/session', (req, res) => {
+  const { customerId, loginToken } = req.body || {};
+
+  if (loginToken !== undefined) {
+    const tokenCustomerId = customerSession.verifyLoginToken(loginToken);
+    if (!tokenCustomerId) {
+      return res
+        .status(401)
+        .json({ error: 'Login token is invalid or has expired' });
+    }
+
+    customerSession.signIn(res, tokenCustomerId);
+    return res.json({ customerId: tokenCustomerId });
+  }
+
+  if (isProductionEnvironment()) {
+    return res.status(403).json({
+      error: 'Signing in by customer ID is disabled in production',
+    });
+  }
+  if (!isAdminRequest(req)) {
+    return res
+      .status(401)
+      .json({ error: 'Admin API key required to sign in by customer ID' });
+  }
+
+  if (!customerSession.isValidCustomerId(customerId)) {
+    return res.status(400).json({
+      error: 'Customer ID must be 1-36 letters, numbers, dashes or underscores',
+    });
+  }
+
+  customerSession.signIn(res, customerId);
+  res.json({ customerId });
+});
+
+// Issue a login token for a customer your own login system has
+// authenticated; the browser exchanges it at POST /api/session
+app.post('/api/session/login-tokens', requireAdmin, (req, res) => {
+  const { customerId } = req.body || {};
+
+  if (!customerSession.isValidCustomerId(customerId)) {
+    return res.status(400).json({
+      error: 'Customer ID must be 1-36 letters, numbers, dashes or underscores',
+    });
+  }
+
+  res.json(
+    Object.assign(
+      { customerId },
+      customerSession.createLoginToken(customerId, LOGIN_TOKEN_TTL_SECONDS)
+    )
+  );
+});
+
+// Current signed-in customer, if any
+app.get('/api/session', (req, res) => {
+  res.json({ customerId: customerSession.getCustomerId(req) });
+});
+
+// Sign out of the current customer session
+app.delete('/api/session', (req, res) => {
+  customerSession.signOut(res);
+  res.json({ customerId: null });
+});
+
+// Currencies the checkout pages can offer
+app.get('/api/currencies', (req, res) => {
+  res.json({
+    defaultCurrency: DEFAULT_CURRENCY,
+    currencies: Object.keys(merchantAccounts).map(describeCurrency),
+  });
+});
+
+// Products and shipping options, priced in the requested currency
+app.get('/api/catalog', (req, res) => {
+  const currency = req.query.currency || DEFAULT_CURRENCY;
+
+  if (!isCheckoutCurrency(currency)) {
+    return res.status(400).json({
+      error: `Currency must be one of: ${Object.keys(merchantAccounts).join(
+        ', '
+      )}`,
+    });
+  }
+
+  res.json({
+    currency: describeCurrency(currency),
+    products: PRODUCTS.map(product => ({
+      id: product.id,
+      name: product.name,
+      description: product.description,
+      price: product.prices[currency],
+    })),
+    shippingOptions: SHIPPING_OPTIONS.map(option => ({
+      id: option.id,
+      name: option.name,
+      price: option.prices[currency],
+      requiresDestination: Boolean(option.requiresDestination),
+    })),
+  });
+});
+
+// Price a cart without saving it, so pages can show totals as it changes
+app.post('/api/orders/quote', (req, res) => {
+  const { fieldErrors, order } = priceOrder(req.body, orderPricingOptions);
+
+  if (fieldErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: fieldErrors.map(fieldError => fieldError.message).join('; '),
+      fieldErrors,
+    });
+  }
+
+  res.json({ success: true, order });
+});
+
+// Price and save an order for /api/sale to charge
+app.post('/api/orders', (req, res) => {
+  const { fieldErrors, order } = priceOrder(req.body, orderPricingOptions);
+
+  if (fieldErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: fieldErrors.map(fieldError => fieldError.message).join('; '),
+      fieldErrors,
+    });
+  }
+
+  const saved = orderStore.create(order, customerSession.getCustomerId(req));
+  logger.info('Created order', {
+    orderId: saved.id,
+    amount: saved.totalAmount,
+    currency: saved.currency,
+  });
+  res.status(201).json({ success: true, order: saved });
+});
+
+// Look up an order. Orders placed while signed in are only visible to that
+// customer.
+app.get('/api/orders/:id', (req, res) => {
+  const order = orderStore.find(req.params.id);
+
+  if (!order || !canAccessOrder(order, req)) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  res.json({ order });
+});
+
+// Generate client token for Braintree
+app.get(
+  '/client_token',
+  checkBlocklist,
+  clientTokenRateLimit,
+  async (req, res) => {
+    const customerId = customerSession.getCustomerId(req);
+    const currency = req.query.currency || DEFAULT_CURRENCY;
+
+    if (!isCheckoutCurrency(currency)) {
+      return res.status(400).json({
+        error: `Currency must be one of: ${Object.keys(merchantAccounts).join(
+          ', '
+        )}`,
+      });
+    }
+
+    try {
+      const tokenRequest = {};
+
+      // PayPal and wallets present the currency of the token's merchant account
+      if (merchantAccounts[currency]) {
+        tokenRequest.merchantAccountId = merchantAccounts[currency];
+      }
+
+      // Scope the token to the signed-in customer so Drop-in's vault manager
+      // can show and delete their saved payment methods
+      if (customerId) {
+        await findOrCreateCustomer(customerId);
+        tokenRequest.customerId = customerId;
+        tokenRequest.options = vaultOptions;
+      }
+
+      const response = await gateway.clientToken.generate(tokenRequest);
+
+      if (response.success === false) {
+        logger.warn('Client token generation failed', {
+          reason: response.message,
+        });
+        return res
+          .status(500)
+          .json({ error: 'Failed to generate client token' });
+      }
+
+      res.json({
+        clientToken: response.clientToken,
+        customerId: customerId,
+        currency: describeCurrency(currency),
+      });
+    } catch (error) {
+      logger.error('Error generating client token', { error });
+      res.status(500).json({ error: 'Failed to generate client token' });
+    }
+  }
+);
+
+// List the signed-in customer's vaulted payment methods
+app.get('/api/customer/payment-methods', async (req, res) => {
+  const customerId = customerSession.getCustomerId(req);
+
+  if (!customerId) {
+    return res.status(401).json({ error: 'Sign in to view saved methods' });
+  }
+
+  try {
+    const customer = await findOrCreateCustomer(customerId);
+    const paymentMethods = [
+      ...(customer.creditCards || []).map(method =>
+        describePaymentMethod(method, 'Card')
+      ),
+      ...(customer.paypalAccounts || []).map(method =>
+        describePaymentMethod(method, 'PayPal')
+      ),
+      ...(customer.venmoAccounts || []).map(method =>
+        describePaymentMethod(method, 'Venmo')
+      ),
+      ...(customer.androidPayCards || []).map(method =>
+        describePaymentMethod(method, 'Google Pay')
+      ),
+      ...(customer.applePayCards || []).map(method =>
+        describePaymentMethod(method, 'Apple Pay')
+      ),
+    ];
+
+    res.json({ customerId, paymentMethods });
+  } catch (error) {
+    logger.error('Error listing payment methods', { error });
+    res.status(500).json({ error: 'Failed to load saved payment methods' });
+  }
+});
+
+// Delete one of the signed-in customer's vaulted payment methods
+app.delete('/api/customer/payment-methods/:token', async (req, res) => {
+  const customerId = customerSession.getCustomerId(req);
+
+  if (!customerId) {
+    return res.status(401).json({ error: 'Sign in to manage saved methods' });
+  }
+
+  try {
+    const paymentMethod = await findOwnedPaymentMethod(
+      req.params.token,
+      customerId
+    );
+
+    // Never reveal or touch another customer's payment methods
+    if (!paymentMethod) {
+      return res.status(404).json({ error: 'Payment method not found' });
+    }
+
+    await gateway.paymentMethod.delete(req.params.token);
+    logger.info('Deleted payment method', { customerId });
+    res.json({ success: true, token: req.params.token });
+  } catch (error) {
+    logger.error('Error deleting payment method', { error });
+    res.status(500).json({ error: 'Failed to delete payment method' });
+  }
+});
+
+// Process payment
+// Replayed idempotent requests aren't new attempts, so they skip the ledger.
+// Blocked and rate limited requests are turned away before either.
+app.post(
+  '/api/sale',
+  checkBlocklist,
+  saleRateLimit,
+  saleIdempotency,
+  recordSale,
+  async (req, res) => {
+    // Reject the whole request if any field is invalid, listing every problem
+    // (fieldErrors are also kept at the top level, like /api/orders). A
+    // missing or non-JSON body is a `body` field error.
+    const fieldErrors = validateSaleRequest(req.body, saleValidationOptions);
+    if (fieldErrors.length > 0) {
+      return res
+        .status(400)
+        .json(
+          Object.assign(
+            saleFailure(
+              fieldErrors.map(fieldError => fieldError.message).join('; '),
+              { fieldErrors }
+            ),
+            { fieldErrors }
+          )
+        );
+    }
+
+    // Addresses typed into forms or returned by wallets are sent tidied
+    ['billingAddress', 'shipping']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        req.body[field] = normalizeAddress(req.body[field]);
+      });
+
+    const {
+      paymentMethodNonce,
+      paymentMethodToken,
+      transactionSource,
+      intent = 'sale',
+      amount,
+      billingAddress,
+      vaultPaymentMethod,
+      cardholderName,
+      paymentMethodType,
+      deviceData,
+      currency = DEFAULT_CURRENCY,
+      orderId,
+      purchaseOrderNumber,
+      shipping,
+    } = req.body;
+    const customerId = customerSession.getCustomerId(req);
+    // The order being paid, if any; released again if the charge fails
+    let order = null;
+    // Saved payment methods are charged without a fresh 3DS verification
+    const threeDSecureRequired = Boolean(
+      paymentMethodNonce && threeDSecureOptions.required
+    );
+
+    try {
+      // Saved payment methods can only be charged by the customer who owns
+      // them, signed in with a login token (see POST /api/session)
+      if (paymentMethodToken) {
+        if (!customerId) {
+          return res.status(401).json(
+            saleFailure('Sign in to pay with a saved payment method', {
+              code: 'sign_in_required',
+            })
+          );
+        }
+
+        const paymentMethod = await findOwnedPaymentMethod(
+          paymentMethodToken,
+          customerId
+        );
+        if (!paymentMethod) {
+          return res.status(404).json(
+            saleFailure('Saved payment method not found', {
+              code: 'payment_method_not_found',
+            })
+          );
+        }
+      }
+
+      // Orders are charged their server-computed total, and only once
+      if (orderId) {
+        const pending = orderStore.find(orderId);
+
+        if (!pending || !canAccessOrder(pending, req)) {
+          return res
+            .status(404)
+            .json(saleFailure('Order not found', { code: 'order_not_found' }));
+        }
+
+        if (!orderStore.claim(pending.id)) {
+          return res.status(409).json(
+            pending.status === 'paid'
+              ? saleFailure('This order has already been paid', {
+                  code: 'order_already_paid',
+                })
+              : saleFailure('This order is already being paid', {
+                  code: 'order_processing',
+                  retryable: true,
+                })
+          );
+        }
+
+        order = pending;
+      }
+
+      const chargeCurrency = order ? order.currency : currency;
+      const transactionData = {
+        amount: order ? order.totalAmount : formatAmount(amount, currency),
+        options: {
+          // Authorize-only transactions are captured later via
+          // /api/transactions/:id/capture
+          submitForSettlement: intent === 'sale',
+        },
+      };
+
+      if (paymentMethodToken) {
+        transactionData.paymentMethodToken = paymentMethodToken;
+      } else {
+        transactionData.paymentMethodNonce = paymentMethodNonce;
+        // Card nonces need a successful threeDSecure.verifyCard when required
+        transactionData.options.threeDSecure = threeDSecureOptions;
+      }
+
+      // Each currency settles through its own merchant account
+      if (merchantAccounts[chargeCurrency]) {
+        transactionData.merchantAccountId = merchantAccounts[chargeCurrency];
+      }
+
+      // Level 2/3 data: lower interchange on commercial cards, and the cart
+      // PayPal shows the buyer. Orders supply their own.
+      Object.assign(
+        transactionData,
+        order ? orderDetails(order) : requestOrderDetails(req.body, currency)
+      );
+
+      if (purchaseOrderNumber) {
+        transactionData.purchaseOrderNumber = purchaseOrderNumber;
+      }
+
+      // Device data lets Advanced Fraud Tools score the transaction
+      if (deviceData) {
+        transactionData.deviceData = deviceData;
+      }
+
+      // Flag stored-credential transactions (recurring, unscheduled, etc.)
+      if (transactionSource) {
+        transactionData.transactionSource = transactionSource;
+      }
+
+      // Add billing address if provided
+      if (billingAddress) {
+        transactionData.billing = billingAddress;
+      }
+
+      // Orders ship to their destination
+      const shippingAddress = order ? order.destination : shipping;
+      if (shippingAddress) {
+        transactionData.shipping = shippingAddress;
+      }
+
+      // Add vaulting if requested (saved methods are already in the vault)
+      if (paymentMethodToken) {
+        logger.info('Charging saved payment method', { customerId });
+      } else if (vaultPaymentMethod && customerId) {
+        // Save to the signed-in customer's vault
+        await findOrCreateCustomer(customerId);
+        transactionData.options.storeInVaultOnSuccess = true;
+        transactionData.customerId = customerId;
+      } else if (vaultPaymentMethod) {
+        transactionData.options.storeInVaultOnSuccess = true;
+
+        // Create customer data for vaulting
+        let customerData = {};
+
+        if (billingAddress) {
+          customerData = {
+            firstName: billingAddress.firstName || 'Customer',
+            lastName: billingAddress.lastName || '',
+          };
+        } else {
+          // Fallback for PayPal or when no billing address
+          customerData = {
+            firstName: 'PayPal',
+            lastName: 'Customer',
+          };
+        }
+
+        transactionData.customer = customerData;
+      }
+
+      logger.debug('Transaction request', { transactionData });
+
+      const result = await gateway.transaction.sale(transactionData);
+      // Declined and rejected sales also create a transaction worth recording
+      res.locals.transaction = result.transaction;
+
+      if (order && result.success) {
+        orderStore.markPaid(order.id, result.transaction.id);
+      } else if (order) {
+        orderStore.release(order.id);
+      }
+
+      if (result.success) {
+        const transaction = normalizeTransaction(result.transaction);
+        logger.info('Transaction successful', {
+          transactionId: transaction.id,
+          status: transaction.status,
+          amount: transaction.amount,
+          currency: transaction.currencyIsoCode,
+          paymentInstrumentType: transaction.paymentInstrument.type,
+          orderId: order ? order.id : undefined,
+        });
+        const response = {
+          success: true,
+          intent: intent,
+          transaction: transaction,
+          threeDSecure: describeThreeDSecure(transaction, threeDSecureRequired),
+          riskData: transaction.riskData,
+        };
+
+        if (order) {
+          response.order = orderStore.find(order.id);
+        }
+
+        // Include vault information if payment method was vaulted
+        if (paymentMethodToken) {
+          response.paymentMethodToken = paymentMethodToken;
+        } else if (
+          result.transaction.creditCard &&
+          result.transaction.creditCard.token
+        ) {
+          response.vaultedPaymentMethod = {
+            token: result.transaction.creditCard.token,
+            maskedNumber: result.transaction.creditCard.maskedNumber,
+            cardType: result.transaction.creditCard.cardType,
+            customerId: result.transaction.customer
+              ? result.transaction.customer.id
+              : null,
+          };
+          logger.info('Card vaulted', {
+            customerId: response.vaultedPaymentMethod.customerId,
+          });
+        } else if (
+          result.transaction.paypal &&
+          result.transaction.paypal.token
+        ) {
+          // Handle vaulted PayPal accounts
+          let token = result.transaction.paypal.token;
+
+          // Check for implicitly vaulted payment method (from Checkout with Vault flow)
+          if (result.transaction.paypal.implicitlyVaultedPaymentMethodToken) {
+            token =
+              result.transaction.paypal.implicitlyVaultedPaymentMethodToken;
+          }
+
+          response.vaultedPaymentMethod = {
+            token: token,
+            email: result.transaction.paypal.payerEmail,
+            paymentType: 'PayPal',
+            customerId: result.transaction.customer
+              ? result.transaction.customer.id
+              : null,
+          };
+          logger.info('PayPal account vaulted', {
+            customerId: response.vaultedPaymentMethod.customerId,
+            implicitlyVaulted: Boolean(
+              result.transaction.paypal.implicitlyVaultedPaymentMethodToken
+            ),
+          });
+        } else if (
+          result.transaction.venmoAccount &&
+          result.transaction.venmoAccount.token
+        ) {
+          // Handle vaulted Venmo accounts
+          response.vaultedPaymentMethod = {
+            token: result.transaction.venmoAccount.token,
+            username: result.transaction.venmoAccount.username,
+            paymentType: 'Venmo',
+            customerId: result.transaction.customer
+              ? result.transaction.customer.id
+              : null,
+          };
+          logger.info('Venmo account vaulted', {
+            customerId: response.vaultedPaymentMethod.customerId,
+          });
+        } else if (
+          result.transaction.androidPayCard &&
+          result.transaction.androidPayCard.token
+        ) {
+          // Handle vaulted Google Pay/Android Pay accounts
+          response.vaultedPaymentMethod = {
+            token: result.transaction.androidPayCard.token,
+            maskedNumber: result.transaction.androidPayCard.last4,
+            cardType: result.transaction.androidPayCard.cardType,
+            paymentType: 'Google Pay',
+            customerId: result.transaction.customer
+              ? result.transaction.customer.id
+              : null,
+          };
+          logger.info('Google Pay account vaulted', {
+            customerId: response.vaultedPaymentMethod.customerId,
+          });
+        }
+
+        // Sign guests in as the customer created for them so they can pay
+        // with the saved method again
+        if (
+          !customerId &&
+          response.vaultedPaymentMethod &&
+          response.vaultedPaymentMethod.customerId
+        ) {
+          customerSession.signIn(res, response.vaultedPaymentMethod.customerId);
+        }
+
+        res.json(response);
+      } else if (
+        result.transaction &&
+        result.transaction.gatewayRejectionReason ===
+          braintree.Transaction.GatewayRejectionReason.ThreeDSecure
+      ) {
+        logger.warn('Transaction rejected: 3D Secure required', {
+          transactionId: result.transaction.id,
+        });
+        res.status(400).json(
+          Object.assign(transactionFailure(result), {
+            error:
+              'This card must pass 3D Secure authentication. Please verify the card and try again.',
+            threeDSecure: describeThreeDSecure(
+              normalizeTransaction(result.transaction),
+              threeDSecureRequired
+            ),
+          })
+        );
+      } else {
+        logger.warn('Transaction failed', {
+          transactionId: result.transaction ? result.transaction.id : undefined,
+          status: result.transaction ? result.transaction.status : undefined,
+          reason: result.message,
+        });
+        res.status(400).json(
+          Object.assign(transactionFailure(result), {
+            // Fraud rejections explain themselves in the risk decision
+            riskData: result.transaction
+              ? normalizeTransaction(result.transaction).riskData
+              : null,
+          })
+        );
+      }
+    } catch (error) {
+      logger.error('Error processing payment', { error });
+      const failure = thrownFailure(error);
+      // A charge that timed out may still have gone through, so the order
+      // stays processing rather than being paid for twice
+      if (order && failedBeforeCharge(failure.body)) {
+        orderStore.release(order.id);
+      }
+      res.status(failure.status).json(failure.body);
+    }
+  }
+);
+
+// Look up a transaction, including what has been refunded or captured
+app.get('/api/transactions/:id', requireAdmin, async (req, res) => {
+  try {
+    const transaction = await gateway.transaction.find(req.params.id);
+    const view = normalizeTransaction(transaction);
+
+    Object.assign(view.refunds, await getRefundSummary(transaction));
+    Object.assign(view.captures, await getCaptureSummary(transaction));
+    // Line items are stored separately from the transaction
+    view.lineItems = await gateway.transactionLineItem.findAll(transaction.id);
+
+    res.json({ transaction: view });
+  } catch (error) {
+    if (error.type === braintree.errorTypes.notFoundError) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    logger.error('Error looking up transaction', { error });
+    res.status(500).json({ error: 'Failed to look up transaction' });
+  }
+});
+
+// Capture an authorized transaction in full, or partially with an amount.
+// Partial captures can be repeated until the authorized amount is used up.
+app.post('/api/transactions/:id/capture', requireAdmin, async (req, res) => {
+  const { amount } = req.body || {};
+
+  if (!isValidOptionalAmount(amount)) {
+    return res.status(400).json({ error: 'Amount must be a positive number' });
+  }
+
+  try {
+    const transaction = await gateway.transaction.find(req.params.id);
+
+    if (
+      amount !== undefined &&
+      !hasValidPrecision(amount, transaction.currencyIsoCode)
+    ) {
+      return res.status(400).json({
+        error: describePrecision(transaction.currencyIsoCode),
+      });
+    }
+
+    if (transaction.status !== 'authorized') {
+      return res.status(422).json({
+        success: false,
+        error: `Transaction is ${transaction.status} and cannot be captured`,
+      });
+    }
+
+    const { captureIds, capturableAmount } = await getCaptureSummary(
+      transaction
+    );
 
-// Configure Braintree
-const gateway = new braintree.BraintreeGateway({
-  environment:
-    process.env.BRAINTREE_ENVIRONMENT === 'production'
-      ? braintree.Environment.Production
-      : braintree.Environment.Sandbox,
-  merchantId: process.env.BRAINTREE_MERCHANT_ID,
-  publicKey: process.env.BRAINTREE_PUBLIC_KEY,
-  privateKey: process.env.BRAINTREE_PRIVATE_KEY,
-});
+    if (amount !== undefined && toCents(amount) > toCents(capturableAmount)) {
+      return res.status(422).json({
+        success: false,
+        error: `Capture amount exceeds the remaining authorized amount of ${capturableAmount}`,
+      });
+    }
 
-// Routes
+    if (toCents(capturableAmount) === 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'The authorized amount has already been captured',
+      });
+    }
 
-// Serve the main page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+    let result;
 
-// Apple Pay domain association file
-app.get(
-  '/.well-known/apple-developer-merchantid-domain-association',
-  (req, res) => {
-    res.sendFile(
-      path.join(
-        __dirname,
-        'public',
-        '.well-known',
-        'apple-developer-merchantid-domain-association'
+    // A single full capture settles the authorization itself; anything else
+    // is a partial capture that creates a new transaction
+    if (amount === undefined && captureIds.length === 0) {
+      result = await gateway.transaction.submitForSettlement(transaction.id);
+    } else {
+      result = await gateway.transaction.submitForPartialSettlement(
+        transaction.id,
+        amount !== undefined
+          ? formatAmount(amount, transaction.currencyIsoCode)
+          : capturableAmount
+      );
+    }
+
+    if (!result.success) {
+      logger.warn('Transaction capture failed', { reason: result.message });
+      return res.status(422).json({ success: false, error: result.message });
+    }
+
+    logger.info('Transaction capture successful', {
+      transactionId: result.transaction.id,
+    });
+
+    const authorization = await gateway.transaction.find(transaction.id);
+
+    res.json(
+      Object.assign(
+        {
+          success: true,
+          capture: {
+            id: result.transaction.id,
+            status: result.transaction.status,
+            amount: result.transaction.amount,
+          },
+          transaction: {
+            id: authorization.id,
+            status: authorization.status,
+            amount: authorization.amount,
+          },
+        },
+        await getCaptureSummary(authorization)
       )
     );
+  } catch (error) {
+    if (error.type === braintree.errorTypes.notFoundError) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    logger.error('Error capturing transaction', { error });
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to capture transaction' });
   }
+});
+
+// Refund a transaction (full, or partial with an amount); unsettled
+// transactions are voided instead
+app.post('/api/transactions/:id/refund', requireAdmin, (req, res) =>
+  reverseTransaction(res, req.params.id, (req.body || {}).amount)
 );
 
-// Generate client token for Braintree
-app.get('/client_token', async (req, res) => {
+// Void a transaction; settled transactions are refunded in full instead
+app.post('/api/transactions/:id/void', requireAdmin, (req, res) =>
+  reverseTransaction(res, req.params.id)
+);
+
+// Disputes with the given statuses (default: open), the soonest reply-by
+// date first (?status=open,disputed&transactionId=)
+app.get('/api/disputes', requireAdmin, async (req, res) => {
+  const statuses = String(req.query.status || 'open').split(',');
+  const { transactionId } = req.query;
+
+  if (!statuses.every(status => DISPUTE_STATUSES.includes(status))) {
+    return res.status(400).json({
+      error: `Status must be one or more of: ${DISPUTE_STATUSES.join(', ')}`,
+    });
+  }
+
+  try {
+    const disputes = await searchDisputes(search => {
+      search.status().in(statuses);
+      if (transactionId) {
+        search.transactionId().is(String(transactionId));
+      }
+    });
+
+    res.json({
+      disputes: disputes
+        .map(dispute => normalizeDispute(dispute))
+        .sort((a, b) =>
+          String(a.replyByDate).localeCompare(String(b.replyByDate))
+        ),
+    });
+  } catch (error) {
+    logger.error('Error searching disputes', { error });
+    res.status(500).json({ error: 'Failed to search disputes' });
+  }
+});
+
+// A dispute with its evidence and the disputed transaction
+app.get('/api/disputes/:id', requireAdmin, async (req, res) => {
   try {
-    const response = await gateway.clientToken.generate({});
-    res.json({ clientToken: response.clientToken });
+    const { dispute } = await gateway.dispute.find(req.params.id);
+    const transaction = await gateway.transaction.find(dispute.transaction.id);
+
+    res.json({
+      dispute: normalizeDispute(dispute),
+      transaction: normalizeTransaction(transaction),
+    });
   } catch (error) {
-    console.error('Error generating client token:', error);
-    res.status(500).json({ error: 'Failed to generate client token' });
+    disputeFailure(res, error, 'Failed to look up dispute');
   }
 });
 
-// Process payment
-app.post('/api/sale', async (req, res) => {
-  const {
-    paymentMethodNonce,
-    amount,
-    billingAddress,
-    vaultPaymentMethod,
-    cardholderName,
-    paymentMethodType,
-  } = req.body;
+// Accept the chargeback: the disputed amount goes back to the cardholder
+app.post('/api/disputes/:id/accept', requireAdmin, (req, res) =>
+  updateDispute(res, req.params.id, 'accept', () =>
+    gateway.dispute.accept(req.params.id)
+  )
+);
+
+// Add a written explanation ({ content, category, sequenceNumber })
+app.post('/api/disputes/:id/evidence/text', requireAdmin, async (req, res) => {
+  const { content, category, sequenceNumber } = req.body || {};
+
+  if (typeof content !== 'string' || content.trim() === '') {
+    return res.status(400).json({ error: 'Content is required' });
+  }
 
-  if (!paymentMethodNonce) {
-    return res.status(400).json({ error: 'Payment method nonce is required' });
+  if (
+    category !== undefined &&
+    (typeof category !== 'string' || category.trim() === '')
+  ) {
+    return res.status(400).json({ error: 'Category must be a string' });
   }
 
-  if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
-    return res.status(400).json({ error: 'Valid amount is required' });
+  if (
+    sequenceNumber !== undefined &&
+    (!Number.isInteger(sequenceNumber) || sequenceNumber < 0)
+  ) {
+    return res
+      .status(400)
+      .json({ error: 'sequenceNumber must be a whole number' });
   }
 
   try {
-    const transactionData = {
-      amount: parseFloat(amount).toFixed(2),
-      paymentMethodNonce: paymentMethodNonce,
-      options: {
-        submitForSettlement: true,
-      },
-    };
+    const result = await gateway.dispute.addTextEvidence(req.params.id, {
+      content,
+      category,
+      sequenceNumber,
+    });
+
+    if (!result.success) {
+      logger.warn('Adding dispute evidence failed', {
+        disputeId: req.params.id,
+        reason: result.message,
+      });
+      return res.status(422).json({ success: false, error: result.message });
+    }
+
+    logger.info('Dispute evidence added', {
+      disputeId: req.params.id,
+      evidenceId: result.evidence.id,
+    });
+    res
+      .status(201)
+      .json({ success: true, evidence: normalizeEvidence(result.evidence) });
+  } catch (error) {
+    disputeFailure(res, error, 'Failed to add evidence');
+  }
+});
+
+// Upload a PDF, PNG or JPEG as evidence. The file is the request body, with
+// its Content-Type; ?filename= names it and ?category= sets the category.
+app.post(
+  '/api/disputes/:id/evidence/file',
+  requireAdmin,
+  readEvidenceFile,
+  async (req, res) => {
+    const contentType = Object.keys(EVIDENCE_FILE_TYPES).find(type =>
+      req.is(type)
+    );
 
-    // Add billing address if provided
-    if (billingAddress) {
-      transactionData.billing = billingAddress;
+    if (!contentType || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: 'Send a PDF, PNG or JPEG file as the request body',
+      });
     }
 
-    // Add vaulting if requested
-    if (vaultPaymentMethod) {
-      transactionData.options.storeInVaultOnSuccess = true;
+    // Braintree reads the file from disk and shows its name in the
+    // Control Panel
+    const name = path
+      .basename(String(req.query.filename || 'evidence'))
+      .replace(/\.[^.]*$/, '')
+      .replace(/[^A-Za-z0-9_-]/g, '_');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+    const filePath = path.join(
+      directory,
+      (name || 'evidence') + EVIDENCE_FILE_TYPES[contentType]
+    );
+    let file;
 
-      // Create customer data for vaulting
-      let customerData = {};
+    try {
+      fs.writeFileSync(filePath, req.body);
+      file = fs.createReadStream(filePath);
 
-      if (billingAddress) {
-        customerData = {
-          firstName: billingAddress.firstName || 'Customer',
-          lastName: billingAddress.lastName || '',
-        };
-      } else {
-        // Fallback for PayPal or when no billing address
-        customerData = {
-          firstName: 'PayPal',
-          lastName: 'Customer',
-        };
+      const upload = await gateway.documentUpload.create({
+        kind: EVIDENCE_DOCUMENT_KIND,
+        file,
+      });
+
+      if (!upload.success) {
+        logger.warn('Evidence upload failed', {
+          disputeId: req.params.id,
+          reason: upload.message,
+        });
+        return res.status(422).json({ success: false, error: upload.message });
+      }
+
+      const result = await gateway.dispute.addFileEvidence(req.params.id, {
+        documentId: upload.documentUpload.id,
+        category: req.query.category ? String(req.query.category) : undefined,
+      });
+
+      if (!result.success) {
+        logger.warn('Adding dispute evidence failed', {
+          disputeId: req.params.id,
+          reason: result.message,
+        });
+        return res.status(422).json({ success: false, error: result.message });
       }
 
-      transactionData.customer = customerData;
+      logger.info('Dispute evidence added', {
+        disputeId: req.params.id,
+        evidenceId: result.evidence.id,
+        documentId: upload.documentUpload.id,
+      });
+      res
+        .status(201)
+        .json({ success: true, evidence: normalizeEvidence(result.evidence) });
+    } catch (error) {
+      disputeFailure(res, error, 'Failed to add evidence');
+    } finally {
+      const removeDirectory = () =>
+        fs.rmSync(directory, { recursive: true, force: true });
+
+      // The SDK only reads the stream's path, so close it before deleting
+      if (file) {
+        file.once('close', removeDirectory);
+        file.destroy();
+      } else {
+        removeDirectory();
+      }
     }
+  }
+);
 
-    console.log('Transaction data:', JSON.stringify(transactionData, null, 2));
+// Remove evidence that hasn't been submitted yet
+app.delete('/api/disputes/:id/evidence/:evidenceId', requireAdmin, (req, res) =>
+  updateDispute(
+    res,
+    req.params.id,
+    'remove evidence from',
+    () => gateway.dispute.removeEvidence(req.params.id, req.params.evidenceId),
+    'Evidence not found'
+  )
+);
 
-    const result = await gateway.transaction.sale(transactionData);
+// Submit the evidence to the processor. No more evidence can be added.
+app.post('/api/disputes/:id/finalize', requireAdmin, (req, res) =>
+  updateDispute(res, req.params.id, 'finalize', () =>
+    gateway.dispute.finalize(req.params.id)
+  )
+);
 
-    if (result.success) {
-      console.log('Transaction successful:', result.transaction.id);
-      console.log(
-        'Full transaction result:',
-        JSON.stringify(result.transaction, null, 2)
-      );
+// List the plans customers can subscribe to
+app.get('/api/plans', async (req, res) => {
+  try {
+    const response = await gateway.plan.all();
+    res.json({ plans: response.plans.map(describePlan) });
+  } catch (error) {
+    logger.error('Error listing plans', { error });
+    res.status(500).json({ error: 'Failed to load plans' });
+  }
+});
 
-      const response = {
-        success: true,
-        transaction: {
-          id: result.transaction.id,
-          status: result.transaction.status,
-          amount: result.transaction.amount,
-          // Include PayPal details if available
-          paypal: result.transaction.paypal,
-        },
-      };
+// List the signed-in customer's subscriptions
+app.get('/api/subscriptions', async (req, res) => {
+  const customerId = customerSession.getCustomerId(req);
 
-      // Include vault information if payment method was vaulted
-      if (
-        result.transaction.creditCard &&
-        result.transaction.creditCard.token
-      ) {
-        response.vaultedPaymentMethod = {
-          token: result.transaction.creditCard.token,
-          maskedNumber: result.transaction.creditCard.maskedNumber,
-          cardType: result.transaction.creditCard.cardType,
-          customerId: result.transaction.customer
-            ? result.transaction.customer.id
-            : null,
-        };
-        console.log(
-          'Payment method vaulted with token:',
-          result.transaction.creditCard.token
-        );
-        if (result.transaction.customer) {
-          console.log('Customer ID:', result.transaction.customer.id);
-        }
-      } else if (result.transaction.paypal && result.transaction.paypal.token) {
-        // Handle vaulted PayPal accounts
-        let token = result.transaction.paypal.token;
+  if (!customerId) {
+    return res.status(401).json({ error: 'Sign in to view subscriptions' });
+  }
 
-        console.log(
-          'PayPal transaction details:',
-          JSON.stringify(result.transaction.paypal, null, 2)
-        );
+  try {
+    const customer = await findOrCreateCustomer(customerId);
+    const paymentMethods = [
+      ...(customer.creditCards || []),
+      ...(customer.paypalAccounts || []),
+      ...(customer.venmoAccounts || []),
+      ...(customer.androidPayCards || []),
+      ...(customer.applePayCards || []),
+    ];
+    const subscriptions = paymentMethods
+      .flatMap(method => method.subscriptions || [])
+      .map(describeSubscription);
 
-        // Check for implicitly vaulted payment method (from Checkout with Vault flow)
-        if (result.transaction.paypal.implicitlyVaultedPaymentMethodToken) {
-          token = result.transaction.paypal.implicitlyVaultedPaymentMethodToken;
-          console.log('PayPal account implicitly vaulted with token:', token);
-        } else {
-          console.log('No implicitly vaulted token found in the response');
-        }
+    res.json({ customerId, subscriptions });
+  } catch (error) {
+    logger.error('Error listing subscriptions', { error });
+    res.status(500).json({ error: 'Failed to load subscriptions' });
+  }
+});
 
-        response.vaultedPaymentMethod = {
-          token: token,
-          email: result.transaction.paypal.payerEmail,
-          paymentType: 'PayPal',
-          customerId: result.transaction.customer
-            ? result.transaction.customer.id
-            : null,
-        };
-        console.log('PayPal account vaulted with token:', token);
-        if (result.transaction.customer) {
-          console.log('Customer ID:', result.transaction.customer.id);
+// Subscribe to a plan with a saved payment method token, or a nonce that is
+// saved to the customer's vault first (subscriptions bill vaulted methods).
+// Vaulting a new card verifies it, so this is as open to card testing as
+// /api/sale and shares its blocklist, rate limit and decline backoff.
+app.post(
+  '/api/subscriptions',
+  checkBlocklist,
+  saleRateLimit,
+  async (req, res) => {
+    const { planId, paymentMethodNonce, paymentMethodToken, price } =
+      req.body || {};
+    let customerId = customerSession.getCustomerId(req);
+
+    if (!planId) {
+      return res.status(400).json({ error: 'Plan ID is required' });
+    }
+
+    if (!paymentMethodNonce === !paymentMethodToken) {
+      return res.status(400).json({
+        error: 'Provide either a payment method nonce or a token',
+      });
+    }
+
+    const priceError = checkSubscriptionPrice(req, price);
+    if (priceError) {
+      return res.status(priceError.status).json({ error: priceError.error });
+    }
+
+    try {
+      if (!(await findPlan(planId))) {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+
+      let token = paymentMethodToken;
+
+      if (token) {
+        // Saved payment methods can only be used by the customer who owns them
+        if (!customerId) {
+          return res.status(401).json({
+            success: false,
+            error: 'Sign in to subscribe with a saved payment method',
+          });
         }
-      } else if (
-        result.transaction.venmoAccount &&
-        result.transaction.venmoAccount.token
-      ) {
-        // Handle vaulted Venmo accounts
-        response.vaultedPaymentMethod = {
-          token: result.transaction.venmoAccount.token,
-          username: result.transaction.venmoAccount.username,
-          paymentType: 'Venmo',
-          customerId: result.transaction.customer
-            ? result.transaction.customer.id
-            : null,
-        };
-        console.log(
-          'Venmo account vaulted with token:',
-          result.transaction.venmoAccount.token
-        );
-        if (result.transaction.customer) {
-          console.log('Customer ID:', result.transaction.customer.id);
+        if (!(await findOwnedPaymentMethod(token, customerId))) {
+          return res
+            .status(404)
+            .json({ success: false, error: 'Saved payment method not found' });
         }
-      } else if (
-        result.transaction.androidPayCard &&
-        result.transaction.androidPayCard.token
-      ) {
-        // Handle vaulted Google Pay/Android Pay accounts
-        response.vaultedPaymentMethod = {
-          token: result.transaction.androidPayCard.token,
-          maskedNumber: result.transaction.androidPayCard.last4,
-          cardType: result.transaction.androidPayCard.cardType,
-          paymentType: 'Google Pay',
-          customerId: result.transaction.customer
-            ? result.transaction.customer.id
-            : null,
-        };
-        console.log(
-          'Google Pay account vaulted with token:',
-          result.transaction.androidPayCard.token
-        );
-        if (result.transaction.customer) {
-          console.log('Customer ID:', result.transaction.customer.id);
+      } else {
+        // Guests get a new Braintree customer and are signed in as it
+        if (!customerId) {
+          const customerResult = await gateway.customer.create({});
+          if (!customerResult.success) {
+            throw new Error(customerResult.message);
+          }
+          customerId = customerResult.customer.id;
+          customerSession.signIn(res, customerId);
+        } else {
+          await findOrCreateCustomer(customerId);
+        }
+
+        const vaultResult = await gateway.paymentMethod.create({
+          customerId: customerId,
+          paymentMethodNonce: paymentMethodNonce,
+          options: vaultOptions,
+        });
+        // A declined verification counts towards the decline backoff, like a
+        // declined sale (both have the same statuses)
+        res.locals.transaction = vaultResult.verification;
+
+        if (!vaultResult.success) {
+          logger.warn('Vaulting payment method failed', {
+            reason: vaultResult.message,
+          });
+          return res
+            .status(400)
+            .json({ success: false, error: vaultResult.message });
         }
+
+        token = vaultResult.paymentMethod.token;
       }
 
-      res.json(response);
-    } else {
-      console.error('Transaction failed:', result.message);
-      res.status(400).json({
+      const subscriptionData = {
+        planId: planId,
+        paymentMethodToken: token,
+      };
+
+      if (price !== undefined) {
+        subscriptionData.price = parseFloat(price).toFixed(2);
+      }
+
+      const result = await gateway.subscription.create(subscriptionData);
+      res.locals.transaction = result.transaction;
+
+      if (!result.success) {
+        logger.warn('Subscription failed', { reason: result.message });
+        return res.status(400).json({ success: false, error: result.message });
+      }
+
+      logger.info('Subscription created', {
+        subscriptionId: result.subscription.id,
+      });
+      res.json({
+        success: true,
+        customerId: customerId,
+        subscription: describeSubscription(result.subscription),
+      });
+    } catch (error) {
+      logger.error('Error creating subscription', { error });
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to create subscription' });
+    }
+  }
+);
+
+// Change a subscription's plan (or, for admins, its price)
+app.put('/api/subscriptions/:id', async (req, res) => {
+  const { planId, price } = req.body || {};
+
+  if (!planId && price === undefined) {
+    return res.status(400).json({ error: 'Provide a plan ID or price' });
+  }
+
+  const priceError = checkSubscriptionPrice(req, price);
+  if (priceError) {
+    return res.status(priceError.status).json({ error: priceError.error });
+  }
+
+  try {
+    const subscription = await findManageableSubscription(req, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const updates = {};
+
+    if (planId) {
+      const plan = await findPlan(planId);
+      if (!plan) {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+      // Braintree keeps the old price on a plan change unless told otherwise
+      updates.planId = plan.id;
+      updates.price = plan.price;
+    }
+    if (price !== undefined) {
+      updates.price = parseFloat(price).toFixed(2);
+    }
+
+    const result = await gateway.subscription.update(subscription.id, updates);
+
+    if (!result.success) {
+      logger.warn('Subscription update failed', { reason: result.message });
+      return res.status(422).json({ success: false, error: result.message });
+    }
+
+    logger.info('Subscription updated', { subscriptionId: subscription.id });
+    res.json({
+      success: true,
+      subscription: describeSubscription(result.subscription),
+    });
+  } catch (error) {
+    logger.error('Error updating subscription', { error });
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to update subscription' });
+  }
+});
+
+// Cancel a subscription; no further billing happens
+app.post('/api/subscriptions/:id/cancel', async (req, res) => {
+  try {
+    const subscription = await findManageableSubscription(req, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const result = await gateway.subscription.cancel(subscription.id);
+
+    if (!result.success) {
+      logger.warn('Subscription cancel failed', { reason: result.message });
+      return res.status(422).json({ success: false, error: result.message });
+    }
+
+    logger.info('Subscription canceled', { subscriptionId: subscription.id });
+    res.json({
+      success: true,
+      subscription: describeSubscription(result.subscription),
+    });
+  } catch (error) {
+    logger.error('Error canceling subscription', { error });
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to cancel subscription' });
+  }
+});
+
+// Retry charging a past-due subscription's balance
+app.post('/api/subscriptions/:id/retry', async (req, res) => {
+  try {
+    const subscription = await findManageableSubscription(req, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (subscription.status !== braintree.Subscription.Status.PastDue) {
+      return res.status(422).json({
         success: false,
-        error: result.message,
+        error: `Subscription is ${subscription.status}; only past due subscriptions can be retried`,
       });
     }
+
+    const result = await gateway.subscription.retryCharge(
+      subscription.id,
+      undefined,
+      true
+    );
+
+    if (!result.success) {
+      logger.warn('Subscription retry failed', { reason: result.message });
+      return res.status(400).json({ success: false, error: result.message });
+    }
+
+    logger.info('Subscription retry successful', {
+      transactionId: result.transaction.id,
+    });
+    res.json({
+      success: true,
+      transaction: normalizeTransaction(result.transaction),
+      subscription: describeSubscription(
+        await gateway.subscription.find(subscription.id)
+      ),
+    });
   } catch (error) {
-    console.error('Error processing payment:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process payment',
+    logger.error('Error retrying subscription charge', { error });
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to retry subscription charge' });
+  }
+});
+
+// Braintree webhook notifications, posted as form fields bt_signature and
+// bt_payload. Braintree retries anything but a 2xx, so redeliveries are
+// acknowledged without being stored twice.
+app.post('/webhooks/braintree', async (req, res) => {
+  const signature = req.body && req.body.bt_signature;
+  const payload = req.body && req.body.bt_payload;
+  let notification;
+
+  try {
+    notification = await gateway.webhookNotification.parse(signature, payload);
+  } catch (error) {
+    if (error.type === braintree.errorTypes.invalidSignatureError) {
+      logger.warn('Rejected webhook notification', { reason: error.message });
+      return res.status(403).json({ error: 'Invalid webhook signature' });
+    }
+    logger.error('Error parsing webhook notification', { error });
+    return res.status(500).json({ error: 'Failed to process webhook' });
+  }
+
+  try {
+    const { event, duplicate } = webhookStore.record(notification, payload);
+
+    logger.info(
+      duplicate ? 'Webhook redelivered, already stored' : 'Webhook received',
+      { eventId: event.id, kind: event.kind, subjectId: event.subjectId }
+    );
+    res.json({ received: true, id: event.id, duplicate });
+  } catch (error) {
+    logger.error('Error storing webhook notification', { error });
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// List stored webhook events, newest first (?kind=&subjectId=&limit=)
+app.get('/api/webhooks', requireAdmin, (req, res) => {
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+  if (isNaN(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'Limit must be between 1 and 500' });
+  }
+
+  res.json({
+    events: webhookStore.list({
+      kind: req.query.kind,
+      subjectId: req.query.subjectId,
+      limit,
+    }),
+  });
+});
+
+// Search the sale ledger, newest first
+app.get('/api/ledger', requireAdmin, (req, res) => {
+  const { outcome, customerId, transactionId, from, to } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+  if (isNaN(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'Limit must be between 1 and 500' });
+  }
+
+  if (outcome && !SALE_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({
+      error: `Outcome must be one of: ${SALE_OUTCOMES.join(', ')}`,
+    });
+  }
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res
+      .status(400)
+      .json({ error: 'From and to must be ISO 8601 dates' });
+  }
+
+  res.json({
+    entries: saleLedger.query({
+      outcome,
+      customerId,
+      transactionId,
+      from,
+      to,
+      limit,
+    }),
+  });
+});
+
+app.get('/api/ledger/:id', requireAdmin, (req, res) => {
+  const entry = saleLedger.find(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({ error: 'Ledger entry not found' });
+  }
+
+  res.json({ entry });
+});
+
+// Blocked IPs and customers, newest first
+app.get('/api/blocklist', requireAdmin, (req, res) => {
+  res.json({ entries: blocklist.list() });
+});
+
+// Block an IP or customer ({ type, value, reason, expiresInMinutes })
+app.post('/api/blocklist', requireAdmin, (req, res) => {
+  const { type, value, reason, expiresInMinutes } = req.body || {};
+
+  if (!BLOCKLIST_ENTRY_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: `Type must be one of: ${BLOCKLIST_ENTRY_TYPES.join(', ')}`,
     });
   }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    return res
+      .status(400)
+      .json({ error: 'Value must be an IP address or customer ID' });
+  }
+
+  if (
+    expiresInMinutes !== undefined &&
+    (!Number.isInteger(expiresInMinutes) || expiresInMinutes < 1)
+  ) {
+    return res
+      .status(400)
+      .json({ error: 'expiresInMinutes must be a positive whole number' });
+  }
+
+  const entry = blocklist.add({
+    type,
+    value,
+    reason: typeof reason === 'string' ? reason : null,
+    expiresAt: expiresInMinutes
+      ? new Date(Date.now() + expiresInMinutes * 60 * 1000).toISOString()
+      : null,
+  });
+  logger.info('Blocked', { type: entry.type, value: entry.value });
+  res.status(201).json({ entry });
+});
+
+// Unblock an IP or customer
+app.delete('/api/blocklist/:type/:value', requireAdmin, (req, res) => {
+  if (!blocklist.remove(req.params.type, req.params.value)) {
+    return res.status(404).json({ error: 'Blocklist entry not found' });
+  }
+
+  logger.info('Unblocked', {
+    type: req.params.type,
+    value: req.params.value,
+  });
+  res.json({ removed: true });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  // express.json() couldn't parse the body: report it like any other
+  // invalid request field
+  if (err.type === 'entity.parse.failed') {
+    const fieldErrors = [
+      {
+        field: 'body',
+        code: 'invalid',
+        message: 'Request body must be valid JSON',
+      },
+    ];
+    return res.status(400).json(
+      Object.assign(saleFailure(fieldErrors[0].message, { fieldErrors }), {
+        fieldErrors,
+      })
+    );
+  }
+
+  logger.error('Unhandled error', { error: err });
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(
-    'Make sure to update your .env file with your Braintree credentials'
-  );
+  logger.info(`Server running on http://localhost:${PORT}`);
+  if (isMockEnvironment()) {
+    logger.info('Using the offline mock Braintree gateway');
+  } else {
+    logger.info(
+      'Make sure to update your .env file with your Braintree credentials'
+    );
+  }
 });
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Simulator
+ * Command-line tool to send signed sample Braintree webhook notifications
+ * to the locally running server, so webhook handling can be tested without
+ * a publicly reachable URL
+ *
+ * Usage:
+ *   node simulate-webhook.js --kind <kind> [options]
+ *
+ * Options:
+ *   --kind <kind>                 Notification kind, e.g. dispute_opened (required)
+ *   --id <id>                     Subject ID (dispute, subscription, ...) (default: generated)
+ *   --url <url>                   Webhook URL (default: http://localhost:$PORT/webhooks/braintree)
+ *   --source-merchant-id <id>     Source merchant ID for partner notifications (optional)
+ *   --repeat <number>             Deliver the same notification this many times (default: 1)
+ *   --list                        List the supported notification kinds
+ *   --help                        Show help message
+ *
+ * Examples:
+ *   node simulate-webhook.js --kind dispute_opened
+ *   node simulate-webhook.js --kind subscription_charged_successfully --id my_subscription
+ *   node simulate-webhook.js --kind disbursement --repeat 2
+ */
+
+require('dotenv').config();
+const braintree = require('braintree');
+const { createGateway, isMockEnvironment } = require('./lib/gateway');
+
+const KINDS = Object.values(braintree.WebhookNotification.Kind).sort();
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Show help if requested
+if (options.help) {
+  showHelp();
+  process.exit(0);
+}
+
+if (options.list) {
+  KINDS.forEach(kind => console.log(kind));
+  process.exit(0);
+}
+
+// Notifications are signed with the same keys the server verifies them with
+if (
+  !isMockEnvironment() &&
+  (!process.env.BRAINTREE_PUBLIC_KEY || !process.env.BRAINTREE_PRIVATE_KEY)
+) {
+  console.error(' Error: Missing Braintree keys in environment variables');
+  console.error('Please ensure your .env file contains:');
+  console.error('  BRAINTREE_PUBLIC_KEY');
+  console.error('  BRAINTREE_PRIVATE_KEY');
+  process.exit(1);
+}
+
+// Initialize Braintree Gateway
+const gateway = createGateway();
+
+// Main execution
+async function main() {
+  const notification = buildNotification(
+    options.kind,
+    options.id,
+    options.sourceMerchantId
+  );
+
+  console.log(`Sending ${options.kind} notification for ${options.id}`);
+  console.log(`URL: ${options.url}`);
+  console.log('');
+
+  let failed = false;
+
+  for (let delivery = 1; delivery <= options.repeat; delivery++) {
+    try {
+      const { status, body } = await deliver(options.url, notification);
+      console.log(`Delivery ${delivery}: HTTP ${status} ${body}`);
+      failed = failed || status < 200 || status >= 300;
+    } catch (error) {
+      console.error(`Delivery ${delivery} failed: ${error.message}`);
+      console.error('Is the server running? Start it with: npm start');
+      failed = true;
+    }
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+// Build a signed sample notification (bt_signature and bt_payload)
+function buildNotification(kind, id, sourceMerchantId) {
+  return gateway.webhookTesting.sampleNotification(kind, id, sourceMerchantId);
+}
+
+// POST the notification form-encoded, the way Braintree delivers it
+async function deliver(url, notification) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams(notification).toString(),
+  });
+
+  return { status: response.status, body: await response.text() };
+}
+
+// Parse command line arguments
+function parseArgs(args) {
+  const options = {
+    kind: null,
+    id: null,
+    url: `http://localhost:${process.env.PORT || 3000}/webhooks/braintree`,
+    sourceMerchantId: undefined,
+    repeat: 1,
+    list: false,
+    help: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--kind':
+        options.kind = args[++i];
+        break;
+      case '--id':
+        options.id = args[++i];
+        break;
+      case '--url':
+        options.url = args[++i];
+        break;
+      case '--source-merchant-id':
+        options.sourceMerchantId = args[++i];
+        break;
+      case '--repeat':
+        options.repeat = parseInt(args[++i]) || 1;
+        break;
+      case '--list':
+        options.list = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        showHelp();
+        process.exit(1);
+    }
+  }
+
+  if (options.help || options.list) {
+    return options;
+  }
+
+  // Validate kind
+  if (!options.kind) {
+    console.error('Missing --kind. Run with --list to see supported kinds.');
+    process.exit(1);
+  }
+  if (!KINDS.includes(options.kind)) {
+    console.error(
+      `Invalid kind: ${options.kind}. Run with --list to see supported kinds.`
+    );
+    process.exit(1);
+  }
+
+  if (!options.id) {
+    options.id = `sample_${Date.now()}`;
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+🔧 Braintree Webhook Simulator
+
+USAGE:
+  node simulate-webhook.js --kind <kind> [options]
+
+OPTIONS:
+  --kind <kind>               Notification kind, e.g. dispute_opened (required)
+  --id <id>                   Subject ID (default: generated)
+  --url <url>                 Webhook URL (default: http://localhost:$PORT/webhooks/braintree)
+  --source-merchant-id <id>   Source merchant ID for partner notifications
+  --repeat <number>           Deliver the same notification this many times (default: 1)
+  --list                      List the supported notification kinds
+  --help                      Show this help message
+
+COMMON KINDS:
+  dispute_opened, dispute_won, dispute_lost
+  subscription_charged_successfully, subscription_charged_unsuccessfully,
+  subscription_went_past_due, subscription_canceled
+  disbursement, transaction_settled, payment_method_revoked_by_customer
+
+EXAMPLES:
+  node simulate-webhook.js --kind dispute_opened
+  node simulate-webhook.js --kind subscription_went_past_due --id my_subscription
+  node simulate-webhook.js --kind disbursement --repeat 2
+  node simulate-webhook.js --list
+
+ENVIRONMENT:
+  Notifications are signed with BRAINTREE_PUBLIC_KEY and BRAINTREE_PRIVATE_KEY
+  from .env, so the server must be running with the same keys. Signing happens
+  locally; nothing is sent to Braintree.
+
+  With BRAINTREE_ENVIRONMENT=mock, the keys are optional: without them both
+  sides use the mock gateway's built-in keys.
+`);
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+  buildNotification,
+  deliver,
+};